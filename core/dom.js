@@ -123,3 +123,38 @@ export function setAttrs(el, attrs) {
   });
 }
 
+/**
+ * Offers text content as a file download.
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File content
+ * @param {string} [mimeType] - MIME type of the content
+ * @example
+ * downloadFile('trace.json', JSON.stringify(data), 'application/json')
+ */
+export function downloadFile(fileName, content, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = h('a', { href: url, download: fileName });
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Copies text to the clipboard.
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True when the text was copied
+ * @example
+ * copyText(JSON.stringify(data, null, 2))
+ */
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    // Clipboard access needs a secure context and may be denied
+    console.log("[dom copyText] Clipboard unavailable:", error.message);
+    return false;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * ID Utilities
+ * Normalizes trace and span IDs to canonical lowercase hex (W3C Trace Context).
+ * OTLP JSON from some exporters (and sample1.json) carries base64 IDs, while other
+ * pipelines use hex, so IDs are normalized once at parse time to make logs and
+ * spans from any source correlate.
+ */
+
+const HEX_PATTERN = /^[0-9a-fA-F]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const TRACE_ID_BYTES = 16;
+const SPAN_ID_BYTES = 8;
+
+/**
+ * Decodes base64 (standard or URL-safe, padding optional) to lowercase hex.
+ * @param {string} value - Base64 text
+ * @returns {string|null} Hex string, or null when the text is not valid base64
+ */
+function base64ToHex(value) {
+  const unpadded = value.replace(/=+$/, "").replace(/-/g, "+").replace(/_/g, "/");
+  if (unpadded.length % 4 === 1) {
+    return null;
+  }
+  try {
+    const binary = atob(unpadded.padEnd(Math.ceil(unpadded.length / 4) * 4, "="));
+    let hex = "";
+    for (let i = 0; i < binary.length; i++) {
+      hex += binary.charCodeAt(i).toString(16).padStart(2, "0");
+    }
+    return hex;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Left-pads a hex ID with zeros to span ID or trace ID length, restoring leading zeros that
+ * were lost when the ID passed through a number or a lenient encoder.
+ * @param {string} hex - Lowercase hex
+ * @returns {string}
+ */
+function padHexId(hex) {
+  if (hex.length <= SPAN_ID_BYTES * 2) {
+    return hex.padStart(SPAN_ID_BYTES * 2, "0");
+  }
+  return hex.length <= TRACE_ID_BYTES * 2 ? hex.padStart(TRACE_ID_BYTES * 2, "0") : hex;
+}
+
+/**
+ * Normalizes a trace or span ID to lowercase hex.
+ * IDs made of hex characters only are hex: they are lowercased and left-padded with zeros to
+ * 16 or 32 characters. Other base64 IDs that decode to 8 bytes (span) or 16 bytes (trace) are
+ * converted to hex; a hex-only value is never decoded as base64, because a hex ID missing its
+ * leading zeros would turn into an unrelated ID. The all-zero ID is invalid per the spec and
+ * becomes "". Anything else (e.g. synthetic IDs) is returned trimmed but otherwise unchanged.
+ * @param {string|null|undefined} id - Trace or span ID
+ * @returns {string} Normalized ID ("" when missing)
+ * @example
+ * normalizeId("kyBNrudqhmY=") // "93204daee76a8666"
+ * normalizeId("4BF92F3577B34DA6") // "4bf92f3577b34da6"
+ * normalizeId("4bf92f3577b34da6a3ce929d0e0e47") // "004bf92f3577b34da6a3ce929d0e0e47"
+ */
+export function normalizeId(id) {
+  if (id === null || id === undefined) {
+    return "";
+  }
+  const value = String(id).trim();
+  if (!value) {
+    return "";
+  }
+
+  let normalized = value;
+  if (HEX_PATTERN.test(value)) {
+    normalized = padHexId(value.toLowerCase());
+  } else if (BASE64_PATTERN.test(value)) {
+    const hex = base64ToHex(value);
+    if (hex && (hex.length === TRACE_ID_BYTES * 2 || hex.length === SPAN_ID_BYTES * 2)) {
+      normalized = hex;
+    }
+  }
+
+  return /^0+$/.test(normalized) ? "" : normalized;
+}
@@ -6,13 +6,28 @@
 /**
  * @typedef {Object} TraceViewState
  * @property {Set<string>} expandedChildren - Set of expanded child span IDs
+ * @property {Set<string>|null} expandedChildrenBeforeFilter - Expanded span IDs set aside while a
+ *   filtered view (critical path only, errors only, matches only) lists its spans fully expanded
  * @property {Set<string>} expandedAttributes - Set of expanded attribute span IDs
  * @property {boolean} initializedChildren - Whether children have been initialized
  * @property {number} timeWindowStart - Time window start percentage (0-100)
  * @property {number} timeWindowEnd - Time window end percentage (0-100)
  * @property {boolean} showRunlineX - Show horizontal runlines inside spans
  * @property {boolean} showRunlineY - Show vertical runlines connecting parent to child
+ * @property {string} searchQuery - Span search text
+ * @property {string[]} searchMatches - Span IDs matching the search, in display order
+ * @property {number} searchIndex - Index of the current match in searchMatches
+ * @property {number} scrollTop - Scroll position of the virtualized span list
+ * @property {'all'|'critical-path'|'errors'|'matches'} viewMode - Which spans the list shows
+ * @property {boolean} showCriticalPath - Highlight the critical path
+ * @property {string|null} focusedSpanId - Span row in the tab order (keyboard navigation)
+ * @property {Set<string>} skewCorrectedServices - Skewed services shifted onto their callers' clocks
+ * @property {boolean} showTimeBreakdown - Open the per service / per operation time breakdown
+ * @property {boolean} showSpanInspector - Show the docked inspector of the focused span
+ * @property {string|null} colorBy - Resource attribute spans are grouped and colored by; null groups by service
+ * @property {boolean} showResources - Open the per service resource panel
  * @property {Object} [preview] - Preview component reference
+ * @property {(state: TraceViewState) => void} [onChange] - Called after the state changed (persistence)
  */
 
 /**
@@ -53,12 +68,25 @@ function collectExpandableSpanIds(nodes, bucket = new Set()) {
 export function createViewState(trace) {
   const state = {
     expandedChildren: new Set(),
+    expandedChildrenBeforeFilter: null, // Set aside by filtered views
     expandedAttributes: new Set(),
     initializedChildren: false,
     timeWindowStart: 0, // Percentage of trace (0-100)
     timeWindowEnd: 100, // Percentage of trace (0-100)
     showRunlineX: true, // Show horizontal runlines inside spans
     showRunlineY: false, // Show vertical runlines connecting parent to child
+    searchQuery: "",
+    searchMatches: [],
+    searchIndex: 0,
+    scrollTop: 0, // Virtualized span list scroll position
+    viewMode: 'all', // 'all' spans, 'critical-path' only, failure paths only ('errors') or search matches only ('matches')
+    showCriticalPath: false, // Highlight the critical path
+    focusedSpanId: null, // Span row in the tab order
+    skewCorrectedServices: new Set(), // Clock skew correction is opt-in, per service
+    showTimeBreakdown: false, // Time breakdown section collapsed
+    showSpanInspector: false, // Span inspector panel closed
+    colorBy: null, // Group and color by service
+    showResources: false, // Resource panel collapsed
   };
   
   // Expand all spans with children on first render
@@ -67,6 +95,23 @@ export function createViewState(trace) {
   return state;
 }
 
+/**
+ * Checks whether the critical path is highlighted (always the case in critical path only mode).
+ * @param {TraceViewState|null|undefined} state - The state object
+ * @returns {boolean}
+ */
+export function isCriticalPathShown(state) {
+  return Boolean(state?.showCriticalPath || state?.viewMode === 'critical-path');
+}
+
+/**
+ * Tells the state owner that the state changed, e.g. to persist it.
+ * @param {TraceViewState|null|undefined} state - The state object
+ */
+export function notifyStateChange(state) {
+  state?.onChange?.(state);
+}
+
 /**
  * Updates the expanded state for a span ID.
  * @param {TraceViewState} state - The state object
@@ -83,6 +128,57 @@ export function updateExpanded(state, spanId, expanded, type = 'children') {
   }
 }
 
+/**
+ * Expands every span with children of a filtered view, setting the expansion of the full
+ * list aside until restoreUnfilteredExpansion.
+ * @param {import("../ui/trace.js").TraceModel} listTrace - The filtered trace model
+ * @param {TraceViewState} state - The state object
+ */
+export function expandFilteredList(listTrace, state) {
+  state.expandedChildrenBeforeFilter ??= new Set(state.expandedChildren);
+  listTrace.spanNodes.forEach((node, spanId) => {
+    if (node.children.length > 0) {
+      state.expandedChildren.add(spanId);
+    }
+  });
+}
+
+/**
+ * Brings back the expansion of the full list after a filtered view was left.
+ * @param {TraceViewState} state - The state object
+ * @returns {boolean} True when an expansion was restored
+ */
+export function restoreUnfilteredExpansion(state) {
+  const saved = state.expandedChildrenBeforeFilter;
+  if (!saved) {
+    return false;
+  }
+  state.expandedChildren.clear();
+  saved.forEach((spanId) => state.expandedChildren.add(spanId));
+  state.expandedChildrenBeforeFilter = null;
+  return true;
+}
+
+/**
+ * Expands every ancestor of a span so the span is visible.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {TraceViewState} state - The state object
+ * @param {string} spanId - The span ID
+ * @returns {boolean} True when an ancestor had to be expanded (a re-render is needed)
+ */
+export function expandAncestors(trace, state, spanId) {
+  let changed = false;
+  let parent = trace.spanNodes.get(trace.spanNodes.get(spanId)?.span.parentSpanId);
+  while (parent) {
+    if (!state.expandedChildren.has(parent.span.spanId)) {
+      state.expandedChildren.add(parent.span.spanId);
+      changed = true;
+    }
+    parent = trace.spanNodes.get(parent.span.parentSpanId);
+  }
+  return changed;
+}
+
 /**
  * Prunes descendant state for a node (removes all nested expanded states).
  * @param {{span: {spanId: string}, children: Array}} node - The node to prune descendants from
@@ -0,0 +1,329 @@
+/**
+ * View State Storage
+ * Persists the trace view state in the URL hash (for sharing links) and in localStorage
+ * (for reloads), and restores it when a trace is opened.
+ *
+ * The hash uses query string syntax, e.g.
+ * `#trace=<id>&span=<id>&window=12.5-40&collapsed=<id>,<id>&details=<id>&runlines=x,y&palette=palette-5`.
+ * The critical path (`critical=highlight|only`), errors only view (`errors=only`), services with
+ * corrected clock skew (`skew=<service>,<service>`) and resource attribute grouping
+ * (`group=service.version`) are stored when they differ from the defaults.
+ * Spans are expanded by default, so only collapsed spans are stored.
+ * The palette goes into the hash when the user picks one and along with every view state, so a
+ * link opens in the sender's colors; opening the page alone leaves the URL untouched.
+ * localStorage keeps the view states of the most recently viewed traces only.
+ */
+
+import { ensureChildrenExpanded, expandAncestors, pruneDescendantState } from "./stateManager.js";
+import { paletteState } from "./palette.js";
+
+const STORAGE_PREFIX = "neonVibes.viewState.";
+// Trace IDs with a stored view state, least recently saved first
+const STORAGE_INDEX_KEY = "neonVibes.viewStateIndex";
+const MAX_STORED_VIEW_STATES = 50;
+const PALETTE_STORAGE_KEY = "neonVibes.palette";
+const SAVE_DELAY_MS = 250;
+
+// Hash keys written by the trace viewer; the palette is written along with them
+const VIEW_STATE_KEYS = ["trace", "span", "window", "collapsed", "details", "runlines", "critical", "errors", "skew", "group"];
+
+let pendingSave = null;
+
+/**
+ * Reads the parameters stored in the URL hash.
+ * @returns {URLSearchParams}
+ */
+export function readHashParams() {
+  return new URLSearchParams(window.location.hash.replace(/^#/, ""));
+}
+
+/**
+ * Replaces the URL hash without adding a history entry or firing `hashchange`.
+ * @param {URLSearchParams} params - Parameters to write
+ */
+function writeHashParams(params) {
+  const hash = params.toString();
+  const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ""}`;
+  history.replaceState(history.state, "", url);
+}
+
+/**
+ * localStorage access that tolerates disabled storage (private mode, file:// pages, quota).
+ * @param {string} key - Storage key
+ * @param {string|null} [value] - Value to write; null removes the key; omit to read
+ * @returns {string|null} The stored value when reading
+ */
+function storage(key, value) {
+  try {
+    if (value === undefined) {
+      return window.localStorage.getItem(key);
+    }
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.log("[viewStateStorage storage] localStorage unavailable:", error.message);
+  }
+  return null;
+}
+
+/**
+ * Stores the view state of a trace and drops the least recently saved ones beyond
+ * MAX_STORED_VIEW_STATES, so sessions with many traces do not fill the storage quota.
+ * @param {string} traceId - Trace ID
+ * @param {string} serialized - Serialized view state
+ */
+function storeViewState(traceId, serialized) {
+  let index = [];
+  try {
+    const parsed = JSON.parse(storage(STORAGE_INDEX_KEY) || "[]");
+    index = Array.isArray(parsed) ? parsed.filter((id) => id !== traceId) : [];
+  } catch (error) {
+    console.log("[viewStateStorage storeViewState] Discarding unreadable index:", error.message);
+  }
+  index.push(traceId);
+  index.splice(0, Math.max(0, index.length - MAX_STORED_VIEW_STATES)).forEach((evictedId) => {
+    storage(`${STORAGE_PREFIX}${evictedId}`, null);
+  });
+  storage(STORAGE_INDEX_KEY, JSON.stringify(index));
+  storage(`${STORAGE_PREFIX}${traceId}`, serialized);
+}
+
+/**
+ * Gets the trace ID of a shared link.
+ * @returns {string|null}
+ */
+export function getSharedTraceId() {
+  return readHashParams().get("trace") || null;
+}
+
+/**
+ * Builds the hash of a link that opens a span, keeping the palette of the current view.
+ * @param {string} traceId - Trace ID
+ * @param {string} spanId - Span ID
+ * @returns {string} Hash including the leading `#`
+ */
+export function createSpanLinkHash(traceId, spanId) {
+  const params = readHashParams();
+  VIEW_STATE_KEYS.forEach((key) => params.delete(key));
+  params.set("trace", traceId);
+  params.set("span", spanId);
+  return `#${params}`;
+}
+
+/**
+ * Lists the expandable spans a user collapsed. Descendants of a collapsed span are collapsed
+ * along with it, so only the outermost collapsed spans are stored. In a filtered view the
+ * expansion of the full list is stored, not the forced one of the filtered list.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {import("./stateManager.js").TraceViewState} state - The view state
+ * @returns {string[]} Span IDs
+ */
+function collectCollapsedSpanIds(trace, state) {
+  const expandedChildren = state.expandedChildrenBeforeFilter ?? state.expandedChildren;
+  const collapsed = [];
+  const visit = (nodes) => {
+    nodes.forEach((node) => {
+      if (node.children.length === 0) {
+        return;
+      }
+      if (expandedChildren.has(node.span.spanId)) {
+        visit(node.children);
+      } else {
+        collapsed.push(node.span.spanId);
+      }
+    });
+  };
+  visit(trace.roots);
+  return collapsed;
+}
+
+/**
+ * Serializes a view state to query string parameters.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {import("./stateManager.js").TraceViewState} state - The view state
+ * @returns {URLSearchParams}
+ */
+export function serializeViewState(trace, state) {
+  const params = new URLSearchParams();
+  params.set("trace", trace.traceId);
+
+  if (state.focusedSpanId && trace.spanNodes.has(state.focusedSpanId)) {
+    params.set("span", state.focusedSpanId);
+  }
+
+  const start = state.timeWindowStart ?? 0;
+  const end = state.timeWindowEnd ?? 100;
+  if (start > 0 || end < 100) {
+    // Enough decimals for windows zoomed in to microseconds of long traces
+    params.set("window", `${Number(start.toFixed(6))}-${Number(end.toFixed(6))}`);
+  }
+
+  const collapsed = collectCollapsedSpanIds(trace, state);
+  if (collapsed.length > 0) {
+    params.set("collapsed", collapsed.join(","));
+  }
+
+  const details = Array.from(state.expandedAttributes).filter((spanId) => trace.spanNodes.has(spanId));
+  if (details.length > 0) {
+    params.set("details", details.join(","));
+  }
+
+  // Defaults (X on, Y off) are left out to keep links short
+  if (state.showRunlineX === false || state.showRunlineY) {
+    const runlines = [state.showRunlineX !== false ? "x" : null, state.showRunlineY ? "y" : null].filter(Boolean);
+    params.set("runlines", runlines.join(",") || "none");
+  }
+
+  if (state.viewMode === "critical-path") {
+    params.set("critical", "only");
+  } else if (state.showCriticalPath) {
+    params.set("critical", "highlight");
+  }
+
+  if (state.viewMode === "errors") {
+    params.set("errors", "only");
+  }
+
+  if (state.skewCorrectedServices?.size > 0) {
+    params.set("skew", Array.from(state.skewCorrectedServices).join(","));
+  }
+
+  if (state.colorBy) {
+    params.set("group", state.colorBy);
+  }
+
+  return params;
+}
+
+/**
+ * Applies serialized parameters onto a freshly created view state.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {import("./stateManager.js").TraceViewState} state - The view state
+ * @param {URLSearchParams} params - Parameters from serializeViewState
+ */
+export function applyViewState(trace, state, params) {
+  const splitIds = (key) => (params.get(key) || "").split(",").filter((spanId) => trace.spanNodes.has(spanId));
+
+  state.expandedChildren.clear();
+  state.initializedChildren = false;
+  ensureChildrenExpanded(trace, state);
+  splitIds("collapsed").forEach((spanId) => {
+    state.expandedChildren.delete(spanId);
+    pruneDescendantState(trace.spanNodes.get(spanId), state);
+  });
+
+  state.expandedAttributes = new Set(splitIds("details"));
+
+  const [start, end] = (params.get("window") || "").split("-").map(Number);
+  if (Number.isFinite(start) && Number.isFinite(end) && start >= 0 && end <= 100 && start < end) {
+    state.timeWindowStart = start;
+    state.timeWindowEnd = end;
+  }
+
+  if (params.has("runlines")) {
+    const runlines = params.get("runlines").split(",");
+    state.showRunlineX = runlines.includes("x");
+    state.showRunlineY = runlines.includes("y");
+  }
+
+  const critical = params.get("critical");
+  state.viewMode = critical === "only" ? "critical-path" : params.get("errors") === "only" ? "errors" : "all";
+  state.showCriticalPath = critical === "highlight";
+  state.skewCorrectedServices = new Set((params.get("skew") || "").split(",").filter(Boolean));
+  state.colorBy = params.get("group") || null;
+
+  // The selected span has to be visible to be scrolled to
+  const spanId = params.get("span");
+  if (spanId && trace.spanNodes.has(spanId)) {
+    state.focusedSpanId = spanId;
+    expandAncestors(trace, state, spanId);
+  }
+}
+
+/**
+ * Restores the stored view state of a trace: from the URL hash when it links to this trace,
+ * otherwise from localStorage.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {import("./stateManager.js").TraceViewState} state - A freshly created view state
+ * @returns {boolean} True when a stored state was applied
+ */
+export function restoreViewState(trace, state) {
+  if (!trace.traceId) {
+    return false;
+  }
+  let params = readHashParams();
+  if (params.get("trace") !== trace.traceId) {
+    const stored = storage(`${STORAGE_PREFIX}${trace.traceId}`);
+    if (stored === null) {
+      return false;
+    }
+    params = new URLSearchParams(stored);
+  }
+  console.log("[viewStateStorage restoreViewState] Restoring view state of trace", trace.traceId);
+  applyViewState(trace, state, params);
+  return true;
+}
+
+/**
+ * Writes a view state to the URL hash and localStorage.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {import("./stateManager.js").TraceViewState} state - The view state
+ */
+function writeViewState(trace, state) {
+  const serialized = serializeViewState(trace, state);
+  storeViewState(trace.traceId, serialized.toString());
+
+  const params = readHashParams();
+  VIEW_STATE_KEYS.forEach((key) => params.delete(key));
+  serialized.forEach((value, key) => params.set(key, value));
+  if (paletteState.activeId) {
+    params.set("palette", paletteState.activeId);
+  }
+  writeHashParams(params);
+}
+
+/**
+ * Saves a view state shortly after the last change, so toggling or arrowing through
+ * spans writes the URL once.
+ * @param {import("../ui/trace.js").TraceModel} trace - The trace model
+ * @param {import("./stateManager.js").TraceViewState} state - The view state
+ */
+export function saveViewState(trace, state) {
+  if (!trace.traceId) {
+    return;
+  }
+  if (pendingSave) {
+    clearTimeout(pendingSave.timer);
+    // A different trace was opened meanwhile; its last state must not be lost
+    if (pendingSave.trace.traceId !== trace.traceId) {
+      writeViewState(pendingSave.trace, pendingSave.state);
+    }
+  }
+  const timer = setTimeout(() => {
+    pendingSave = null;
+    writeViewState(trace, state);
+  }, SAVE_DELAY_MS);
+  pendingSave = { trace, state, timer };
+}
+
+/**
+ * Gets the palette to start with: the one of a shared link, otherwise the last chosen one.
+ * @returns {string|null} Palette ID
+ */
+export function getStoredPaletteId() {
+  return readHashParams().get("palette") || storage(PALETTE_STORAGE_KEY);
+}
+
+/**
+ * Remembers the active palette in the URL hash and localStorage.
+ * @param {string} paletteId - Palette ID
+ */
+export function savePaletteId(paletteId) {
+  storage(PALETTE_STORAGE_KEY, paletteId);
+  const params = readHashParams();
+  params.set("palette", paletteId);
+  writeHashParams(params);
+}
@@ -12,6 +12,7 @@ import { colorPalettes, LIVE_DEFAULT_INTERVAL } from "./core/config.js";
 import { paletteState, applyPalette, resolveColor, colorWithAlpha, setRerenderCallback } from "./core/palette.js";
 import { withGlowBlur, withGlowColor, withOutlineWidth } from "./core/effects.js";
 import { clamp } from "./core/utils.js";
+import { readHashParams, getSharedTraceId, getStoredPaletteId, savePaletteId } from "./core/viewStateStorage.js";
 
 const colorRoles = [
   "accentPrimary",
@@ -1338,6 +1339,7 @@ function initPaletteSelector() {
     if (selected) {
       console.log("[neonVibes.js] Palette select changed to:", selected.id);
       applyPalette(selected);
+      savePaletteId(selected.id);
     }
   });
 }
@@ -1353,17 +1355,12 @@ async function loadTraceData() {
   try {
     const response = await fetch("./sample1.json");
     if (response.ok) {
-      const otelData = await response.json();
-      const { parseOtelData } = await import("./ui/otelParser.js");
-      const { createVirtualSpanLogs } = await import("./ui/logs.js");
-      const parsed = parseOtelData(otelData);
+      // The importer also adds virtual log entries (span start, events, span end)
+      const { parseTraceText } = await import("./ui/traceImport.js");
+      const parsed = parseTraceText(await response.text());
       spans = parsed.spans;
       logs = parsed.logs;
 
-      // Add virtual log entries (span start, events, span end) for OTel spans
-      const virtualLogs = spans.flatMap(span => createVirtualSpanLogs(span));
-      logs = [...logs, ...virtualLogs];
-
       console.log("[neonVibes.js initNeonVibes] Loaded sample1.json:", spans.length, "spans,", logs.length, "logs");
     } else {
       console.log("[neonVibes.js initNeonVibes] sample1.json not found (status:", response.status, "), using sample data");
@@ -1379,12 +1376,41 @@ async function loadTraceData() {
   return { spans, logs };
 }
 
+// Trace components of the currently loaded trace, replaced when another trace is opened.
+const traceComponents = new Set();
+
+/**
+ * Removes the current trace components from the registry so a new trace can take over their hosts.
+ */
+function disposeTraceComponents() {
+  traceComponents.forEach((component) => {
+    componentRegistry.delete(component);
+    component.destroy?.();
+  });
+  traceComponents.clear();
+}
+
+/**
+ * Adds a trace component to both the palette registry and the current trace set.
+ * @param {{ render: Function, update: Function, destroy?: Function }} component - Trace component
+ */
+function registerTraceComponent(component) {
+  traceComponents.add(component);
+  componentRegistry.add(component);
+}
+
 /**
  * Initializes trace viewer components (log console, trace viewer, sequence diagram).
+ * Components of a previously loaded trace are disposed first.
  * @param {Array} spans - Trace spans
  * @param {Array} logs - Log rows
+ * @returns {Promise<{ spans: Array, logConsole: Object|null, traceViewer: Object|null, diagrams: Object[] }>}
+ *   The created components; the diagrams read `spans` again whenever they render
  */
 async function initTraceComponents(spans, logs) {
+  disposeTraceComponents();
+  const created = { spans, logConsole: null, traceViewer: null, diagrams: [] };
+
   const logConsoleHost = document.querySelector('[data-component="logConsole"]');
   const traceHost = document.querySelector('[data-component="traceViewer"]');
   const sequenceDiagramHost = document.querySelector('[data-component="sequenceDiagram"]');
@@ -1399,36 +1425,374 @@ async function initTraceComponents(spans, logs) {
 
   if (logConsoleHost) {
     const rerenderLogConsole = initLogConsole(logConsoleHost, logs);
-    componentRegistry.add(rerenderLogConsole);
+    registerTraceComponent(rerenderLogConsole);
+    created.logConsole = rerenderLogConsole;
   }
 
   if (traceHost) {
     const rerenderTrace = initTraceViewer(traceHost, spans, logs);
     console.log("[neonVibes.js initNeonVibes] Trace viewer initialized, component:", rerenderTrace);
     console.log("[neonVibes.js initNeonVibes] Component has update method:", typeof rerenderTrace?.update === "function");
-    componentRegistry.add(rerenderTrace);
+    registerTraceComponent(rerenderTrace);
+    created.traceViewer = rerenderTrace;
   }
 
   if (sequenceDiagramHost) {
     const { initSequenceDiagram } = await import("./ui/sequenceDiagram.js");
     const rerenderSequence = initSequenceDiagram(sequenceDiagramHost, spans);
     console.log("[neonVibes.js initNeonVibes] Sequence diagram initialized, component:", rerenderSequence);
-    componentRegistry.add(rerenderSequence);
+    registerTraceComponent(rerenderSequence);
+    created.diagrams.push(rerenderSequence);
   }
 
   if (flameChartHost) {
     const { initFlameChart } = await import("./ui/flameChart.js");
     const flameChartComponent = initFlameChart(flameChartHost, spans);
     console.log("[neonVibes.js initNeonVibes] Flame chart initialized, component:", flameChartComponent);
-    componentRegistry.add(flameChartComponent);
+    registerTraceComponent(flameChartComponent);
+    created.diagrams.push(flameChartComponent);
   }
 
   if (componentDiagramHost) {
     const { initComponentDiagram } = await import("./ui/componentDiagram.js");
     const componentDiagramComponent = initComponentDiagram(componentDiagramHost, spans);
     console.log("[neonVibes.js initNeonVibes] Component diagram initialized, component:", componentDiagramComponent);
-    componentRegistry.add(componentDiagramComponent);
+    registerTraceComponent(componentDiagramComponent);
+    created.diagrams.push(componentDiagramComponent);
+  }
+
+  return created;
+}
+
+// Trace list of the current session, replaced when another file is opened.
+let traceListComponent = null;
+
+// Trace pinned as comparison baseline. Kept when another file is opened so "before" and
+// "after" traces can come from different files.
+let comparisonBaseline = null;
+let traceDiffComponent = null;
+
+/**
+ * Pins a trace as comparison baseline, unpins it, or compares a trace with the pinned baseline.
+ * @param {Object} summary - Trace summary from the trace list
+ */
+async function compareWithBaseline(summary) {
+  if (!comparisonBaseline || comparisonBaseline.traceId === summary.traceId) {
+    comparisonBaseline = comparisonBaseline ? null : summary;
+    traceListComponent?.setBaseline(comparisonBaseline);
+    return;
+  }
+
+  const { initTraceDiff } = await import("./ui/traceDiff.js");
+  const traceDiffHost = document.querySelector('[data-component="traceDiff"]');
+  if (traceDiffComponent) {
+    componentRegistry.delete(traceDiffComponent);
+  }
+  traceDiffComponent = initTraceDiff(traceDiffHost, comparisonBaseline, summary, {
+    onClose: () => {
+      componentRegistry.delete(traceDiffComponent);
+      traceDiffComponent = null;
+    },
+  });
+  componentRegistry.add(traceDiffComponent);
+  traceDiffHost?.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// Spans and logs of the current session plus the components showing the selected trace.
+// Live streaming appends to it instead of starting a new session.
+const traceSession = { spans: [], logs: [], selectedTraceId: null, components: null };
+
+/**
+ * Shows a trace of the session in the trace components.
+ * @param {Object} summary - Trace summary
+ */
+async function selectTrace(summary) {
+  traceSession.selectedTraceId = summary.traceId ?? null;
+  traceSession.components = await initTraceComponents(summary.spans, summary.logs);
+}
+
+/**
+ * Starts a session for loaded spans and logs: groups them per traceId, shows the trace list
+ * and initializes the trace components with the trace of a shared link, or the first trace.
+ * @param {Array} spans - Spans of one or more traces
+ * @param {Array} logs - Log rows of one or more traces
+ */
+async function openTraceSession(spans, logs) {
+  const { groupSpansByTraceId } = await import("./ui/trace.js");
+  const { initTraceList } = await import("./ui/traceList.js");
+  const traces = groupSpansByTraceId(spans, logs);
+  console.log("[neonVibes.js openTraceSession] Session contains", traces.length, "traces");
+
+  traceSession.spans = [...spans];
+  traceSession.logs = [...logs];
+  const sharedTraceId = getSharedTraceId();
+  const initialTrace = traces.find((summary) => summary.traceId === sharedTraceId) ?? traces[0];
+
+  if (traceListComponent) {
+    componentRegistry.delete(traceListComponent);
+  }
+  const traceListHost = document.querySelector('[data-component="traceList"]');
+  traceListComponent = initTraceList(traceListHost, traces, {
+    selectedTraceId: initialTrace?.traceId,
+    onSelect: selectTrace,
+    baseline: comparisonBaseline,
+    onCompare: compareWithBaseline,
+  });
+  componentRegistry.add(traceListComponent);
+
+  await selectTrace(initialTrace ?? { spans: [], logs: [] });
+}
+
+/**
+ * Opens the view of a link pasted into an already open page: applies its palette and shows
+ * its trace when the session contains it (the trace viewer restores the rest from the hash).
+ */
+async function openSharedView() {
+  const palette = colorPalettes.find((candidate) => candidate.id === readHashParams().get("palette"));
+  if (palette && palette.id !== paletteState.activeId) {
+    applyPalette(palette);
+    const paletteSelect = document.querySelector("#palette-select");
+    if (paletteSelect) {
+      paletteSelect.value = palette.id;
+    }
   }
+
+  const { groupSpansByTraceId } = await import("./ui/trace.js");
+  const sharedTraceId = getSharedTraceId();
+  const summary = groupSpansByTraceId(traceSession.spans, traceSession.logs)
+    .find((candidate) => candidate.traceId === sharedTraceId);
+  if (summary) {
+    console.log("[neonVibes.js openSharedView] Opening shared trace", sharedTraceId);
+    traceListComponent?.setSelected(summary.traceId);
+    await selectTrace(summary);
+  } else if (sharedTraceId) {
+    // e.g. a span link into a trace that was not part of the opened file
+    const status = document.querySelector(".trace-import__status");
+    if (status) {
+      status.textContent = `Trace ${sharedTraceId} is not loaded`;
+      status.classList.add("trace-import__status--error");
+    }
+  }
+}
+
+// Diagrams are rebuilt from scratch on render, so live batches refresh them at most this often.
+const LIVE_DIAGRAM_REFRESH_MS = 1000;
+let liveDiagramRefreshTimer = null;
+
+/**
+ * Re-renders the diagrams of the selected trace once live batches stop arriving for a moment.
+ */
+function scheduleLiveDiagramRefresh() {
+  clearTimeout(liveDiagramRefreshTimer);
+  liveDiagramRefreshTimer = setTimeout(() => {
+    traceSession.components?.diagrams.forEach((diagram) => diagram.render());
+  }, LIVE_DIAGRAM_REFRESH_MS);
+}
+
+/**
+ * Adds streamed spans and logs to the current session. The trace list is refreshed and the
+ * selected trace's viewer and log console are patched incrementally.
+ * @param {Array} spans - New spans
+ * @param {Array} logs - New log rows
+ */
+async function appendToTraceSession(spans, logs) {
+  if (!traceListComponent || traceSession.selectedTraceId === null) {
+    await openTraceSession([...traceSession.spans, ...spans], [...traceSession.logs, ...logs]);
+    return;
+  }
+
+  const { groupSpansByTraceId } = await import("./ui/trace.js");
+  traceSession.spans.push(...spans);
+  traceSession.logs.push(...logs);
+  const traces = groupSpansByTraceId(traceSession.spans, traceSession.logs);
+  traceListComponent.setTraces(traces);
+
+  const selected = traces.find((summary) => summary.traceId === traceSession.selectedTraceId);
+  const components = traceSession.components;
+  if (!selected || !components) {
+    return;
+  }
+
+  const newSpans = new Set(spans);
+  const newLogs = new Set(logs);
+  const selectedSpans = selected.spans.filter((span) => newSpans.has(span));
+  const selectedLogs = selected.logs.filter((log) => newLogs.has(log));
+  if (selectedSpans.length === 0 && selectedLogs.length === 0) {
+    return;
+  }
+
+  components.spans.push(...selectedSpans);
+  components.traceViewer?.appendSpans(selectedSpans, selectedLogs);
+  components.logConsole?.appendRows(selectedLogs);
+  scheduleLiveDiagramRefresh();
+}
+
+/**
+ * Streams spans and logs from the local OTLP receiver (tools/otlpReceiver.mjs) into the page.
+ * The first batch replaces the initially loaded trace; later batches are appended.
+ * @param {string} eventsUrl - Receiver event stream URL
+ */
+async function startLiveSession(eventsUrl) {
+  const { connectLiveTraceStream } = await import("./ui/liveTraceClient.js");
+  const status = document.querySelector(".trace-import__status");
+  const setStatus = (text, isError = false) => {
+    if (status) {
+      status.textContent = text;
+      status.classList.toggle("trace-import__status--error", isError);
+    }
+  };
+
+  let batchCount = 0;
+  // Batches are applied one at a time so the async trace updates never interleave
+  let pending = Promise.resolve();
+
+  connectLiveTraceStream(eventsUrl, {
+    onStatus: (state, error) => {
+      if (state === "connected") {
+        setStatus(`Live · waiting for OTLP data at ${eventsUrl}`);
+      } else if (state === "error") {
+        setStatus(`Live · could not read a batch: ${error.message}`, true);
+      } else {
+        setStatus(`Live · ${state}…`, true);
+      }
+    },
+    onBatch: ({ spans, logs }, batch) => {
+      pending = pending.then(async () => {
+        if (batchCount === 0) {
+          await openTraceSession(spans, logs);
+        } else {
+          await appendToTraceSession(spans, logs);
+        }
+        batchCount++;
+        console.log("[neonVibes.js startLiveSession] Applied batch", batch.sequence, ":", spans.length, "spans,", logs.length, "logs");
+        setStatus(`Live · ${batchCount} batches · ${traceSession.spans.length} spans · ${traceSession.logs.length} logs`);
+      }).catch((error) => {
+        console.error("[neonVibes.js startLiveSession] Failed to apply batch", batch.sequence, error);
+        setStatus(`Live · could not apply a batch: ${error.message}`, true);
+      });
+    },
+  });
+}
+
+/**
+ * Parses a trace from a user-provided source and re-initializes every trace component with it.
+ * @param {() => Promise<{spans: Array, logs: Array, format: string}>} importTrace - Parser for the source
+ * @param {string} sourceLabel - Shown in the import status line
+ */
+async function openTrace(importTrace, sourceLabel) {
+  const status = document.querySelector(".trace-import__status");
+  if (status) {
+    status.textContent = `Loading ${sourceLabel}…`;
+    status.classList.remove("trace-import__status--error");
+  }
+
+  try {
+    const { spans, logs, format } = await importTrace();
+    await openTraceSession(spans, logs);
+    console.log("[neonVibes.js openTrace] Loaded", sourceLabel, "as", format, ":", spans.length, "spans,", logs.length, "logs");
+    if (status) {
+      status.textContent = `${sourceLabel} · ${format} · ${spans.length} spans · ${logs.length} logs`;
+    }
+  } catch (error) {
+    console.error("[neonVibes.js openTrace] Failed to load", sourceLabel, error);
+    if (status) {
+      status.textContent = `Could not load ${sourceLabel}: ${error.message}`;
+      status.classList.add("trace-import__status--error");
+    }
+  }
+}
+
+/**
+ * Opens a local file with the trace importer.
+ * @param {File} file - File from the picker, a drop or the clipboard
+ */
+async function openTraceFile(file) {
+  const { parseTraceFile } = await import("./ui/traceImport.js");
+  await openTrace(() => parseTraceFile(file), file.name || "file");
+}
+
+/**
+ * Checks whether an event target is an editable field that should keep default paste behavior.
+ * @param {EventTarget|null} target - Event target
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  return target instanceof HTMLElement
+    && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+}
+
+/**
+ * Wires the trace file picker, page-wide drag-and-drop and clipboard paste.
+ */
+function registerTraceImportControls() {
+  const fileInput = document.querySelector(".trace-import__input");
+  fileInput?.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    if (file) {
+      openTraceFile(file);
+    }
+    // Allow picking the same file again after it changed on disk
+    fileInput.value = "";
+  });
+
+  const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes("Files");
+  let dragDepth = 0;
+
+  document.addEventListener("dragenter", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    dragDepth++;
+    document.body.classList.add("trace-drop-active");
+  });
+
+  document.addEventListener("dragleave", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+      document.body.classList.remove("trace-drop-active");
+    }
+  });
+
+  document.addEventListener("dragover", (event) => {
+    if (hasFiles(event)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+    }
+  });
+
+  document.addEventListener("drop", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove("trace-drop-active");
+    const file = event.dataTransfer.files?.[0];
+    if (file) {
+      openTraceFile(file);
+    }
+  });
+
+  document.addEventListener("paste", async (event) => {
+    if (isEditableTarget(event.target)) {
+      return;
+    }
+    const file = event.clipboardData?.files?.[0];
+    const text = event.clipboardData?.getData("text/plain");
+    if (!file && !text?.trim()) {
+      return;
+    }
+    event.preventDefault();
+    if (file) {
+      openTraceFile(file);
+      return;
+    }
+    const { parseTraceText } = await import("./ui/traceImport.js");
+    openTrace(async () => parseTraceText(text), "pasted data");
+  });
 }
 
 async function initNeonVibes() {
@@ -1438,9 +1802,12 @@ async function initNeonVibes() {
   setRerenderCallback(rerenderAllComponents);
   console.log("[neonVibes.js initNeonVibes] Registered rerenderAllComponents callback");
 
-  // Initialize default palette
+  // Initialize the palette of a shared link, the last chosen one or the default palette
+  const storedPaletteId = getStoredPaletteId();
   const defaultPalette =
-    colorPalettes.find((palette) => palette.id === paletteState.activeId) ?? colorPalettes[0];
+    colorPalettes.find((palette) => palette.id === storedPaletteId) ??
+    colorPalettes.find((palette) => palette.id === paletteState.activeId) ??
+    colorPalettes[0];
   if (defaultPalette) {
     console.log("[neonVibes.js initNeonVibes] Applying default palette:", defaultPalette.id);
     applyPalette(defaultPalette);
@@ -1451,6 +1818,7 @@ async function initNeonVibes() {
   registerRendererControl();
   registerBackgroundControl();
   initPaletteSelector();
+  registerTraceImportControls();
 
   // Initialize chart components
   const components = document.querySelectorAll(".component-card");
@@ -1458,7 +1826,17 @@ async function initNeonVibes() {
 
   // Load trace data and initialize trace components
   const { spans, logs } = await loadTraceData();
-  await initTraceComponents(spans, logs);
+  await openTraceSession(spans, logs);
+
+  // Links pasted into the open page only change the hash (our own updates use replaceState)
+  window.addEventListener("hashchange", openSharedView);
+
+  // ?live (or ?live=<events url>) streams data from the local OTLP receiver
+  const liveParam = new URLSearchParams(window.location.search).get("live");
+  if (liveParam !== null) {
+    const { DEFAULT_LIVE_EVENTS_URL } = await import("./ui/liveTraceClient.js");
+    await startLiveSession(liveParam || DEFAULT_LIVE_EVENTS_URL);
+  }
 }
 
 if (document.readyState === "loading") {
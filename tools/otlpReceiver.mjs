@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+/**
+ * NeonVibes Local OTLP Receiver
+ * Accepts OTLP/HTTP exports (POST /v1/traces, /v1/logs) from a dev service and streams them
+ * to open NeonVibes pages over Server-Sent Events (GET /events). Also serves the NeonVibes
+ * files so the page and the stream share one origin.
+ *
+ * Usage: node tools/otlpReceiver.mjs [--port 4318] [--host 127.0.0.1] [--allow-origin <origin>]
+ * Then open http://localhost:4318/?live and point the exporter at http://localhost:4318
+ * (e.g. OTEL_EXPORTER_OTLP_ENDPOINT=http://localhost:4318).
+ *
+ * Other websites must not read the stream or inject spans: the stream sends no CORS headers,
+ * and browsers may only export from the origin given with --allow-origin (e.g. a web app
+ * using the OTel browser SDK). Exporters outside a browser send no Origin and are accepted.
+ * Only the files of the page are served, not the rest of the repository.
+ *
+ * No dependencies: payloads are forwarded as-is (JSON, or protobuf as base64) and decoded
+ * in the browser by the same parsers used for file import.
+ */
+
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import { extname, join, normalize, relative, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { gunzipSync, inflateSync } from "node:zlib";
+
+const ROOT_DIR = resolve(fileURLToPath(new URL("..", import.meta.url)));
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+const KEEP_ALIVE_MS = 15000;
+
+const SIGNAL_BY_PATH = {
+  "/v1/traces": "traces",
+  "/v1/logs": "logs",
+  "/v1/metrics": "metrics",
+};
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+// Root files and directories of the page; neonVibes.js imports charts/ and themes/ too
+const STATIC_ROOT_FILES = new Set(["index.html", "sample1.json"]);
+const STATIC_DIRS = new Set(["core", "ui", "charts", "themes"]);
+
+/**
+ * Parses --port/--host/--allow-origin command line options
+ * @param {string[]} argv - Process arguments
+ * @returns {{ port: number, host: string, allowOrigin: string|null }}
+ */
+function parseOptions(argv) {
+  const options = { port: Number(process.env.PORT) || 4318, host: "127.0.0.1", allowOrigin: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port" && argv[i + 1]) {
+      options.port = Number(argv[++i]);
+    } else if (argv[i] === "--host" && argv[i + 1]) {
+      options.host = argv[++i];
+    } else if (argv[i] === "--allow-origin" && argv[i + 1]) {
+      options.allowOrigin = argv[++i];
+    }
+  }
+  return options;
+}
+
+const options = parseOptions(process.argv.slice(2));
+
+/**
+ * CORS headers for an OTLP/HTTP export, granted to the --allow-origin origin only
+ * @param {import("node:http").IncomingMessage} request - Incoming request
+ * @returns {Object} Headers, empty for any other origin
+ */
+function getExportCorsHeaders(request) {
+  if (!options.allowOrigin || request.headers.origin !== options.allowOrigin) {
+    return {};
+  }
+  return {
+    "Access-Control-Allow-Origin": options.allowOrigin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Content-Encoding",
+    Vary: "Origin",
+  };
+}
+
+/**
+ * Whether a request comes from a page of another website than this server or --allow-origin
+ * @param {import("node:http").IncomingMessage} request - Incoming request
+ * @returns {boolean}
+ */
+function isForeignOrigin(request) {
+  const { origin } = request.headers;
+  return Boolean(origin) && origin !== options.allowOrigin && origin !== `http://${request.headers.host}`;
+}
+
+/** @type {Set<import("node:http").ServerResponse>} */
+const eventClients = new Set();
+let batchSequence = 0;
+
+/**
+ * Sends one SSE event to every connected page
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function broadcast(event, data) {
+  const message = `event: ${event}\nid: ${data.sequence ?? ""}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach((client) => client.write(message));
+}
+
+/**
+ * Reads a request body with a size limit and undoes Content-Encoding
+ * @param {import("node:http").IncomingMessage} request - Incoming request
+ * @returns {Promise<Buffer>} Decoded body
+ */
+async function readBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error("Payload too large"), { statusCode: 413 });
+    }
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks);
+  const encoding = (request.headers["content-encoding"] || "").toLowerCase();
+  if (encoding === "gzip") {
+    return gunzipSync(body);
+  }
+  if (encoding === "deflate") {
+    return inflateSync(body);
+  }
+  return body;
+}
+
+/**
+ * Handles an OTLP/HTTP export request
+ * @param {import("node:http").IncomingMessage} request - Incoming request
+ * @param {import("node:http").ServerResponse} response - Response
+ * @param {string} signal - "traces", "logs" or "metrics"
+ */
+async function handleExport(request, response, signal) {
+  const corsHeaders = getExportCorsHeaders(request);
+  const contentType = (request.headers["content-type"] || "").toLowerCase();
+  const isProtobuf = contentType.includes("protobuf");
+  const body = await readBody(request);
+
+  // Metrics are accepted so exporters sharing one endpoint do not log errors, but not displayed
+  if (signal !== "metrics" && body.length > 0) {
+    let payload;
+    if (isProtobuf) {
+      payload = body.toString("base64");
+    } else {
+      try {
+        payload = JSON.parse(body.toString("utf8"));
+      } catch (error) {
+        response.writeHead(400, { ...corsHeaders, "Content-Type": "application/json" });
+        response.end(JSON.stringify({ code: 3, message: `Invalid JSON: ${error.message}` }));
+        return;
+      }
+    }
+    const sequence = ++batchSequence;
+    broadcast("otlp", { sequence, signal, encoding: isProtobuf ? "protobuf" : "json", payload });
+    console.log(`[otlpReceiver] #${sequence} ${signal} (${isProtobuf ? "protobuf" : "json"}, ${body.length} bytes) -> ${eventClients.size} page(s)`);
+  }
+
+  // An empty Export*ServiceResponse means full success in both encodings
+  if (isProtobuf) {
+    response.writeHead(200, { ...corsHeaders, "Content-Type": "application/x-protobuf" });
+    response.end();
+  } else {
+    response.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
+    response.end("{}");
+  }
+}
+
+/**
+ * Opens an SSE stream for a NeonVibes page
+ * @param {import("node:http").IncomingMessage} request - Incoming request
+ * @param {import("node:http").ServerResponse} response - Response
+ */
+function handleEvents(request, response) {
+  response.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  response.write(": connected\n\n");
+  eventClients.add(response);
+  console.log(`[otlpReceiver] Page connected (${eventClients.size} open)`);
+
+  const keepAlive = setInterval(() => response.write(": keep-alive\n\n"), KEEP_ALIVE_MS);
+  request.on("close", () => {
+    clearInterval(keepAlive);
+    eventClients.delete(response);
+    console.log(`[otlpReceiver] Page disconnected (${eventClients.size} open)`);
+  });
+}
+
+/**
+ * Whether a file belongs to the page: index.html, neonVibes.*, the sample trace and the
+ * module directories
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean}
+ */
+function isPageFile(filePath) {
+  const segments = relative(ROOT_DIR, filePath).split(sep);
+  if (segments.length === 1) {
+    return STATIC_ROOT_FILES.has(segments[0]) || segments[0].startsWith("neonVibes.");
+  }
+  return STATIC_DIRS.has(segments[0]);
+}
+
+/**
+ * Serves a file of the page from the repository root
+ * @param {string} pathname - Request path
+ * @param {import("node:http").ServerResponse} response - Response
+ */
+async function handleStatic(pathname, response) {
+  const relativePath = normalize(decodeURIComponent(pathname === "/" ? "/index.html" : pathname));
+  const filePath = join(ROOT_DIR, relativePath);
+  if (!filePath.startsWith(ROOT_DIR + sep) || !isPageFile(filePath)) {
+    response.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+    return;
+  }
+
+  try {
+    const info = await stat(filePath);
+    if (!info.isFile()) {
+      throw Object.assign(new Error("Not a file"), { code: "ENOENT" });
+    }
+    const content = await readFile(filePath);
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[extname(filePath).toLowerCase()] || "application/octet-stream",
+      "Cache-Control": "no-cache",
+    });
+    response.end(content);
+  } catch (error) {
+    response.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+  }
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, "http://localhost");
+  try {
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, SIGNAL_BY_PATH[pathname] ? getExportCorsHeaders(request) : {}).end();
+    } else if (request.method === "POST" && SIGNAL_BY_PATH[pathname] && isForeignOrigin(request)) {
+      response.writeHead(403, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ code: 7, message: "Origin not allowed, see --allow-origin" }));
+    } else if (request.method === "POST" && SIGNAL_BY_PATH[pathname]) {
+      await handleExport(request, response, SIGNAL_BY_PATH[pathname]);
+    } else if (request.method === "GET" && pathname === "/events") {
+      handleEvents(request, response);
+    } else if (request.method === "GET" || request.method === "HEAD") {
+      await handleStatic(pathname, response);
+    } else {
+      response.writeHead(405).end();
+    }
+  } catch (error) {
+    console.error(`[otlpReceiver] ${request.method} ${pathname} failed:`, error.message);
+    if (!response.headersSent) {
+      response.writeHead(error.statusCode || 500, { ...getExportCorsHeaders(request), "Content-Type": "application/json" });
+    }
+    response.end(JSON.stringify({ code: 13, message: error.message }));
+  }
+});
+
+const { port, host } = options;
+server.listen(port, host, () => {
+  console.log(`[otlpReceiver] Listening on http://${host}:${port}`);
+  console.log(`[otlpReceiver] Open http://localhost:${port}/?live and export OTLP/HTTP to http://localhost:${port}`);
+});
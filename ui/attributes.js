@@ -94,12 +94,50 @@ export function formatAnyValueMultiline(anyValue) {
   }
 }
 
+/**
+ * Converts an AnyValue to the plain JSON value it stands for (bytes as hex text, int64
+ * values beyond the safe integer range as strings).
+ * @param {LogAnyValue} anyValue
+ * @returns {string|number|boolean|null|Array|Object}
+ */
+export function toJsonValue(anyValue) {
+  switch (anyValue.kind) {
+    case LogAnyValueKind.STRING:
+    case LogAnyValueKind.BOOLEAN:
+    case LogAnyValueKind.DOUBLE:
+      return anyValue.value;
+    case LogAnyValueKind.INT: {
+      const number = Number(anyValue.value);
+      return Number.isSafeInteger(number) ? number : String(anyValue.value);
+    }
+    case LogAnyValueKind.BYTES:
+      return formatAnyValueInline(anyValue);
+    case LogAnyValueKind.ARRAY:
+      return (anyValue.value || []).map(toJsonValue);
+    case LogAnyValueKind.KVLIST:
+      return attributesToJson(anyValue.value || []);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts attributes to a plain JSON object keyed by attribute name.
+ * @param {LogAttribute[]} attributes
+ * @returns {Object<string, any>}
+ */
+export function attributesToJson(attributes) {
+  return Object.fromEntries(attributes.map((attribute) => [attribute.key, toJsonValue(attribute.value)]));
+}
+
 /**
  * Creates a reusable attribute table component with columns for name, type, and value.
  * @param {LogAttribute[]} attributes
+ * @param {Object} [options]
+ * @param {(attribute: LogAttribute) => Node|null} [options.renderActions] - Adds an actions column with the returned controls
  * @returns {HTMLTableElement}
  */
-export function createAttributeTable(attributes) {
+export function createAttributeTable(attributes, { renderActions = null } = {}) {
   const table = document.createElement("table");
   table.className = "log-attributes-table";
   const thead = document.createElement("thead");
@@ -110,6 +148,13 @@ export function createAttributeTable(attributes) {
     th.textContent = label;
     headerRow.appendChild(th);
   });
+  if (renderActions) {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.className = "log-attributes-table__actions";
+    th.setAttribute("aria-label", "Actions");
+    headerRow.appendChild(th);
+  }
   thead.appendChild(headerRow);
   table.appendChild(thead);
 
@@ -128,6 +173,15 @@ export function createAttributeTable(attributes) {
     valueCell.textContent = formatAnyValueMultiline(attribute.value);
 
     tr.append(nameCell, typeCell, valueCell);
+    if (renderActions) {
+      const actionsCell = document.createElement("td");
+      actionsCell.className = "log-attributes-table__actions";
+      const actions = renderActions(attribute);
+      if (actions) {
+        actionsCell.appendChild(actions);
+      }
+      tr.appendChild(actionsCell);
+    }
     tbody.appendChild(tr);
   });
   table.appendChild(tbody);
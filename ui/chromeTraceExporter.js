@@ -0,0 +1,201 @@
+/**
+ * Chrome Trace Event Exporter
+ * Converts a TraceModel into Chrome Trace Event JSON (the format read by Perfetto and
+ * chrome://tracing): one process per service, spans as complete ("X") events on lanes
+ * (threads) that keep them properly nested, span events as instant ("i") events and
+ * flow arrows for parent/child calls that cross services.
+ */
+
+import { LogAnyValueKind, normalizeAnyValue } from "./logs.js";
+import { toNumberTimestamp } from "./trace.js";
+
+/**
+ * @typedef {import("./trace.js").TraceModel} TraceModel
+ * @typedef {import("./trace.js").TraceSpanNode} TraceSpanNode
+ */
+
+/**
+ * Converts an AnyValue to a plain JSON value for event args
+ * @param {import("./logs.js").LogAnyValue|Record<string, any>} value - Attribute value
+ * @returns {any} Plain value
+ */
+function toPlainValue(value) {
+  const normalized = normalizeAnyValue(value);
+  switch (normalized.kind) {
+    case LogAnyValueKind.ARRAY:
+      return normalized.value.map((item) => toPlainValue(item));
+    case LogAnyValueKind.KVLIST:
+      return toPlainArgs(normalized.value);
+    case LogAnyValueKind.BYTES:
+      return Array.from(normalized.value, (byte) => byte.toString(16).padStart(2, "0")).join("");
+    case LogAnyValueKind.EMPTY:
+      return null;
+    default:
+      return normalized.value;
+  }
+}
+
+/**
+ * Converts an attribute list to an args object
+ * @param {Array<{ key: string, value: any }>|undefined} attributes - Attributes
+ * @returns {Object<string, any>}
+ */
+function toPlainArgs(attributes) {
+  const args = {};
+  (attributes || []).forEach(({ key, value }) => {
+    args[key] = toPlainValue(value);
+  });
+  return args;
+}
+
+/**
+ * Converts nanoseconds to the microseconds Chrome trace events use
+ * @param {number|bigint|string} value - Nanoseconds
+ * @returns {number} Microseconds
+ */
+function toMicroseconds(value) {
+  return toNumberTimestamp(value) / 1000;
+}
+
+/**
+ * Lists span nodes depth-first in start time order
+ * @param {TraceModel} trace - Trace model
+ * @returns {TraceSpanNode[]}
+ */
+function collectNodes(trace) {
+  const nodes = [];
+  const visit = (node) => {
+    // Placeholders for missing parents were never received
+    if (!node.isPlaceholder) {
+      nodes.push(node);
+    }
+    node.children.forEach(visit);
+  };
+  trace.roots.forEach(visit);
+  return nodes.sort((a, b) =>
+    toNumberTimestamp(a.span.startTimeUnixNano) - toNumberTimestamp(b.span.startTimeUnixNano) ||
+    toNumberTimestamp(b.span.endTimeUnixNano) - toNumberTimestamp(a.span.endTimeUnixNano)
+  );
+}
+
+/**
+ * Assigns spans of one service to lanes. Complete events on one thread must nest, so a span
+ * goes to the first lane where it either starts after everything open there has ended or fits
+ * entirely inside the innermost open span.
+ * @param {TraceSpanNode[]} nodes - Nodes of one service in start time order
+ * @returns {Map<string, number>} Lane (1-based tid) by span ID
+ */
+function assignLanes(nodes) {
+  /** @type {number[][]} Open span end times per lane */
+  const lanes = [];
+  const laneBySpanId = new Map();
+
+  nodes.forEach((node) => {
+    const start = toNumberTimestamp(node.span.startTimeUnixNano);
+    const end = Math.max(start, toNumberTimestamp(node.span.endTimeUnixNano));
+    let laneIndex = lanes.findIndex((openEnds) => {
+      while (openEnds.length > 0 && openEnds[openEnds.length - 1] <= start) {
+        openEnds.pop();
+      }
+      return openEnds.length === 0 || openEnds[openEnds.length - 1] >= end;
+    });
+    if (laneIndex === -1) {
+      lanes.push([]);
+      laneIndex = lanes.length - 1;
+    }
+    lanes[laneIndex].push(end);
+    laneBySpanId.set(node.span.spanId, laneIndex + 1);
+  });
+
+  return laneBySpanId;
+}
+
+/**
+ * Builds Chrome Trace Event JSON for a trace.
+ * @param {TraceModel} trace - Trace model from buildTraceModel
+ * @returns {{ traceEvents: Object[], displayTimeUnit: string, otherData: Object }}
+ */
+export function buildChromeTrace(trace) {
+  const nodes = collectNodes(trace);
+  const serviceNames = Array.from(new Set(nodes.map((node) => node.span.resource?.serviceName || "unknown-service")));
+  const pidByService = new Map(serviceNames.map((serviceName, index) => [serviceName, index + 1]));
+
+  const traceEvents = [];
+  const placement = new Map();
+
+  serviceNames.forEach((serviceName) => {
+    const pid = pidByService.get(serviceName);
+    const serviceNodes = nodes.filter((node) => (node.span.resource?.serviceName || "unknown-service") === serviceName);
+    const laneBySpanId = assignLanes(serviceNodes);
+
+    traceEvents.push({ ph: "M", name: "process_name", pid, tid: 0, args: { name: serviceName } });
+    traceEvents.push({ ph: "M", name: "process_sort_index", pid, tid: 0, args: { sort_index: pid } });
+    new Set(laneBySpanId.values()).forEach((tid) => {
+      traceEvents.push({ ph: "M", name: "thread_name", pid, tid, args: { name: `lane ${tid}` } });
+    });
+
+    serviceNodes.forEach((node) => {
+      placement.set(node.span.spanId, { pid, tid: laneBySpanId.get(node.span.spanId) });
+    });
+  });
+
+  nodes.forEach((node) => {
+    const { span } = node;
+    const { pid, tid } = placement.get(span.spanId);
+    const ts = toMicroseconds(span.startTimeUnixNano);
+
+    traceEvents.push({
+      ph: "X",
+      name: span.name,
+      cat: span.kind,
+      ts,
+      dur: Math.max(0, toMicroseconds(span.endTimeUnixNano) - ts),
+      pid,
+      tid,
+      args: {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId || undefined,
+        status: span.status?.code,
+        statusMessage: span.status?.message,
+        ...toPlainArgs(span.attributes),
+      },
+    });
+
+    (span.events || []).forEach((event) => {
+      traceEvents.push({
+        ph: "i",
+        s: "t",
+        name: event.name,
+        cat: "span.event",
+        ts: toMicroseconds(event.timeUnixNano),
+        pid,
+        tid,
+        args: toPlainArgs(event.attributes),
+      });
+    });
+
+    // Flow arrow from the parent to a child running in another service
+    const parentPlacement = placement.get(span.parentSpanId);
+    if (parentPlacement && parentPlacement.pid !== pid) {
+      const flow = { name: "call", cat: "span.flow", id: span.spanId, ts };
+      traceEvents.push({ ...flow, ph: "s", pid: parentPlacement.pid, tid: parentPlacement.tid });
+      traceEvents.push({ ...flow, ph: "f", bp: "e", pid, tid });
+    }
+  });
+
+  return {
+    traceEvents,
+    displayTimeUnit: "ms",
+    otherData: { traceId: trace.traceId, spanCount: trace.spanCount },
+  };
+}
+
+/**
+ * Builds the download file name for a Chrome trace export
+ * @param {string} traceId - Trace ID
+ * @returns {string} File name
+ */
+export function createChromeTraceFileName(traceId) {
+  return `trace-${traceId || "unknown"}.chrome-trace.json`;
+}
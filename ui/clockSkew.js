@@ -0,0 +1,240 @@
+/**
+ * Clock Skew
+ * Detects clock differences between the hosts of a trace and corrects them per service.
+ *
+ * A SERVER span handles the request of its CLIENT parent, so it has to fit inside it. When
+ * a server span of another service starts before its client or ends after it, that
+ * service's clock is off: the offset centres the server span in its client span (assuming
+ * equal network latency both ways), or aligns the starts when the server span is the
+ * longer one. Only client/server pairs decide offsets: the first pair of a service (parents
+ * first) whose client side is settled, i.e. the client's service has a known offset or is
+ * never called itself, so offsets add up along chains of calls. Services that only show up
+ * as roots, internal spans or consumers keep their clock.
+ *
+ * The correction is opt-in and chosen per skewed service.
+ */
+
+import { SpanKind, computeSelfTimeNano, toNumberTimestamp } from "./trace.js";
+
+/**
+ * @typedef {import("./trace.js").TraceModel} TraceModel
+ * @typedef {import("./trace.js").TraceSpanNode} TraceSpanNode
+ */
+
+/**
+ * @typedef {Object} ClockSkew
+ * @property {Map<string, number>} offsets - Per service, nanoseconds to add to its timestamps
+ *   (only services that need a correction)
+ * @property {Map<string, string>} evidence - Per corrected service, the client span ID its offset was inferred from
+ */
+
+// Trace models are immutable once built, so skew is detected once per model
+const clockSkewCache = new WeakMap();
+// Per model, corrected copies keyed by the corrected services
+const correctedTraceCache = new WeakMap();
+
+/**
+ * Gets the service a span ran in, which stands in for its host.
+ * @param {TraceSpanNode} node - Span node
+ * @returns {string}
+ */
+function getServiceName(node) {
+  return node.span.resource?.serviceName || "unknown-service";
+}
+
+/**
+ * Computes how far a server span has to move to fit its client span.
+ * @param {{start: number, end: number}} client - Client span range (already corrected)
+ * @param {{start: number, end: number}} server - Server span range
+ * @returns {number} Offset in nanoseconds, 0 when the server span already fits
+ */
+function computeServerOffset(client, server) {
+  if (server.start >= client.start && server.end <= client.end) {
+    return 0;
+  }
+  const clientDuration = client.end - client.start;
+  const serverDuration = server.end - server.start;
+  if (serverDuration >= clientDuration) {
+    return client.start - server.start;
+  }
+  const latency = (clientDuration - serverDuration) / 2;
+  return client.start + latency - server.start;
+}
+
+/**
+ * Reads a span's start and end shifted by an offset.
+ * @param {TraceSpanNode} node - Span node
+ * @param {number} offset - Offset in nanoseconds
+ * @returns {{start: number, end: number}}
+ */
+function getShiftedRange(node, offset) {
+  const start = toNumberTimestamp(node.span.startTimeUnixNano) + offset;
+  return { start, end: Math.max(start, toNumberTimestamp(node.span.endTimeUnixNano) + offset) };
+}
+
+/**
+ * Detects clock skew between the services of a trace.
+ * @param {TraceModel} trace - Trace model (uncorrected)
+ * @returns {ClockSkew}
+ */
+export function detectClockSkew(trace) {
+  const cached = clockSkewCache.get(trace);
+  if (cached) {
+    return cached;
+  }
+
+  // Client/server pairs across services, breadth first so callers come before their callees
+  const pairs = [];
+  const queue = [...trace.roots];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    node.children.forEach((child) => {
+      const isServerOfClient = node.span.kind === SpanKind.CLIENT &&
+        child.span.kind === SpanKind.SERVER &&
+        getServiceName(node) !== getServiceName(child);
+      if (isServerOfClient) {
+        pairs.push({ client: node, server: child, clientService: getServiceName(node), serverService: getServiceName(child) });
+      }
+      queue.push(child);
+    });
+  }
+
+  const calledServices = new Set(pairs.map((pair) => pair.serverService));
+  const serviceOffsets = new Map();
+  const evidence = new Map();
+  const isSettled = (serviceName) => serviceOffsets.has(serviceName) || !calledServices.has(serviceName);
+  let pending = pairs;
+  while (pending.length > 0) {
+    // A pair whose client clock is known; in a cycle of calls the first pair has to do
+    const pair = pending.find((candidate) => isSettled(candidate.clientService)) ?? pending[0];
+    const clientOffset = serviceOffsets.get(pair.clientService) ?? 0;
+    const offset = computeServerOffset(getShiftedRange(pair.client, clientOffset), getShiftedRange(pair.server, 0));
+    serviceOffsets.set(pair.serverService, offset);
+    if (offset !== 0) {
+      evidence.set(pair.serverService, pair.client.span.spanId);
+    }
+    pending = pending.filter((candidate) => !serviceOffsets.has(candidate.serverService));
+  }
+
+  const offsets = new Map(Array.from(serviceOffsets).filter(([, offset]) => offset !== 0));
+  if (offsets.size > 0) {
+    console.log("[clockSkew detectClockSkew] Skewed services:", Object.fromEntries(offsets));
+  }
+  const clockSkew = { offsets, evidence };
+  clockSkewCache.set(trace, clockSkew);
+  return clockSkew;
+}
+
+/**
+ * Shifts a timestamp, keeping bigint timestamps bigint.
+ * @param {number|bigint} value - Timestamp in nanoseconds
+ * @param {number} offset - Offset in nanoseconds
+ * @returns {number|bigint}
+ */
+function shiftTimestamp(value, offset) {
+  if (typeof value === "bigint") {
+    return value + BigInt(Math.round(offset));
+  }
+  return toNumberTimestamp(value) + offset;
+}
+
+/**
+ * Builds a copy of a trace with the clock skew of the chosen services corrected. Span, event
+ * and log timestamps of those services are shifted; the original spans stay untouched.
+ * `uncorrectedTrace` points back to the input and `correctedServices` lists the shifted services.
+ * @param {TraceModel} trace - Trace model (uncorrected)
+ * @param {Iterable<string>} serviceNames - Services to correct; services without skew are ignored
+ * @returns {TraceModel & { uncorrectedTrace: TraceModel, correctedServices: Set<string> }}
+ *   Corrected trace model (the input when none of the services is skewed)
+ */
+export function buildClockSkewCorrectedTrace(trace, serviceNames) {
+  const chosen = new Set(serviceNames);
+  const offsets = new Map(Array.from(detectClockSkew(trace).offsets).filter(([serviceName]) => chosen.has(serviceName)));
+  if (offsets.size === 0) {
+    return trace;
+  }
+  const cacheKey = Array.from(offsets.keys()).sort().join("\n");
+  const cachedByServices = correctedTraceCache.get(trace) ?? new Map();
+  correctedTraceCache.set(trace, cachedByServices);
+  if (cachedByServices.has(cacheKey)) {
+    return cachedByServices.get(cacheKey);
+  }
+
+  const spanNodes = new Map();
+  let startTimeUnixNano = Number.POSITIVE_INFINITY;
+  let endTimeUnixNano = Number.NEGATIVE_INFINITY;
+
+  const copyNode = (node) => {
+    const offset = offsets.get(getServiceName(node)) ?? 0;
+    const span = offset === 0 ? node.span : {
+      ...node.span,
+      startTimeUnixNano: shiftTimestamp(node.span.startTimeUnixNano, offset),
+      endTimeUnixNano: shiftTimestamp(node.span.endTimeUnixNano, offset),
+      events: (node.span.events || []).map((event) => ({ ...event, timeUnixNano: shiftTimestamp(event.timeUnixNano, offset) })),
+    };
+    const copy = {
+      ...node,
+      span,
+      logs: offset === 0 ? node.logs : (node.logs || []).map((logRow) => ({ ...logRow, timeUnixNano: shiftTimestamp(logRow.timeUnixNano, offset) })),
+      events: offset === 0 ? node.events : span.events,
+      children: node.children.map(copyNode).sort((a, b) =>
+        toNumberTimestamp(a.span.startTimeUnixNano) - toNumberTimestamp(b.span.startTimeUnixNano)
+      ),
+    };
+    // Children of other services moved relative to this span
+    copy.selfTimeNano = computeSelfTimeNano(copy);
+    startTimeUnixNano = Math.min(startTimeUnixNano, toNumberTimestamp(span.startTimeUnixNano));
+    endTimeUnixNano = Math.max(endTimeUnixNano, toNumberTimestamp(span.endTimeUnixNano));
+    spanNodes.set(span.spanId, copy);
+    return copy;
+  };
+
+  const roots = trace.roots.map(copyNode);
+  const correctedTrace = {
+    ...trace,
+    startTimeUnixNano,
+    endTimeUnixNano,
+    durationNano: Math.max(endTimeUnixNano - startTimeUnixNano, 0),
+    roots,
+    spanNodes,
+    uncorrectedTrace: trace,
+    correctedServices: new Set(offsets.keys()),
+  };
+  cachedByServices.set(cacheKey, correctedTrace);
+  return correctedTrace;
+}
+
+/**
+ * Picks the trace model to display: corrected for the clock skew of the chosen services or not.
+ * @param {TraceModel} trace - Trace model, corrected or not
+ * @param {Iterable<string>} serviceNames - Services to correct; empty shows the recorded timestamps
+ * @returns {TraceModel}
+ */
+export function resolveClockSkew(trace, serviceNames) {
+  return buildClockSkewCorrectedTrace(trace.uncorrectedTrace ?? trace, serviceNames);
+}
+
+/**
+ * Gets the clock skew of a span's service.
+ * @param {TraceModel} trace - Trace model, corrected or not
+ * @param {TraceSpanNode} node - Span node
+ * @returns {{ offsetNano: number, isCorrected: boolean, serviceName: string, clientSpanId: string }|null}
+ *   Null when the span's service is not skewed
+ */
+export function getSpanClockSkew(trace, node) {
+  // Filtered traces (critical path only) point to the full trace they were built from
+  const fullTrace = trace.sourceTrace ?? trace;
+  const uncorrectedTrace = fullTrace.uncorrectedTrace ?? fullTrace;
+  const { offsets, evidence } = detectClockSkew(uncorrectedTrace);
+  const serviceName = getServiceName(node);
+  const offsetNano = offsets.get(serviceName);
+  if (offsetNano === undefined) {
+    return null;
+  }
+  return {
+    offsetNano,
+    isCorrected: Boolean(fullTrace.correctedServices?.has(serviceName)),
+    serviceName,
+    clientSpanId: evidence.get(serviceName),
+  };
+}
@@ -10,7 +10,8 @@
 
 import { createComponentKey, ComponentKind } from "./metaModel.js";
 import { escapeMermaid, escapeMermaidId } from "../core/strings.js";
-import { buildTraceModel } from "./trace.js";
+import { buildTraceModel, getReceivedRoots } from "./trace.js";
+import { buildResourceGroupedTrace, listResourceAttributeKeys } from "./resources.js";
 import { colorPalettes } from "../core/config.js";
 import { paletteState } from "../core/palette.js";
 
@@ -28,6 +29,7 @@ import { paletteState } from "../core/palette.js";
  * @property {boolean} leftToRight - Render left to right (default: true)
  * @property {string} theme - Mermaid theme (default, dark, forest, neutral)
  * @property {number} generator - Generator version (1, 2, or 3) - default: 3
+ * @property {string} groupBy - Resource attribute components are grouped by; empty groups by service
  */
 
 const DEFAULT_CONFIG = {
@@ -35,8 +37,12 @@ const DEFAULT_CONFIG = {
   leftToRight: true,
   theme: "dark",
   generator: 3, // Default to Component3Generator
+  groupBy: "", // Group by service
 };
 
+// Palette colors of groups, in the order of serviceNameMapping
+const GROUP_COLOR_NAMES = ["primary", "secondary", "tertiary", "quaternary", "quinary", "senary"];
+
 /**
  * Represents a call between components
  * @typedef {Object} Call
@@ -119,7 +125,7 @@ function buildComponentModel(trace) {
   };
 
   // Build calls starting from root spans
-  trace.roots.forEach((root) => {
+  getReceivedRoots(trace).forEach((root) => {
     const rootId = root.description?.componentName
       ? createComponentKey(root.description.groupName, root.description.componentName)
       : "";
@@ -779,9 +785,46 @@ function applyStylingWithoutSubcomponents(lines, components, groups, trace) {
   }
 }
 
+/**
+ * Renders one span as a component, with its operation as subcomponent
+ * @param {string[]} lines - Output lines array
+ * @param {TraceModel} trace - Trace model
+ * @param {TraceSpanNode} spanNode - Span node
+ * @param {string} indent - Line indentation
+ */
+function renderSpan(lines, trace, spanNode, indent) {
+  const span = spanNode.span;
+  const description = spanNode.description;
+  if (!description) return;
+
+  const component = trace.components.get(
+    createComponentKey(description.groupName, description.componentName)
+  );
+  if (!component) return;
+
+  const spanId = escapeMermaidId(span.spanId);
+  const escapedComponentName = escapeMermaid(component.name);
+
+  // If span has an operation, render as subgraph containing the operation
+  // (similar to Component1Generator rendering components with subcomponents as subgraphs)
+  if (description.operation && description.operation !== "") {
+    const operationId = escapeMermaidId(span.spanId + "op");
+    const escapedOperation = escapeMermaid(description.operation);
+
+    // Render component as subgraph containing the operation
+    lines.push(`${indent}subgraph ${spanId}["${escapedComponentName}"]`);
+    lines.push(`${indent}    ${operationId}["${escapedOperation}"]`);
+    lines.push(`${indent}end`);
+  } else {
+    // No operation, render as simple component
+    lines.push(`${indent}${spanId}["${escapedComponentName}"]`);
+  }
+}
+
 /**
  * Renders spans as components (Component3Generator style)
- * Each span becomes a component, and operations become subcomponents
+ * Each span becomes a component, and operations become subcomponents.
+ * Spans of a trace grouped by a resource attribute are wrapped in a subgraph per group.
  * @param {string[]} lines - Output lines array
  * @param {TraceModel} trace - Trace model
  */
@@ -794,35 +837,19 @@ function renderSpans(lines, trace) {
       node.children.forEach(collectSpans);
     }
   };
-  trace.roots.forEach(collectSpans);
+  getReceivedRoots(trace).forEach(collectSpans);
 
-  allSpans.forEach((spanNode) => {
-    const span = spanNode.span;
-    const description = spanNode.description;
-    if (!description) return;
-
-    const component = trace.components.get(
-      createComponentKey(description.groupName, description.componentName)
-    );
-    if (!component) return;
-
-    const spanId = escapeMermaidId(span.spanId);
-    const escapedComponentName = escapeMermaid(component.name);
-
-    // If span has an operation, render as subgraph containing the operation
-    // (similar to Component1Generator rendering components with subcomponents as subgraphs)
-    if (description.operation && description.operation !== "") {
-      const operationId = escapeMermaidId(span.spanId + "op");
-      const escapedOperation = escapeMermaid(description.operation);
+  if (!trace.groupedBy) {
+    allSpans.forEach((spanNode) => renderSpan(lines, trace, spanNode, "    "));
+    return;
+  }
 
-      // Render component as subgraph containing the operation
-      lines.push(`    subgraph ${spanId}["${escapedComponentName}"]`);
-      lines.push(`        ${operationId}["${escapedOperation}"]`);
-      lines.push(`    end`);
-    } else {
-      // No operation, render as simple component
-      lines.push(`    ${spanId}["${escapedComponentName}"]`);
-    }
+  trace.groups.forEach((group) => {
+    lines.push(`    subgraph ${escapeMermaidId(`group ${group.id}`)}["${escapeMermaid(group.name)}"]`);
+    allSpans
+      .filter((spanNode) => spanNode.description?.groupName === group.id)
+      .forEach((spanNode) => renderSpan(lines, trace, spanNode, "        "));
+    lines.push(`    end`);
   });
 }
 
@@ -841,7 +868,7 @@ function renderSpanCalls(lines, trace) {
       node.children.forEach(collectSpans);
     }
   };
-  trace.roots.forEach(collectSpans);
+  getReceivedRoots(trace).forEach(collectSpans);
 
   allSpans.forEach((spanNode) => {
     if (!spanNode.children || spanNode.children.length === 0) return;
@@ -898,7 +925,7 @@ function applySpanStyling(lines, trace) {
       node.children.forEach(collectSpans);
     }
   };
-  trace.roots.forEach(collectSpans);
+  getReceivedRoots(trace).forEach(collectSpans);
 
   const styledComponents = new Set();
 
@@ -947,7 +974,8 @@ function applySpanStyling(lines, trace) {
 
 /**
  * Applies colors to group subgraph backgrounds in the rendered SVG
- * Mermaid doesn't support styling subgraphs via classDef, so we need to post-process the SVG
+ * Mermaid doesn't support styling subgraphs via classDef, so we need to post-process the SVG.
+ * Groups of a trace grouped by a resource attribute also get the border of their palette color.
  * @param {HTMLElement} host - Container element with the rendered Mermaid diagram
  * @param {TraceModel} trace - Trace model with groups and components
  */
@@ -1025,6 +1053,15 @@ function applyGroupSubgraphColors(host, trace) {
         backgroundRect.setAttribute('fill', fillColor);
         backgroundRect.style.fill = fillColor;
         backgroundRect.removeAttribute('fill-opacity');
+
+        if (trace.groupedBy) {
+          const colorIndex = (trace.serviceNameMapping.get(group.name) ?? 0) % GROUP_COLOR_NAMES.length;
+          const strokeColor = rootStyles.getPropertyValue(`--${GROUP_COLOR_NAMES[colorIndex]}-positive-2`).trim();
+          if (strokeColor) {
+            backgroundRect.setAttribute('stroke', strokeColor);
+            backgroundRect.style.stroke = strokeColor;
+          }
+        }
       }
     }
   });
@@ -1035,32 +1072,50 @@ function applyGroupSubgraphColors(host, trace) {
  * @param {HTMLElement} host - Container element for the diagram
  * @param {import("./trace.js").TraceSpan[]} spans - Trace spans
  * @param {ComponentConfig=} config - Configuration options
- * @returns {{ render: () => void, update: () => void }}
+ * @returns {{ render: () => void, update: () => void, destroy: () => void }}
  */
 export function initComponentDiagram(host, spans, config = {}) {
   console.log("[initComponentDiagram] Called, host:", host);
   if (!host) {
     console.log("[initComponentDiagram] No host, returning empty functions");
-    return { render: () => { }, update: () => { } };
+    return { render: () => { }, update: () => { }, destroy: () => { } };
   }
 
   // Find the generator selector dropdown
   const section = host.closest('.component-diagram-section');
   const generatorSelect = section?.querySelector('.component-diagram-generator-select');
   const directionSelect = section?.querySelector('.component-diagram-direction-select');
+  const groupSelect = section?.querySelector('.component-diagram-group-select');
 
   let currentConfig = { ...DEFAULT_CONFIG, ...config };
   let mermaidDiagram = "";
   let trace = null;
 
+  let destroyed = false;
+
+  const onGeneratorChange = (event) => {
+    const generatorValue = parseInt(event.target.value, 10);
+    currentConfig = { ...currentConfig, generator: generatorValue };
+    console.log(`[initComponentDiagram] Generator changed to ${generatorValue}`);
+    render();
+  };
+
+  const onDirectionChange = (event) => {
+    const directionValue = event.target.value;
+    currentConfig = { ...currentConfig, leftToRight: directionValue === 'LR' };
+    console.log(`[initComponentDiagram] Direction changed to ${directionValue}`);
+    render();
+  };
+
+  const onGroupChange = (event) => {
+    currentConfig = { ...currentConfig, groupBy: event.target.value };
+    console.log(`[initComponentDiagram] Grouping changed to ${event.target.value || 'service'}`);
+    render();
+  };
+
   // Update config when generator selector changes
   if (generatorSelect) {
-    generatorSelect.addEventListener('change', (event) => {
-      const generatorValue = parseInt(event.target.value, 10);
-      currentConfig = { ...currentConfig, generator: generatorValue };
-      console.log(`[initComponentDiagram] Generator changed to ${generatorValue}`);
-      render();
-    });
+    generatorSelect.addEventListener('change', onGeneratorChange);
 
     // Initialize selector value from config
     const initialGenerator = currentConfig.generator || 3;
@@ -1069,19 +1124,41 @@ export function initComponentDiagram(host, spans, config = {}) {
 
   // Update config when direction selector changes
   if (directionSelect) {
-    directionSelect.addEventListener('change', (event) => {
-      const directionValue = event.target.value;
-      currentConfig = { ...currentConfig, leftToRight: directionValue === 'LR' };
-      console.log(`[initComponentDiagram] Direction changed to ${directionValue}`);
-      render();
-    });
+    directionSelect.addEventListener('change', onDirectionChange);
 
     // Initialize selector value from config
     const initialDirection = currentConfig.leftToRight !== false ? 'LR' : 'TB';
     directionSelect.value = initialDirection;
   }
 
+  // Update config when group selector changes; its options are filled from the trace on render
+  groupSelect?.addEventListener('change', onGroupChange);
+
+  /**
+   * Lists the resource attributes of the trace in the group selector.
+   * @param {TraceModel} traceModel - Trace model
+   */
+  const populateGroupSelect = (traceModel) => {
+    if (!groupSelect) {
+      return;
+    }
+    const keys = listResourceAttributeKeys(traceModel);
+    groupSelect.replaceChildren(
+      new Option("Service", ""),
+      ...keys.map((key) => new Option(key, key))
+    );
+    // A key missing from this trace falls back to grouping by service
+    if (!keys.includes(currentConfig.groupBy)) {
+      currentConfig = { ...currentConfig, groupBy: "" };
+    }
+    groupSelect.value = currentConfig.groupBy;
+    groupSelect.disabled = keys.length === 0;
+  };
+
   const render = async () => {
+    if (destroyed) {
+      return;
+    }
     if (!spans || spans.length === 0) {
       host.innerHTML = "<p>No trace data available</p>";
       return;
@@ -1098,8 +1175,17 @@ export function initComponentDiagram(host, spans, config = {}) {
       // Get log rows via the sampleData module
       const { sampleLogRows } = await import("./sampleData.js");
 
+      // A newer diagram may have taken over the host while we were loading
+      if (destroyed) {
+        return;
+      }
+
       // Build trace model with logs merged
       trace = buildTraceModel(spans, sampleLogRows);
+      populateGroupSelect(trace);
+      if (currentConfig.groupBy) {
+        trace = buildResourceGroupedTrace(trace, currentConfig.groupBy);
+      }
 
       // Generate Mermaid diagram with current config
       mermaidDiagram = generateComponentDiagram(trace, currentConfig);
@@ -1199,10 +1285,10 @@ export function initComponentDiagram(host, spans, config = {}) {
         // Render the Mermaid diagram
         mermaid.contentLoaded();
 
-        // Apply colors to group subgraphs after rendering (only for generators 1 and 2)
+        // Apply colors to group subgraphs after rendering (generators 1 and 2, and 3 when grouped by a resource attribute)
         // Note: Mermaid's classDef doesn't work reliably for clusters, so we still need SVG post-processing for colors
         const generator = currentConfig.generator || 3;
-        if ((generator === 1 || generator === 2) && trace) {
+        if ((generator === 1 || generator === 2 || trace?.groupedBy) && trace) {
           // Wait for Mermaid to fully render the SVG before applying colors
           const tryApplyColors = (attempt = 0) => {
             const mermaidSvg = host.querySelector("svg");
@@ -1230,9 +1316,17 @@ export function initComponentDiagram(host, spans, config = {}) {
     render();
   };
 
+  // Detach selector listeners so a re-initialized diagram (e.g. after loading a new trace) owns them
+  const destroy = () => {
+    destroyed = true;
+    generatorSelect?.removeEventListener('change', onGeneratorChange);
+    directionSelect?.removeEventListener('change', onDirectionChange);
+    groupSelect?.removeEventListener('change', onGroupChange);
+  };
+
   // Initial render
   render();
 
-  return { render, update };
+  return { render, update, destroy };
 }
 
@@ -0,0 +1,92 @@
+/**
+ * Resource Panel Component
+ * Lists the resource each service reported (service.version, deployment.environment,
+ * host.name, k8s.*, …), one card per service with one table per distinct resource, e.g.
+ * per instance or version. Any resource attribute can become the grouping of the trace.
+ */
+
+import { h } from "../../core/dom.js";
+import { onClick, onEvent } from "../../core/events.js";
+import { createAttributeTable } from "../attributes.js";
+import { collectServiceResources } from "../resources.js";
+
+/**
+ * Formats a count with its unit.
+ * @param {number} count - Count
+ * @param {string} unit - Singular unit
+ * @returns {string}
+ */
+function formatCount(count, unit) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Renders the resources of one service.
+ * @param {import("../resources.js").ServiceResources} service - Service and its resources
+ * @param {(attribute: import("../attributes.js").LogAttribute) => HTMLElement} renderActions - Row actions
+ * @returns {HTMLElement} The service card
+ */
+function renderServiceResources(service, renderActions) {
+  const instances = service.resources.length;
+  return h('section', { className: 'trace-resources__service' },
+    h('header', { className: 'trace-resources__header' },
+      h('h4', { className: 'trace-resources__name', textContent: service.serviceName }),
+      h('span', {
+        className: 'trace-resources__meta',
+        textContent: `${formatCount(service.spanCount, 'span')} • ${formatCount(instances, 'resource')}`,
+        title: 'Spans of the service, and the distinct resources they were reported with'
+      })
+    ),
+    service.resources.map((resource) => h('div', { className: 'trace-resources__resource' },
+      instances > 1
+        ? h('div', { className: 'trace-resources__resource-meta', textContent: formatCount(resource.spanCount, 'span') })
+        : null,
+      resource.attributes.length > 0
+        ? createAttributeTable(resource.attributes, { renderActions })
+        : h('p', { className: 'trace-resources__empty', textContent: 'No resource attributes' })
+    ))
+  );
+}
+
+/**
+ * Renders the collapsible resource panel of a trace.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The host element
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {HTMLElement|null} The panel, or null when no span carries resource attributes
+ */
+export function renderResourcePanel(trace, viewState, host, renderTrace) {
+  const services = collectServiceResources(trace.ungroupedTrace ?? trace);
+  if (!services.some((service) => service.resources.some((resource) => resource.attributes.length > 0))) {
+    return null;
+  }
+
+  const renderActions = (attribute) => {
+    const isActive = viewState.colorBy === attribute.key;
+    const button = h('button', {
+      type: 'button',
+      className: `trace-resources__group-by${isActive ? ' trace-resources__group-by--active' : ''}`,
+      textContent: isActive ? 'Grouped' : 'Group by',
+      title: isActive ? 'Group spans by service again' : `Group and color spans by ${attribute.key}`,
+      'aria-pressed': String(isActive)
+    });
+    onClick(button, () => {
+      viewState.colorBy = isActive ? null : attribute.key;
+      renderTrace(host, trace, viewState);
+    });
+    return button;
+  };
+
+  const section = h('details', { className: 'trace-resources', open: Boolean(viewState.showResources) },
+    h('summary', { className: 'trace-resources__summary', textContent: `Resources (${formatCount(services.length, 'service')})` }),
+    h('div', { className: 'trace-resources__services' },
+      services.map((service) => renderServiceResources(service, renderActions))
+    )
+  );
+  // Re-renders keep the section open
+  onEvent(section, 'toggle', () => {
+    viewState.showResources = section.open;
+  });
+  return section;
+}
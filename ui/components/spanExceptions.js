@@ -0,0 +1,116 @@
+/**
+ * Span Exceptions Component
+ * Renders the exceptions recorded on a span: type and message up front, the stack trace
+ * collapsed underneath with one line per frame (function and location apart).
+ */
+
+import { h, copyText } from "../../core/dom.js";
+import { onClick } from "../../core/events.js";
+import { getSpanExceptions } from "../exceptions.js";
+import { formatTimestamp } from "../trace.js";
+
+// Frames shown in a marker tooltip
+const PREVIEW_FRAME_COUNT = 3;
+// How long the copy button shows its result
+const COPY_FEEDBACK_MS = 1500;
+
+/**
+ * Renders one stack trace line.
+ * @param {import("../exceptions.js").StackTraceLine} line - Parsed line
+ * @returns {HTMLElement} The list item
+ */
+function renderStackTraceLine(line) {
+  if (line.kind !== 'frame') {
+    return h('li', { className: `trace-exception__line trace-exception__line--${line.kind}`, textContent: line.text });
+  }
+  return h('li', { className: 'trace-exception__line trace-exception__line--frame', title: line.text },
+    line.function ? h('span', { className: 'trace-exception__function', textContent: line.function }) : null,
+    line.location ? h('span', { className: 'trace-exception__location', textContent: line.location }) : null,
+    line.code ? h('code', { className: 'trace-exception__code', textContent: line.code }) : null
+  );
+}
+
+/**
+ * Renders the type and message of an exception.
+ * @param {import("../exceptions.js").SpanException} exception - The exception
+ * @returns {HTMLElement} The heading element
+ */
+function renderExceptionHeading(exception) {
+  return h('div', { className: 'trace-exception__heading' },
+    h('span', { className: 'trace-exception__type', textContent: exception.type || 'Exception' }),
+    exception.message ? h('span', { className: 'trace-exception__message', textContent: exception.message }) : null
+  );
+}
+
+/**
+ * Renders one exception with its collapsible stack trace.
+ * @param {import("../exceptions.js").SpanException} exception - The exception
+ * @returns {HTMLElement} The list item
+ */
+function renderException(exception) {
+  const frameCount = exception.lines.filter((line) => line.kind === 'frame').length;
+  const meta = [
+    formatTimestamp(exception.timeUnixNano),
+    exception.source === 'log' ? 'logged' : null,
+    exception.escaped ? 'escaped the span' : null,
+  ].filter(Boolean).join(' • ');
+
+  let stack = null;
+  if (exception.lines.length > 0) {
+    const copyButton = h('button', { type: 'button', className: 'trace-exception__copy', textContent: 'Copy', title: 'Copy the stack trace' });
+    // Inside the summary the click would also toggle the stack trace
+    onClick(copyButton, async () => {
+      copyButton.textContent = await copyText(exception.stacktrace) ? 'Copied' : 'Copy failed';
+      setTimeout(() => {
+        copyButton.textContent = 'Copy';
+      }, COPY_FEEDBACK_MS);
+    }, { preventDefault: true });
+    stack = h('details', { className: 'trace-exception__stack' },
+      h('summary', { className: 'trace-exception__stack-summary' },
+        `Stack trace (${frameCount === 1 ? '1 frame' : `${frameCount} frames`})`,
+        copyButton
+      ),
+      h('ol', { className: 'trace-exception__lines' }, exception.lines.map(renderStackTraceLine))
+    );
+  }
+
+  return h('li', { className: 'trace-exception' },
+    renderExceptionHeading(exception),
+    meta ? h('div', { className: 'trace-exception__meta', textContent: meta }) : null,
+    stack
+  );
+}
+
+/**
+ * Renders the exceptions of a span.
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @returns {HTMLElement|null} The exceptions section, or null when the span recorded none
+ */
+export function renderSpanExceptions(node) {
+  const exceptions = getSpanExceptions(node);
+  if (exceptions.length === 0) {
+    return null;
+  }
+  return h('section', { className: 'trace-exceptions' },
+    h('h4', { textContent: exceptions.length === 1 ? 'Exception' : `Exceptions (${exceptions.length})` }),
+    h('ol', { className: 'trace-exceptions__list' }, exceptions.map(renderException))
+  );
+}
+
+/**
+ * Renders a compact exception for a marker tooltip: type, message and the top frames.
+ * @param {import("../exceptions.js").SpanException} exception - The exception
+ * @returns {HTMLElement} The preview element
+ */
+export function renderExceptionPreview(exception) {
+  const frames = exception.lines.filter((line) => line.kind === 'frame');
+  return h('div', { className: 'trace-exception trace-exception--preview' },
+    renderExceptionHeading(exception),
+    frames.length > 0
+      ? h('ol', { className: 'trace-exception__lines' }, frames.slice(0, PREVIEW_FRAME_COUNT).map(renderStackTraceLine))
+      : null,
+    frames.length > PREVIEW_FRAME_COUNT
+      ? h('div', { className: 'trace-exception__meta', textContent: `${frames.length - PREVIEW_FRAME_COUNT} more frames in the span details` })
+      : null
+  );
+}
@@ -0,0 +1,311 @@
+/**
+ * Span Inspector Component
+ * Docked panel with everything about one span: exceptions, attributes grouped by semantic
+ * convention namespace, resource and instrumentation scope attributes, events and logs. Attribute rows
+ * filter the span list down to the spans with their value, and the span copies as OTLP JSON.
+ * The inspector shows the focused span row and follows focus while it is open.
+ */
+
+import { h, copyText } from "../../core/dom.js";
+import { onClick } from "../../core/events.js";
+import { createAttributeTable, attributesToJson } from "../attributes.js";
+import { resolveSeverityGroup, abbreviateLogLevel, buildTemplateFragment, isVirtualSpanLog } from "../logs.js";
+import { buildOtlpJson, getRecordedNode } from "../otlpExporter.js";
+import { formatAttributeTerm } from "../traceSearch.js";
+import { renderSpanExceptions } from "./spanExceptions.js";
+import { formatDurationNano, formatTimestamp, toNumberTimestamp, renderSpanEvents } from "../trace.js";
+
+// Semantic convention namespaces with their own group, in display order
+const ATTRIBUTE_NAMESPACES = [
+  { prefix: 'http', label: 'HTTP' },
+  { prefix: 'db', label: 'Database' },
+  { prefix: 'messaging', label: 'Messaging' },
+  { prefix: 'rpc', label: 'RPC' },
+  { prefix: 'server', label: 'Server' },
+  { prefix: 'exception', label: 'Exception' },
+];
+
+// How long a copy button shows its result
+const COPY_FEEDBACK_MS = 1500;
+
+/**
+ * @typedef {{ id: string, label: string, attributes: import("../attributes.js").LogAttribute[] }} AttributeGroup
+ */
+
+/**
+ * Groups attributes by semantic convention namespace (`http.*`, `db.*`, …); attributes of
+ * other namespaces end up in a trailing "Other" group. Empty groups are left out.
+ * @param {import("../attributes.js").LogAttribute[]} attributes - Span attributes
+ * @returns {AttributeGroup[]}
+ */
+export function groupAttributesByNamespace(attributes) {
+  const groups = ATTRIBUTE_NAMESPACES.map(({ prefix, label }) => ({ id: prefix, label, attributes: [] }));
+  const other = { id: 'other', label: 'Other', attributes: [] };
+  attributes.forEach((attribute) => {
+    const group = groups.find(({ id }) => String(attribute.key).startsWith(`${id}.`)) ?? other;
+    group.attributes.push(attribute);
+  });
+  return [...groups, other].filter((group) => group.attributes.length > 0);
+}
+
+/**
+ * Creates a button that copies text and briefly shows whether it worked.
+ * @param {string} label - Button text
+ * @param {string} title - Button tooltip
+ * @param {() => string} getText - Returns the text to copy
+ * @returns {HTMLElement} The button element
+ */
+function createCopyButton(label, title, getText) {
+  const button = h('button', { type: 'button', className: 'trace-inspector__action', textContent: label, title });
+  let resetTimer = null;
+  onClick(button, async () => {
+    const copied = await copyText(getText());
+    button.textContent = copied ? 'Copied' : 'Copy failed';
+    clearTimeout(resetTimer);
+    resetTimer = setTimeout(() => {
+      button.textContent = label;
+    }, COPY_FEEDBACK_MS);
+  });
+  return button;
+}
+
+/**
+ * Adds an attribute term to the span search and switches the list to the matches only view.
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {import("../attributes.js").LogAttribute} attribute - Attribute to filter by
+ */
+function filterByAttribute(viewState, host, attribute) {
+  const input = host.querySelector('.trace-search__input');
+  if (!input) {
+    return;
+  }
+  const term = formatAttributeTerm(attribute.key, attribute.value);
+  const query = input.value.trim();
+  const hasTerm = ` ${query} `.includes(` ${term} `);
+  if (hasTerm && viewState.viewMode === 'matches') {
+    return;
+  }
+  viewState.viewMode = 'matches';
+  input.value = hasTerm ? query : query ? `${query} ${term}` : term;
+  // The search bar runs the query on input
+  input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Renders a titled attribute table with a copy-as-JSON button and a filter button per row.
+ * @param {string} title - Section title
+ * @param {import("../attributes.js").LogAttribute[]} attributes - Attributes
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {string} [className] - Extra class of the section
+ * @returns {HTMLElement} The section element
+ */
+function renderAttributeSection(title, attributes, viewState, host, className = '') {
+  const renderActions = (attribute) => {
+    const button = h('button', {
+      type: 'button',
+      className: 'trace-inspector__filter',
+      textContent: 'Filter',
+      title: `Only list spans with ${formatAttributeTerm(attribute.key, attribute.value)}`
+    });
+    onClick(button, () => filterByAttribute(viewState, host, attribute));
+    return button;
+  };
+
+  return h('section', { className: `trace-inspector__group ${className}`.trim() },
+    h('div', { className: 'trace-inspector__group-header' },
+      h('h5', { className: 'trace-inspector__group-title', textContent: `${title} (${attributes.length})` }),
+      createCopyButton('Copy', `Copy ${title.toLowerCase()} attributes as JSON`, () => JSON.stringify(attributesToJson(attributes), null, 2))
+    ),
+    createAttributeTable(attributes, { renderActions })
+  );
+}
+
+/**
+ * Renders a titled part of the inspector.
+ * @param {string} title - Section title
+ * @param {...(Node|null)} children - Section content
+ * @returns {HTMLElement} The section element
+ */
+function renderSection(title, ...children) {
+  return h('section', { className: 'trace-inspector__section' },
+    h('h4', { className: 'trace-inspector__section-title', textContent: title }),
+    ...children
+  );
+}
+
+/**
+ * Renders the logs of a span with their attributes. Span start, end and events are shown
+ * elsewhere in the inspector, so their virtual log rows are left out.
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @returns {HTMLElement|null} The logs section, or null without logs
+ */
+function renderLogs(node) {
+  const logs = (node.logs || [])
+    .filter((logRow) => !isVirtualSpanLog(logRow))
+    .sort((a, b) => toNumberTimestamp(a.timeUnixNano) - toNumberTimestamp(b.timeUnixNano));
+  if (logs.length === 0) {
+    return null;
+  }
+  return renderSection(`Logs (${logs.length})`,
+    h('ul', { className: 'trace-inspector__logs' },
+      logs.map((logRow) => {
+        const severityGroup = resolveSeverityGroup(logRow);
+        return h('li', { className: `trace-inspector__log log-row--severity-${severityGroup}` },
+          h('div', { className: 'trace-inspector__log-summary' },
+            h('span', { className: 'trace-inspector__log-time', textContent: formatTimestamp(logRow.timeUnixNano) }),
+            h('span', { className: 'log-row-severity', textContent: abbreviateLogLevel(logRow.severityText ?? severityGroup) }),
+            h('span', { className: 'trace-inspector__log-message' }, buildTemplateFragment(logRow))
+          ),
+          logRow.attributes?.length ? createAttributeTable(logRow.attributes) : null
+        );
+      })
+    )
+  );
+}
+
+/**
+ * Renders the span name, key facts and the span actions.
+ * @param {import("../trace.js").TraceModel} trace - The trace model, which may be clock skew corrected
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @param {() => void} close - Closes the inspector
+ * @returns {HTMLElement} The header element
+ */
+function renderHeader(trace, node, close) {
+  const { span } = node;
+  const duration = Math.max(0, toNumberTimestamp(span.endTimeUnixNano) - toNumberTimestamp(span.startTimeUnixNano));
+  const status = span.status?.code?.replace('STATUS_CODE_', '') || 'UNSET';
+  const facts = [
+    ['Service', node.isPlaceholder ? 'not received' : span.resource?.serviceName || 'unknown-service'],
+    ['Kind', span.kind?.replace('SPAN_KIND_', '') || '—'],
+    ['Status', span.status?.message ? `${status}: ${span.status.message}` : status],
+    ['Duration', node.children.length > 0 ? `${formatDurationNano(duration)} (self ${formatDurationNano(node.selfTimeNano)})` : formatDurationNano(duration)],
+    ['Start', formatTimestamp(span.startTimeUnixNano)],
+    ['Span ID', span.spanId],
+    ['Parent', span.parentSpanId || '—'],
+  ];
+
+  const closeButton = h('button', {
+    type: 'button',
+    className: 'trace-inspector__close',
+    textContent: '×',
+    'aria-label': 'Close inspector'
+  });
+  onClick(closeButton, close);
+
+  return h('header', { className: 'trace-inspector__header' },
+    h('div', { className: 'trace-inspector__title-row' },
+      h('h3', { className: 'trace-inspector__title', textContent: span.name }),
+      closeButton
+    ),
+    h('dl', { className: 'trace-inspector__facts' },
+      facts.flatMap(([label, value]) => [
+        h('dt', { textContent: label }),
+        h('dd', { className: label === 'Status' ? `trace-inspector__status--${status.toLowerCase()}` : '', textContent: value }),
+      ])
+    ),
+    node.isPlaceholder
+      ? null
+      : h('div', { className: 'trace-inspector__actions' },
+        createCopyButton('Copy as JSON', 'Copy the span and its logs as OTLP JSON', () => {
+          // The recorded timestamps, not the clock skew corrected ones
+          const recordedNode = getRecordedNode(trace, node);
+          return JSON.stringify(buildOtlpJson([recordedNode.span], recordedNode.logs || []), null, 2);
+        })
+      )
+  );
+}
+
+/**
+ * Renders the inspector content for a span.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {() => void} close - Closes the inspector
+ * @returns {Node[]} Content nodes
+ */
+function renderSpanContent(trace, node, viewState, host, close) {
+  const header = renderHeader(trace, node, close);
+  if (node.isPlaceholder) {
+    return [header, h('p', {
+      className: 'trace-inspector__empty',
+      textContent: 'This span was not received; its time range is inferred from its child spans.'
+    })];
+  }
+
+  const { span } = node;
+  const attributeGroups = groupAttributesByNamespace(span.attributes || []);
+  const resourceAttributes = span.resource?.attributes || [];
+  const scope = span.instrumentationScope || {};
+  const scopeName = [scope.name, scope.version].filter(Boolean).join(' ');
+  const events = renderSpanEvents(span.events);
+
+  return [
+    header,
+    renderSpanExceptions(node),
+    renderSection('Attributes',
+      attributeGroups.length > 0
+        ? h('div', { className: 'trace-inspector__groups' },
+          attributeGroups.map((group) => renderAttributeSection(group.label, group.attributes, viewState, host, `trace-inspector__group--${group.id}`))
+        )
+        : h('p', { className: 'trace-inspector__empty', textContent: 'No attributes' })
+    ),
+    resourceAttributes.length > 0
+      ? renderSection('Resource', renderAttributeSection('Resource', resourceAttributes, viewState, host))
+      : null,
+    scopeName || scope.attributes?.length
+      ? renderSection('Instrumentation scope',
+        scopeName ? h('p', { className: 'trace-inspector__scope', textContent: scopeName }) : null,
+        scope.attributes?.length ? renderAttributeSection('Scope', scope.attributes, viewState, host) : null
+      )
+      : null,
+    events,
+    renderLogs(node),
+  ].filter(Boolean);
+}
+
+/**
+ * Renders the docked span inspector.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {{ element: HTMLElement, update: (nextTrace?: import("../trace.js").TraceModel) => void }}
+ *   The inspector; update shows the focused span, or the changed trace model
+ */
+export function renderSpanInspector(trace, viewState, host, renderTrace) {
+  const element = h('aside', { className: 'trace-inspector', 'aria-label': 'Span inspector' });
+  let currentTrace = trace;
+  let shownSpanId = null;
+
+  const close = () => {
+    viewState.showSpanInspector = false;
+    renderTrace(host, currentTrace, viewState);
+  };
+
+  const show = () => {
+    shownSpanId = viewState.focusedSpanId;
+    const node = shownSpanId ? currentTrace.spanNodes.get(shownSpanId) : null;
+    element.replaceChildren(...(node
+      ? renderSpanContent(currentTrace, node, viewState, host, close)
+      : [h('p', { className: 'trace-inspector__empty', textContent: 'Select a span to inspect it.' })]));
+  };
+
+  const update = (nextTrace = currentTrace) => {
+    if (nextTrace === currentTrace && viewState.focusedSpanId === shownSpanId) {
+      return;
+    }
+    const isOtherSpan = viewState.focusedSpanId !== shownSpanId;
+    currentTrace = nextTrace;
+    show();
+    // Live updates of the same span keep the scroll position
+    if (isOtherSpan) {
+      element.scrollTop = 0;
+    }
+  };
+
+  show();
+  return { element, update };
+}
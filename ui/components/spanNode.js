@@ -5,22 +5,30 @@
 
 import { h } from "../../core/dom.js";
 import { onClickStop } from "../../core/events.js";
-import { pruneDescendantState } from "../../core/stateManager.js";
+import { pruneDescendantState, isCriticalPathShown, notifyStateChange } from "../../core/stateManager.js";
 import { renderSpanSummary } from "./spanSummary.js";
 import { renderSpanLogs } from "./spanLogs.js";
-import { renderSpanDetails, updateRunlineYHeights, renderSpanMarkers } from "../trace.js";
+import { renderSpanDetails, updateRunlineYHeights, renderSpanMarkers, formatDurationNano, toNumberTimestamp } from "../trace.js";
+import { getColorKeyFromNode } from "../../core/identity.js";
 
 /**
  * Creates a span container element with proper classes and attributes.
+ * The container is the tree item screen readers announce (name, service and duration; the
+ * depth comes from aria-level). Focus is managed by spanTreeNavigation.js.
  * @param {import("../trace.js").TraceSpanNode} node - The span node
  * @param {boolean} isLastChild - Whether this is the last child
  * @returns {HTMLElement} The container element
  */
 export function createSpanContainer(node, isLastChild = false) {
+  const duration = toNumberTimestamp(node.span.endTimeUnixNano) - toNumberTimestamp(node.span.startTimeUnixNano);
   const container = h('div', {
     className: 'trace-span',
     dataset: { spanId: node.span.spanId },
-    style: { '--depth': String(node.depth) }
+    style: { '--depth': String(node.depth) },
+    role: 'treeitem',
+    tabIndex: -1,
+    'aria-level': String(node.depth + 1),
+    'aria-label': `${node.span.name}, ${getColorKeyFromNode(node)}, ${formatDurationNano(duration)}`
   });
 
   const hasChildren = node.children.length > 0;
@@ -28,6 +36,12 @@ export function createSpanContainer(node, isLastChild = false) {
     container.classList.add("trace-span--leaf");
   }
 
+  // Stands in for a parent span that was never received
+  if (node.isPlaceholder) {
+    container.classList.add("trace-span--placeholder");
+    container.setAttribute("aria-label", `Missing span ${node.span.spanId}, time range inferred from its child spans`);
+  }
+
   // Mark if this is the last child for tree line styling
   if (isLastChild) {
     container.classList.add("trace-span--last-child");
@@ -57,7 +71,8 @@ export function createSpanChildren(trace, node, state) {
   const body = h('div', { className: 'trace-span__body' });
   const childrenContainer = h('div', {
     className: 'trace-span__children',
-    id: `trace-span-children-${node.span.spanId}`
+    id: `trace-span-children-${node.span.spanId}`,
+    role: 'group'
   });
 
   node.children.forEach((child, index) => {
@@ -105,6 +120,7 @@ export function setupSpanInteractions(trace, node, state, container, summary, ex
       });
     }
     
+    container.setAttribute("aria-expanded", String(childrenOpen));
     expander.setAttribute("aria-controls", childrenContainer.id);
     expander.setAttribute("aria-expanded", String(childrenOpen));
     service.setAttribute("aria-controls", childrenContainer.id);
@@ -117,6 +133,7 @@ export function setupSpanInteractions(trace, node, state, container, summary, ex
       const next = !container.classList.contains("trace-span--children-open");
       container.classList.toggle("trace-span--children-open", next);
       childrenContainer.hidden = !next;
+      container.setAttribute("aria-expanded", String(next));
       expander.setAttribute("aria-expanded", String(next));
       service.setAttribute("aria-expanded", String(next));
       if (next) {
@@ -128,6 +145,7 @@ export function setupSpanInteractions(trace, node, state, container, summary, ex
         spanState.expandedChildren.delete(spanId);
         pruneDescendantState(node, spanState);
       }
+      notifyStateChange(state);
     };
 
     onClickStop(expander, toggleChildren);
@@ -162,6 +180,7 @@ export function setupSpanInteractions(trace, node, state, container, summary, ex
       } else {
         spanState.expandedAttributes.delete(spanId);
       }
+      notifyStateChange(state);
     });
   } else {
     timeline.disabled = true;
@@ -176,7 +195,7 @@ export function setupSpanInteractions(trace, node, state, container, summary, ex
  * @param {HTMLElement} summary - The span summary element
  * @param {HTMLElement} timeline - The timeline button element
  */
-function setupLazyMarkers(summary, timeline) {
+export function setupLazyMarkers(summary, timeline) {
   const bar = timeline.querySelector('.trace-span__bar');
   if (!bar || !bar._markerData) {
     return;
@@ -187,12 +206,13 @@ function setupLazyMarkers(summary, timeline) {
     return;
   }
 
-  const { node, trace, timeWindow } = bar._markerData;
   let markersElement = null;
 
   summary.addEventListener('mouseenter', () => {
     // Create markers lazily on first hover
     if (!markersElement && markersContainer.childElementCount === 0) {
+      // Read on hover, patchTrace refreshes the data when live spans move the trace bounds
+      const { node, trace, timeWindow } = bar._markerData;
       markersElement = renderSpanMarkers(node, trace, timeWindow);
       if (markersElement) {
         markersContainer.appendChild(markersElement);
@@ -239,12 +259,13 @@ export function renderSpanNode(trace, node, state, isLastChild = false, parentDe
     timeWindow,
     spanState.expandedChildren,
     state?.showRunlineX !== false,
-    state?.showRunlineY !== false
+    state?.showRunlineY !== false,
+    isCriticalPathShown(state)
   );
   container.append(summary);
 
   // Render details
-  const detailSections = renderSpanDetails(node);
+  const detailSections = renderSpanDetails(node, trace);
   const hasDetails = detailSections.childElementCount > 0;
   if (hasDetails) {
     detailSections.id = `trace-span-details-${node.span.spanId}`;
@@ -5,7 +5,9 @@
 
 import { h } from "../../core/dom.js";
 import { getColorKeyFromNode } from "../../core/identity.js";
-import { renderSpanMarkers, renderRunlineX, renderRunlineY, computeSpanOffsets, formatDurationNano, toNumberTimestamp } from "../trace.js";
+import { renderSpanMarkers, renderRunlineX, renderRunlineY, renderCriticalPathSegments, computeSpanOffsets, formatDurationNano, toNumberTimestamp, isAsyncChild } from "../trace.js";
+import { getSpanClockSkew } from "../clockSkew.js";
+import { computeErrorPaths, getSpanExceptions } from "../exceptions.js";
 
 /**
  * Creates the left section (expander and service button) for a span summary.
@@ -22,6 +24,8 @@ export function createSpanLeftSection(trace, node) {
   const expander = h('button', {
     type: 'button',
     className: 'trace-span__expander',
+    // Rows are focused as a whole, the buttons stay out of the tab order
+    tabIndex: -1,
     attrs: {
       'aria-label': node.children.length ? 'Toggle child spans' : 'No child spans'
     },
@@ -29,7 +33,8 @@ export function createSpanLeftSection(trace, node) {
   });
   leftSection.append(expander);
 
-  const serviceName = getColorKeyFromNode(node);
+  // Placeholders for missing spans have no service
+  const serviceName = node.isPlaceholder ? 'not received' : getColorKeyFromNode(node);
   const componentName = node.description?.componentName;
 
   // Get CSS variable for service color
@@ -47,6 +52,7 @@ export function createSpanLeftSection(trace, node) {
   const service = h('button', {
     type: 'button',
     className: 'trace-span__service',
+    tabIndex: -1,
     disabled: !node.children.length,
     attrs: !node.children.length ? { 'aria-disabled': 'true' } : {}
   }, h('div', { className: 'trace-span__service-row' },
@@ -67,10 +73,11 @@ export function createSpanLeftSection(trace, node) {
  * @param {Object} offsets - Span offsets { startPercent, widthPercent }
  * @param {string} serviceCssVar - Service color CSS variable (e.g., "--primary-positive-2")
  * @param {boolean} showRunlineX - Whether to show horizontal runlines
+ * @param {boolean} showCriticalPath - Whether to highlight the span's share of the critical path
  * @returns {HTMLElement} The span bar element
  */
-export function createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, showRunlineX) {
-  const bar = h('div', { className: 'trace-span__bar' });
+export function createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, showRunlineX, showCriticalPath = false) {
+  const bar = h('div', { className: node.isPlaceholder ? 'trace-span__bar trace-span__bar--placeholder' : 'trace-span__bar' });
 
   // Hide the bar if span is fully outside the time window
   if (offsets.widthPercent === 0) {
@@ -95,6 +102,24 @@ export function createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, s
   });
   bar.append(duration);
 
+  const selfTime = createSelfTimeLabel(node);
+  if (selfTime) {
+    bar.append(selfTime);
+  }
+
+  const clockSkewBadge = createClockSkewBadge(trace, node);
+  if (clockSkewBadge) {
+    bar.append(clockSkewBadge);
+  }
+
+  const errorBadge = createErrorBadge(trace, node);
+  if (errorBadge) {
+    bar.append(errorBadge);
+  }
+  if (computeErrorPaths(trace).failingSpanIds.has(node.span.spanId)) {
+    bar.classList.add('trace-span__bar--error');
+  }
+
   // Store marker data for lazy creation on hover
   // Don't create markers upfront - they'll be created when hovering over the span summary
   bar._markerData = { node, trace, timeWindow };
@@ -111,9 +136,120 @@ export function createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, s
     }
   }
 
+  if (showCriticalPath) {
+    const criticalPath = renderCriticalPathSegments(node, trace, timeWindow);
+    if (criticalPath) {
+      bar.classList.add('trace-span__bar--critical');
+      bar.append(criticalPath);
+    }
+  }
+
   return bar;
 }
 
+/**
+ * Creates the self time label of a span whose children cover part of it.
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @returns {HTMLElement|null} The label, or null for leaf spans (self time is the duration) and placeholders
+ */
+function createSelfTimeLabel(node) {
+  // A placeholder's own time is unknown
+  if (node.children.length === 0 || node.isPlaceholder) {
+    return null;
+  }
+  return h('span', {
+    className: 'trace-span__self-time',
+    textContent: `self ${formatDurationNano(node.selfTimeNano)}`,
+    title: 'Self time: duration not covered by child spans it waited on'
+  });
+}
+
+/**
+ * Creates the badge of a span whose service clock is skewed: the applied shift when the
+ * correction is on, otherwise the detected skew.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @returns {HTMLElement|null} The badge, or null when the service is not skewed
+ */
+function createClockSkewBadge(trace, node) {
+  const skew = getSpanClockSkew(trace, node);
+  if (!skew) {
+    return null;
+  }
+  const shift = `${skew.offsetNano > 0 ? '+' : '−'}${formatDurationNano(Math.abs(skew.offsetNano))}`;
+  const source = skew.clientSpanId ? ` (inferred from client span ${skew.clientSpanId})` : '';
+  return h('span', {
+    className: skew.isCorrected ? 'trace-span__skew trace-span__skew--corrected' : 'trace-span__skew',
+    textContent: `skew ${shift}`,
+    title: skew.isCorrected
+      ? `Clock of ${skew.serviceName} corrected: timestamps shifted by ${shift}${source}`
+      : `Clock of ${skew.serviceName} looks off by ${shift}${source}; correct the clock skew of ${skew.serviceName} in the header to shift it`
+  });
+}
+
+/**
+ * Creates the error badge of a failing span, or the "contains error" badge of an ancestor
+ * of one, so failures can be followed down from the root.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @returns {HTMLElement|null} The badge, or null when neither the span nor a descendant failed
+ */
+function createErrorBadge(trace, node) {
+  const { failingSpanIds, containsErrorIds } = computeErrorPaths(trace);
+  const spanId = node.span.spanId;
+  if (failingSpanIds.has(spanId)) {
+    const [exception] = getSpanExceptions(node);
+    const cause = exception
+      ? [exception.type, exception.message].filter(Boolean).join(': ')
+      : node.span.status?.message;
+    return h('span', {
+      className: 'trace-span__error',
+      textContent: exception ? 'exception' : 'error',
+      title: cause ? `Failed: ${cause}` : 'Failed'
+    });
+  }
+  if (containsErrorIds.has(spanId)) {
+    return h('span', {
+      className: 'trace-span__error trace-span__error--contains',
+      textContent: 'contains error',
+      title: 'A descendant span failed'
+    });
+  }
+  return null;
+}
+
+/**
+ * Creates the gap indicator of an async child that started after its parent ended, e.g. a
+ * message consumer picking up what a producer sent: a dashed line from the parent's end to
+ * the child's start, labeled with the delay.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../trace.js").TraceSpanNode} node - The span node
+ * @param {Object} timeWindow - Time window { start: 0-100, end: 0-100 }
+ * @returns {HTMLElement|null} The gap element, or null for synchronous children and children without a gap
+ */
+function createAsyncGap(trace, node, timeWindow) {
+  const parent = trace.spanNodes.get(node.span.parentSpanId);
+  if (!parent || !isAsyncChild(parent, node)) {
+    return null;
+  }
+  const parentEnd = toNumberTimestamp(parent.span.endTimeUnixNano);
+  const childStart = toNumberTimestamp(node.span.startTimeUnixNano);
+  if (childStart <= parentEnd) {
+    return null;
+  }
+
+  const offsets = computeSpanOffsets(trace, { startTimeUnixNano: parentEnd, endTimeUnixNano: childStart }, timeWindow);
+  if (offsets.widthPercent === 0) {
+    return null;
+  }
+  const delay = formatDurationNano(childStart - parentEnd);
+  return h('span', {
+    className: 'trace-span__async-gap',
+    style: { left: `${offsets.startPercent}%`, width: `${offsets.widthPercent}%` },
+    title: `Started ${delay} after ${parent.span.name} ended; ${parent.span.name} did not wait for it`
+  }, h('span', { className: 'trace-span__async-gap-label', textContent: `+${delay}` }));
+}
+
 /**
  * Creates the timeline button with bar for a span summary.
  * @param {import("../trace.js").TraceModel} trace - The trace model
@@ -121,12 +257,14 @@ export function createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, s
  * @param {Object} timeWindow - Time window { start: 0-100, end: 0-100 }
  * @param {string} serviceCssVar - Service color CSS variable (e.g., "--primary-positive-2")
  * @param {boolean} showRunlineX - Whether to show horizontal runlines
+ * @param {boolean} showCriticalPath - Whether to highlight the span's share of the critical path
  * @returns {HTMLElement} The timeline button element
  */
-export function createSpanTimeline(trace, node, timeWindow, serviceCssVar, showRunlineX) {
+export function createSpanTimeline(trace, node, timeWindow, serviceCssVar, showRunlineX, showCriticalPath = false) {
   const timeline = h('button', {
     type: 'button',
     className: 'trace-span__timeline',
+    tabIndex: -1,
     attrs: { 'aria-label': 'Toggle span details' }
   });
 
@@ -134,8 +272,13 @@ export function createSpanTimeline(trace, node, timeWindow, serviceCssVar, showR
   timeline.style.setProperty("--span-start", `${offsets.startPercent}%`);
   timeline.style.setProperty("--span-width", `${offsets.widthPercent}%`);
 
+  const asyncGap = createAsyncGap(trace, node, timeWindow);
+  if (asyncGap) {
+    timeline.append(asyncGap);
+  }
+
   // Create bar with name, duration, markers, and runlines
-  const bar = createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, showRunlineX);
+  const bar = createSpanBar(trace, node, timeWindow, offsets, serviceCssVar, showRunlineX, showCriticalPath);
   timeline.append(bar);
 
   return timeline;
@@ -149,9 +292,10 @@ export function createSpanTimeline(trace, node, timeWindow, serviceCssVar, showR
  * @param {Set<string>} expandedChildren - Set of expanded child span IDs
  * @param {boolean} showRunlineX - Whether to show horizontal runlines
  * @param {boolean} showRunlineY - Whether to show vertical runlines
+ * @param {boolean} showCriticalPath - Whether to highlight the critical path
  * @returns {{summary: HTMLElement, expander: HTMLElement, service: HTMLElement, timeline: HTMLElement}} Summary components
  */
-export function renderSpanSummary(trace, node, timeWindow = { start: 0, end: 100 }, expandedChildren = new Set(), showRunlineX = true, showRunlineY = true) {
+export function renderSpanSummary(trace, node, timeWindow = { start: 0, end: 100 }, expandedChildren = new Set(), showRunlineX = true, showRunlineY = true, showCriticalPath = false) {
   const summary = h('div', {
     className: 'trace-span__summary',
     dataset: { depth: String(node.depth) },
@@ -163,7 +307,7 @@ export function renderSpanSummary(trace, node, timeWindow = { start: 0, end: 100
   summary.append(leftSection);
 
   // Create timeline with bar
-  const timeline = createSpanTimeline(trace, node, timeWindow, serviceCssVar, showRunlineX);
+  const timeline = createSpanTimeline(trace, node, timeWindow, serviceCssVar, showRunlineX, showCriticalPath);
   summary.append(timeline);
 
   // Add runline-y elements connecting parent to children in the timeline area
@@ -0,0 +1,195 @@
+/**
+ * Span Tree Navigation
+ * Keyboard support for the span list, following the WAI-ARIA tree pattern: the list is a
+ * `tree`, every span row a `treeitem`, and one row at a time is in the tab order (roving
+ * focus). Up/Down move, Left/Right collapse or expand (or go to the parent / first child),
+ * Home/End jump, Enter or Space opens the span details and `/` focuses the span search.
+ */
+
+import { onEvent } from "../../core/events.js";
+import { notifyStateChange } from "../../core/stateManager.js";
+
+/**
+ * @typedef {{ spanId: string, level: number }} TreeRow
+ */
+
+/**
+ * Finds the rendered row of a span.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {string} spanId - Span ID
+ * @returns {HTMLElement|null}
+ */
+function findTreeItem(list, spanId) {
+  return list.querySelector(`.trace-span[data-span-id="${CSS.escape(spanId)}"]`);
+}
+
+/**
+ * Lists the rows a user can currently reach, in display order. Virtualized lists know all
+ * rows, including the ones scrolled out of the DOM.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @returns {TreeRow[]}
+ */
+function getVisibleRows(list) {
+  if (list._virtualList) {
+    return list._virtualList.getVisibleRows();
+  }
+  return Array.from(list.querySelectorAll('.trace-span[role="treeitem"]'))
+    .filter((item) => !item.closest('[hidden]'))
+    .map((item) => ({ spanId: item.dataset.spanId, level: Number(item.getAttribute('aria-level')) }));
+}
+
+/**
+ * Puts exactly one row in the tab order: the last focused one when it is still visible,
+ * otherwise the first row.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @returns {HTMLElement|null} The row in the tab order
+ */
+export function syncTreeTabStop(list, viewState) {
+  const items = Array.from(list.querySelectorAll('.trace-span[role="treeitem"]'));
+  const visibleItems = items.filter((item) => !item.closest('[hidden]'));
+  const tabStop = visibleItems.find((item) => item.dataset.spanId === viewState.focusedSpanId) || visibleItems[0] || null;
+  items.forEach((item) => {
+    item.tabIndex = item === tabStop ? 0 : -1;
+  });
+  return tabStop;
+}
+
+/**
+ * Moves focus to a span row, scrolling it into view (and into the DOM for virtualized lists).
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {string} spanId - Span ID
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ */
+export function focusSpan(list, spanId, viewState) {
+  list._virtualList?.scrollToSpan(spanId);
+  const item = findTreeItem(list, spanId);
+  if (!item) {
+    return;
+  }
+  viewState.focusedSpanId = spanId;
+  syncTreeTabStop(list, viewState);
+  notifyStateChange(viewState);
+  item.focus({ preventScroll: true });
+  item.querySelector(':scope > .trace-span__summary')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Clicks a button of a row (expander or timeline) and keeps focus on the row,
+ * which virtualized lists re-render.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {HTMLElement} item - The row
+ * @param {string} selector - Button selector within the row summary
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ */
+function activateRowButton(list, item, selector, viewState) {
+  const button = item.querySelector(`:scope > .trace-span__summary ${selector}`);
+  if (!button || button.disabled) {
+    return;
+  }
+  button.click();
+  focusSpan(list, item.dataset.spanId, viewState);
+}
+
+/**
+ * Sets up keyboard navigation and roving focus for a rendered span list.
+ * @param {HTMLElement} list - The `.trace-span-list` element (role tree)
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ */
+export function setupSpanTreeNavigation(list, viewState) {
+  list.setAttribute('role', 'tree');
+  list.setAttribute('aria-label', 'Spans');
+  syncTreeTabStop(list, viewState);
+
+  // Clicking a row focuses it; it becomes the row Tab returns to
+  onEvent(list, 'focusin', (event) => {
+    const item = event.target.closest('.trace-span[role="treeitem"]');
+    if (item && item.dataset.spanId !== viewState.focusedSpanId) {
+      viewState.focusedSpanId = item.dataset.spanId;
+      syncTreeTabStop(list, viewState);
+      notifyStateChange(viewState);
+    }
+  });
+
+  onEvent(list, 'keydown', (event) => {
+    const item = event.target;
+    if (!item.matches?.('.trace-span[role="treeitem"]') || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+
+    const spanId = item.dataset.spanId;
+    const expanded = item.getAttribute('aria-expanded');
+    const rows = getVisibleRows(list);
+    const index = rows.findIndex((row) => row.spanId === spanId);
+    const level = rows[index]?.level ?? 1;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        if (index < rows.length - 1) {
+          focusSpan(list, rows[index + 1].spanId, viewState);
+        }
+        break;
+      case 'ArrowUp':
+        if (index > 0) {
+          focusSpan(list, rows[index - 1].spanId, viewState);
+        }
+        break;
+      case 'Home':
+        focusSpan(list, rows[0].spanId, viewState);
+        break;
+      case 'End':
+        focusSpan(list, rows[rows.length - 1].spanId, viewState);
+        break;
+      case 'ArrowRight':
+        if (expanded === 'false') {
+          activateRowButton(list, item, '.trace-span__expander', viewState);
+        } else if (expanded === 'true' && rows[index + 1]?.level === level + 1) {
+          focusSpan(list, rows[index + 1].spanId, viewState);
+        }
+        break;
+      case 'ArrowLeft': {
+        if (expanded === 'true') {
+          activateRowButton(list, item, '.trace-span__expander', viewState);
+          break;
+        }
+        const parent = rows.slice(0, index).reverse().find((row) => row.level === level - 1);
+        if (parent) {
+          focusSpan(list, parent.spanId, viewState);
+        }
+        break;
+      }
+      case 'Enter':
+      case ' ':
+        activateRowButton(list, item, '.trace-span__timeline', viewState);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+}
+
+/**
+ * Makes `/` focus the span search anywhere in the trace viewer (outside text fields).
+ * Bound once per host; the viewer re-renders its content into the same host.
+ * @param {HTMLElement} host - The trace viewer host
+ */
+export function setupSearchShortcut(host) {
+  if (host._searchShortcutBound) {
+    return;
+  }
+  host._searchShortcutBound = true;
+  onEvent(host, 'keydown', (event) => {
+    const target = event.target;
+    const isEditable = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    if (event.key !== '/' || isEditable || event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+    const input = host.querySelector('.trace-search__input');
+    if (input) {
+      event.preventDefault();
+      input.focus();
+      input.select();
+    }
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * Time Breakdown Component
+ * Sums span time per service and per operation: total (inclusive) duration, self time,
+ * span count and share of the trace. Self time is where a trace actually spends its time;
+ * total time counts a span's children along with it.
+ */
+
+import { h } from "../../core/dom.js";
+import { onEvent } from "../../core/events.js";
+import { formatDurationNano, toNumberTimestamp } from "../trace.js";
+
+/**
+ * @typedef {Object} TimeBreakdownRow
+ * @property {string} serviceName - Service of the spans
+ * @property {string|null} operation - Span name, null for per-service rows
+ * @property {number} totalNano - Summed span durations
+ * @property {number} selfNano - Summed self times
+ * @property {number} count - Number of spans
+ */
+
+/**
+ * @typedef {Object} TimeBreakdown
+ * @property {TimeBreakdownRow[]} services - Per service, most self time first
+ * @property {TimeBreakdownRow[]} operations - Per service and operation, most self time first
+ * @property {number} selfNano - Summed self time of all spans
+ */
+
+// Trace models are immutable once built, so the breakdown is computed once per model
+const breakdownCache = new WeakMap();
+
+/**
+ * Adds a span to its row, creating the row on first use.
+ * @param {Map<string, TimeBreakdownRow>} rows - Rows by key
+ * @param {string} key - Row key
+ * @param {string} serviceName - Service of the span
+ * @param {string|null} operation - Operation of the row
+ * @param {import("../trace.js").TraceSpanNode} node - Span node
+ */
+function addToRow(rows, key, serviceName, operation, node) {
+  const row = rows.get(key) ?? { serviceName, operation, totalNano: 0, selfNano: 0, count: 0 };
+  const start = toNumberTimestamp(node.span.startTimeUnixNano);
+  row.totalNano += Math.max(0, toNumberTimestamp(node.span.endTimeUnixNano) - start);
+  row.selfNano += node.selfTimeNano;
+  row.count++;
+  rows.set(key, row);
+}
+
+/**
+ * Computes the self time breakdown of a trace.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @returns {TimeBreakdown}
+ */
+export function computeTimeBreakdown(trace) {
+  const cached = breakdownCache.get(trace);
+  if (cached) {
+    return cached;
+  }
+
+  const services = new Map();
+  const operations = new Map();
+  let selfNano = 0;
+  trace.spanNodes.forEach((node) => {
+    // Placeholders for missing spans have no time of their own that is known
+    if (node.isPlaceholder) {
+      return;
+    }
+    const serviceName = node.span.resource?.serviceName || "unknown-service";
+    addToRow(services, serviceName, serviceName, null, node);
+    addToRow(operations, `${serviceName}\u0000${node.span.name}`, serviceName, node.span.name, node);
+    selfNano += node.selfTimeNano;
+  });
+
+  const bySelfTime = (a, b) => b.selfNano - a.selfNano || b.totalNano - a.totalNano;
+  const breakdown = {
+    services: Array.from(services.values()).sort(bySelfTime),
+    operations: Array.from(operations.values()).sort(bySelfTime),
+    selfNano,
+  };
+  breakdownCache.set(trace, breakdown);
+  return breakdown;
+}
+
+/**
+ * Formats a share as a percentage.
+ * @param {number} part - Part
+ * @param {number} whole - Whole
+ * @returns {string}
+ */
+function formatShare(part, whole) {
+  return whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : "0%";
+}
+
+/**
+ * Renders one breakdown table.
+ * @param {string} caption - Table caption
+ * @param {TimeBreakdownRow[]} rows - Rows
+ * @param {number} selfNano - Summed self time of the trace
+ * @returns {HTMLElement} The table element
+ */
+function renderBreakdownTable(caption, rows, selfNano) {
+  return h('table', { className: 'trace-breakdown__table' },
+    h('caption', { className: 'trace-breakdown__caption', textContent: caption }),
+    h('thead', {},
+      h('tr', {},
+        h('th', { textContent: rows[0]?.operation === null ? 'Service' : 'Operation' }),
+        h('th', { className: 'trace-breakdown__number', textContent: 'Total', title: 'Summed span durations, children included' }),
+        h('th', { className: 'trace-breakdown__number', textContent: 'Self', title: 'Summed durations not covered by child spans' }),
+        h('th', { className: 'trace-breakdown__number', textContent: 'Count' }),
+        h('th', { className: 'trace-breakdown__number', textContent: 'Share', title: 'Share of the self time of all spans' })
+      )
+    ),
+    h('tbody', {},
+      rows.map((row) => {
+        const share = formatShare(row.selfNano, selfNano);
+        return h('tr', {},
+          h('td', { className: 'trace-breakdown__name' },
+            h('span', { className: 'trace-breakdown__service', textContent: row.serviceName }),
+            row.operation === null ? null : h('span', { className: 'trace-breakdown__operation', textContent: row.operation })
+          ),
+          h('td', { className: 'trace-breakdown__number', textContent: formatDurationNano(row.totalNano) }),
+          h('td', { className: 'trace-breakdown__number', textContent: formatDurationNano(row.selfNano) }),
+          h('td', { className: 'trace-breakdown__number', textContent: String(row.count) }),
+          // The cell background fills up to the share
+          h('td', { className: 'trace-breakdown__number trace-breakdown__share', style: { '--share': share }, textContent: share })
+        );
+      })
+    )
+  );
+}
+
+/**
+ * Renders the collapsible time breakdown of a trace.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @returns {HTMLElement|null} The breakdown section, or null for an empty trace
+ */
+export function renderTimeBreakdown(trace, viewState) {
+  if (trace.spanCount === 0) {
+    return null;
+  }
+  const { services, operations, selfNano } = computeTimeBreakdown(trace);
+
+  const section = h('details', { className: 'trace-breakdown', open: Boolean(viewState.showTimeBreakdown) },
+    h('summary', { className: 'trace-breakdown__summary', textContent: 'Time breakdown' }),
+    h('div', { className: 'trace-breakdown__tables' },
+      renderBreakdownTable('By service', services, selfNano),
+      renderBreakdownTable('By operation', operations, selfNano)
+    )
+  );
+  // Re-renders keep the section open
+  onEvent(section, 'toggle', () => {
+    viewState.showTimeBreakdown = section.open;
+  });
+  return section;
+}
@@ -0,0 +1,227 @@
+/**
+ * Timeline Zoom
+ * Zooming and panning directly on the span timeline: Ctrl+wheel zooms around the cursor,
+ * dragging pans, double-clicking a span bar fits the window to the span and double-clicking
+ * elsewhere on the timeline shows the whole trace. The time window lives in the view state,
+ * so the preview selection follows on the next render (and drives the window the other way).
+ */
+
+import { onEvent } from "../../core/events.js";
+import { toNumberTimestamp } from "../trace.js";
+
+// Wheel delta (pixels) that zooms by a factor of e
+const WHEEL_ZOOM_SPEED = 500;
+// Pixels the pointer has to move before a press becomes a pan instead of a click
+const PAN_THRESHOLD_PX = 4;
+// Narrowest window, in nanoseconds
+const MIN_WINDOW_NANO = 100;
+// Room left and right of a span fitted by double-click, as a share of its duration
+const FIT_PADDING = 0.05;
+
+/**
+ * @typedef {{ start: number, end: number }} TimeWindow - Percent of the trace (0-100)
+ */
+
+/**
+ * Gets the duration of a trace.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @returns {number} Duration in nanoseconds (at least 1)
+ */
+function getTraceDuration(trace) {
+  return trace.durationNano || Math.max(
+    toNumberTimestamp(trace.endTimeUnixNano) - toNumberTimestamp(trace.startTimeUnixNano),
+    1
+  );
+}
+
+/**
+ * Moves a window of the given width as close to a start as fits in the trace.
+ * @param {number} start - Wanted start (percent)
+ * @param {number} width - Window width (percent)
+ * @returns {TimeWindow}
+ */
+function placeWindow(start, width) {
+  const clampedWidth = Math.min(Math.max(width, 0), 100);
+  const clampedStart = Math.min(Math.max(start, 0), 100 - clampedWidth);
+  return { start: clampedStart, end: clampedStart + clampedWidth };
+}
+
+/**
+ * Zooms a window around an anchor that stays under the cursor.
+ * @param {TimeWindow} timeWindow - Current window
+ * @param {number} anchor - Cursor position within the window (0-1)
+ * @param {number} factor - Width multiplier (below 1 zooms in)
+ * @param {number} minWidth - Narrowest width (percent)
+ * @returns {TimeWindow}
+ */
+function zoomTimeWindow(timeWindow, anchor, factor, minWidth) {
+  const width = timeWindow.end - timeWindow.start;
+  const newWidth = Math.min(Math.max(width * factor, minWidth), 100);
+  const anchorPercent = timeWindow.start + anchor * width;
+  return placeWindow(anchorPercent - anchor * newWidth, newWidth);
+}
+
+/**
+ * Shifts a window by a share of its width, stopping at the trace bounds.
+ * @param {TimeWindow} timeWindow - Current window
+ * @param {number} shift - Share of the window width to move right (negative moves left)
+ * @returns {TimeWindow}
+ */
+function panTimeWindow(timeWindow, shift) {
+  const width = timeWindow.end - timeWindow.start;
+  return placeWindow(timeWindow.start + shift * width, width);
+}
+
+/**
+ * Computes the window that shows a span with some room around it.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../trace.js").TraceSpan} span - The span
+ * @returns {TimeWindow}
+ */
+function fitTimeWindow(trace, span) {
+  const duration = getTraceDuration(trace);
+  const traceStart = toNumberTimestamp(trace.startTimeUnixNano);
+  const spanStart = toNumberTimestamp(span.startTimeUnixNano) - traceStart;
+  const spanEnd = Math.max(spanStart, toNumberTimestamp(span.endTimeUnixNano) - traceStart);
+  const padding = (spanEnd - spanStart) * FIT_PADDING;
+  const width = Math.max(spanEnd - spanStart + 2 * padding, MIN_WINDOW_NANO);
+  const center = (spanStart + spanEnd) / 2;
+  return placeWindow(((center - width / 2) / duration) * 100, (width / duration) * 100);
+}
+
+/**
+ * Finds the timeline area (right of the service column) under a pointer position.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {MouseEvent} event - Pointer event
+ * @returns {{ list: HTMLElement, rect: DOMRect }|null} The span list and the area bounds, or null outside the area
+ */
+function findTimelineArea(host, event) {
+  if (event.target.closest?.('.trace-viewer__splitter')) {
+    return null;
+  }
+  const list = event.target.closest?.('.trace-span-list');
+  const markers = list?.querySelector(':scope > .trace-timeline-markers');
+  if (!list || !host.contains(list) || !markers) {
+    return null;
+  }
+  const rect = markers.getBoundingClientRect();
+  if (rect.width <= 0 || event.clientX < rect.left || event.clientX > rect.right) {
+    return null;
+  }
+  return { list, rect };
+}
+
+/**
+ * Sets up zoom and pan on the span timeline. Bound once per host; `renderTrace` stores the
+ * displayed trace and view state on the host as `_timelineData`.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {(host: HTMLElement, trace: import("../trace.js").TraceModel, viewState: import("../../core/stateManager.js").TraceViewState) => void} renderTrace -
+ *   Re-renders the trace
+ */
+export function setupTimelineZoom(host, renderTrace) {
+  if (host._timelineZoomBound) {
+    return;
+  }
+  host._timelineZoomBound = true;
+
+  let frame = null;
+  let pendingWindow = null;
+
+  // Wheel and pointer events come faster than renders; the last window of a frame wins
+  const applyWindow = (timeWindow) => {
+    pendingWindow = timeWindow;
+    if (frame !== null) {
+      return;
+    }
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      const { trace, viewState } = host._timelineData;
+      viewState.timeWindowStart = pendingWindow.start;
+      viewState.timeWindowEnd = pendingWindow.end;
+      renderTrace(host, trace, viewState);
+    });
+  };
+
+  const getWindow = () => {
+    const { viewState } = host._timelineData;
+    return pendingWindow && frame !== null
+      ? pendingWindow
+      : { start: viewState.timeWindowStart ?? 0, end: viewState.timeWindowEnd ?? 100 };
+  };
+
+  onEvent(host, 'wheel', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || !host._timelineData) {
+      return;
+    }
+    const area = findTimelineArea(host, event);
+    if (!area) {
+      return;
+    }
+    // Keep the browser from zooming the page
+    event.preventDefault();
+    const anchor = (event.clientX - area.rect.left) / area.rect.width;
+    const minWidth = (MIN_WINDOW_NANO / getTraceDuration(host._timelineData.trace)) * 100;
+    applyWindow(zoomTimeWindow(getWindow(), anchor, Math.exp(event.deltaY / WHEEL_ZOOM_SPEED), minWidth));
+  }, { useCapture: { passive: false } });
+
+  let drag = null;
+  let suppressClick = false;
+
+  onEvent(host, 'mousedown', (event) => {
+    if (event.button !== 0 || !host._timelineData) {
+      return;
+    }
+    const area = findTimelineArea(host, event);
+    const timeWindow = getWindow();
+    // Nothing to pan while the whole trace is shown; the press stays a click
+    if (area && timeWindow.end - timeWindow.start < 100) {
+      drag = { x: event.clientX, width: area.rect.width, window: timeWindow, isPanning: false };
+    }
+  });
+
+  onEvent(document, 'mousemove', (event) => {
+    if (!drag) {
+      return;
+    }
+    const deltaX = event.clientX - drag.x;
+    if (!drag.isPanning && Math.abs(deltaX) < PAN_THRESHOLD_PX) {
+      return;
+    }
+    if (!drag.isPanning) {
+      drag.isPanning = true;
+      host.classList.add('trace-viewer--panning');
+    }
+    // Dragging right moves the content right, i.e. the window left
+    applyWindow(panTimeWindow(drag.window, -deltaX / drag.width));
+  });
+
+  onEvent(document, 'mouseup', () => {
+    if (drag?.isPanning) {
+      // The press ended a pan, not a click on the span under the pointer
+      suppressClick = true;
+      setTimeout(() => {
+        suppressClick = false;
+      }, 0);
+      host.classList.remove('trace-viewer--panning');
+    }
+    drag = null;
+  });
+
+  onEvent(host, 'click', (event) => {
+    if (suppressClick) {
+      event.stopPropagation();
+      event.preventDefault();
+      suppressClick = false;
+    }
+  }, { useCapture: true });
+
+  onEvent(host, 'dblclick', (event) => {
+    if (!host._timelineData || !findTimelineArea(host, event)) {
+      return;
+    }
+    const { trace } = host._timelineData;
+    const bar = event.target.closest('.trace-span__bar');
+    const node = bar ? trace.spanNodes.get(bar.closest('.trace-span')?.dataset.spanId) : null;
+    applyWindow(node ? fitTimeWindow(trace, node.span) : { start: 0, end: 100 });
+  });
+}
@@ -3,9 +3,16 @@
  * Renders the header section of the trace viewer
  */
 
-import { h } from "../../core/dom.js";
-import { onChange } from "../../core/events.js";
-import { formatTimestamp } from "../trace.js";
+import { h, downloadFile } from "../../core/dom.js";
+import { onChange, onClick } from "../../core/events.js";
+import { formatTimestamp, formatDurationNano } from "../trace.js";
+import { computeCriticalPath } from "../criticalPath.js";
+import { detectClockSkew } from "../clockSkew.js";
+import { computeErrorPaths } from "../exceptions.js";
+import { listResourceAttributeKeys } from "../resources.js";
+import { buildOtlpJson, collectTimeWindow, createOtlpExportFileName } from "../otlpExporter.js";
+import { buildChromeTrace, createChromeTraceFileName } from "../chromeTraceExporter.js";
+import { renderTraceSearchBar } from "./traceSearchBar.js";
 
 /**
  * Renders the trace header with title, meta, and controls.
@@ -52,10 +59,251 @@ export function renderTraceHeader(trace, viewState, host, renderTrace) {
   });
   const runlineYLabel = h('label', { className: 'trace-control' }, runlineYCheckbox, ' Runline Y');
 
+  const inspectorCheckbox = h('input', {
+    type: 'checkbox',
+    checked: Boolean(viewState.showSpanInspector)
+  });
+  onChange(inspectorCheckbox, (e) => {
+    viewState.showSpanInspector = e.target.checked;
+    renderTrace(host, trace, viewState);
+  });
+  const inspectorLabel = h('label', { className: 'trace-control', title: 'Docked panel with the details of the selected span' }, inspectorCheckbox, ' Inspector');
+
   controls.append(runlineXLabel);
   controls.append(runlineYLabel);
+  controls.append(inspectorLabel);
+  controls.append(...createCriticalPathControls(trace, viewState, host, renderTrace));
+  controls.append(createErrorsOnlyControl(trace, viewState, host, renderTrace));
+  const clockSkewControl = createClockSkewControl(trace, viewState, host, renderTrace);
+  if (clockSkewControl) {
+    controls.append(clockSkewControl);
+  }
+  const groupByControl = createGroupByControl(trace, viewState, host, renderTrace);
+  if (groupByControl) {
+    controls.append(groupByControl);
+  }
+  controls.append(createExportButton(trace, viewState));
+  controls.append(createChromeTraceExportButton(trace));
   header.append(controls);
 
+  header.append(renderTraceSearchBar(trace, viewState, host, renderTrace));
+
   return header;
 }
 
+/**
+ * Creates the critical path toggles: highlight the path, and list only the spans on it.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The host element
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {HTMLElement[]} The toggle labels
+ */
+function createCriticalPathControls(trace, viewState, host, renderTrace) {
+  const criticalPath = computeCriticalPath(trace);
+  const summary = `${criticalPath.spanIds.size} spans, ${formatDurationNano(criticalPath.durationNano)}`;
+  const isPathOnly = viewState.viewMode === 'critical-path';
+
+  const highlightCheckbox = h('input', {
+    type: 'checkbox',
+    checked: Boolean(viewState.showCriticalPath) || isPathOnly,
+    disabled: isPathOnly
+  });
+  onChange(highlightCheckbox, (e) => {
+    viewState.showCriticalPath = e.target.checked;
+    renderTrace(host, trace, viewState);
+  });
+
+  const pathOnlyCheckbox = h('input', {
+    type: 'checkbox',
+    checked: isPathOnly
+  });
+  onChange(pathOnlyCheckbox, (e) => {
+    viewState.viewMode = e.target.checked ? 'critical-path' : 'all';
+    renderTrace(host, trace, viewState);
+  });
+
+  return [
+    h('label', { className: 'trace-control', title: `Critical path: ${summary}` }, highlightCheckbox, ' Critical path'),
+    h('label', { className: 'trace-control', title: 'Only list the spans on the critical path' }, pathOnlyCheckbox, ' Critical path only'),
+  ];
+}
+
+/**
+ * Creates the errors only toggle, which prunes the span list to the failing spans and
+ * their ancestors.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The host element
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {HTMLElement} The toggle label
+ */
+function createErrorsOnlyControl(trace, viewState, host, renderTrace) {
+  const { failingSpanIds } = computeErrorPaths(trace);
+  const isErrorsOnly = viewState.viewMode === 'errors';
+
+  const checkbox = h('input', {
+    type: 'checkbox',
+    checked: isErrorsOnly,
+    // Leaving the view stays possible after live spans changed the trace
+    disabled: failingSpanIds.size === 0 && !isErrorsOnly
+  });
+  onChange(checkbox, (e) => {
+    viewState.viewMode = e.target.checked ? 'errors' : 'all';
+    renderTrace(host, trace, viewState);
+  });
+
+  return h('label', {
+    className: 'trace-control',
+    title: 'Only list the failing spans and the spans that contain them'
+  }, checkbox, ` Errors only (${failingSpanIds.size})`);
+}
+
+/**
+ * Creates the clock skew correction toggles, shown when services of the trace are skewed: one
+ * for all skewed services and, with several of them, one per service.
+ * @param {import("../trace.js").TraceModel} trace - The trace model (corrected or not)
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The host element
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {HTMLElement|null} The toggles, or null without skew
+ */
+function createClockSkewControl(trace, viewState, host, renderTrace) {
+  const { offsets } = detectClockSkew(trace.uncorrectedTrace ?? trace);
+  if (offsets.size === 0) {
+    return null;
+  }
+  const corrected = viewState.skewCorrectedServices;
+  const skewedServices = Array.from(offsets.keys());
+  const correctedCount = skewedServices.filter((serviceName) => corrected.has(serviceName)).length;
+  const formatShift = (offset) => `${offset > 0 ? '+' : '−'}${formatDurationNano(Math.abs(offset))}`;
+
+  const allCheckbox = h('input', {
+    type: 'checkbox',
+    checked: correctedCount === skewedServices.length
+  });
+  allCheckbox.indeterminate = correctedCount > 0 && correctedCount < skewedServices.length;
+  onChange(allCheckbox, (e) => {
+    skewedServices.forEach((serviceName) => (e.target.checked ? corrected.add(serviceName) : corrected.delete(serviceName)));
+    renderTrace(host, trace, viewState);
+  });
+
+  const details = Array.from(offsets)
+    .map(([serviceName, offset]) => `${serviceName}: ${formatShift(offset)}`)
+    .join('\n');
+  const allToggle = h('label', {
+    className: 'trace-control',
+    title: `Shift skewed services onto their callers' clocks\n${details}`
+  }, allCheckbox, ` Correct clock skew (${offsets.size})`);
+  if (skewedServices.length === 1) {
+    return allToggle;
+  }
+
+  const serviceToggles = Array.from(offsets).map(([serviceName, offset]) => {
+    const checkbox = h('input', { type: 'checkbox', checked: corrected.has(serviceName) });
+    onChange(checkbox, (e) => {
+      if (e.target.checked) {
+        corrected.add(serviceName);
+      } else {
+        corrected.delete(serviceName);
+      }
+      renderTrace(host, trace, viewState);
+    });
+    return h('label', {
+      className: 'trace-control trace-control--skew-service',
+      title: `Shift ${serviceName} by ${formatShift(offset)} onto its callers' clock`
+    }, checkbox, ` ${serviceName} ${formatShift(offset)}`);
+  });
+
+  return h('div', { className: 'trace-control-group', role: 'group', 'aria-label': 'Clock skew correction' },
+    allToggle,
+    serviceToggles
+  );
+}
+
+/**
+ * Creates the group by select: spans are grouped and colored by service or by a resource
+ * attribute, e.g. service.version during a canary rollout.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The host element
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {HTMLElement|null} The select label, or null when the spans carry no resource attributes
+ */
+function createGroupByControl(trace, viewState, host, renderTrace) {
+  const keys = listResourceAttributeKeys(trace.ungroupedTrace ?? trace);
+  if (keys.length === 0) {
+    return null;
+  }
+  // A key of a shared link may be missing from this trace; it stays selectable
+  const options = viewState.colorBy && !keys.includes(viewState.colorBy) ? [viewState.colorBy, ...keys] : keys;
+
+  const select = h('select', { className: 'trace-control__select' },
+    h('option', { value: '', textContent: 'Service' }),
+    options.map((key) => h('option', { value: key, textContent: key }))
+  );
+  select.value = viewState.colorBy ?? '';
+  onChange(select, (e) => {
+    viewState.colorBy = e.target.value || null;
+    renderTrace(host, trace, viewState);
+  });
+
+  return h('label', {
+    className: 'trace-control',
+    title: 'Group and color spans by service or by a resource attribute'
+  }, 'Group by ', select);
+}
+
+/**
+ * Creates the OTLP JSON export button. When the preview is zoomed only the spans
+ * overlapping the selected time window are exported.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @returns {HTMLElement} The button element
+ */
+function createExportButton(trace, viewState) {
+  const timeWindow = {
+    start: viewState.timeWindowStart ?? 0,
+    end: viewState.timeWindowEnd ?? 100,
+  };
+  const isWindowed = timeWindow.start > 0 || timeWindow.end < 100;
+
+  const button = h('button', {
+    type: 'button',
+    className: 'trace-control trace-control--button',
+    textContent: isWindowed ? 'Export window (OTLP JSON)' : 'Export OTLP JSON',
+    disabled: trace.spanCount === 0
+  });
+  onClick(button, () => {
+    const { spans, logs } = collectTimeWindow(trace, timeWindow);
+    const suffix = isWindowed ? `window-${Math.round(timeWindow.start)}-${Math.round(timeWindow.end)}` : '';
+    const otlpJson = buildOtlpJson(spans, logs);
+    console.log("[traceHeader export] Exporting", spans.length, "spans,", logs.length, "log rows");
+    downloadFile(createOtlpExportFileName(trace.traceId, suffix), JSON.stringify(otlpJson, null, 2), 'application/json');
+  });
+
+  return button;
+}
+
+/**
+ * Creates the Chrome Trace Event export button (opens in Perfetto or chrome://tracing).
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @returns {HTMLElement} The button element
+ */
+function createChromeTraceExportButton(trace) {
+  const button = h('button', {
+    type: 'button',
+    className: 'trace-control trace-control--button',
+    textContent: 'Export Chrome trace',
+    title: 'Chrome Trace Event JSON for Perfetto or chrome://tracing',
+    disabled: trace.spanCount === 0
+  });
+  onClick(button, () => {
+    // Exports hold the recorded timestamps, not the clock skew corrected ones
+    const chromeTrace = buildChromeTrace(trace.uncorrectedTrace ?? trace);
+    console.log("[traceHeader export] Exporting", chromeTrace.traceEvents.length, "Chrome trace events");
+    downloadFile(createChromeTraceFileName(trace.traceId), JSON.stringify(chromeTrace), 'application/json');
+  });
+
+  return button;
+}
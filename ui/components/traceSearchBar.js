@@ -0,0 +1,149 @@
+/**
+ * Trace Search Bar Component
+ * Search box for the trace header: highlights matching spans, expands their ancestors
+ * and steps through the matches (Enter / Shift+Enter or the arrow buttons). "Matches only"
+ * filters the list down to the matches and the spans that contain them.
+ */
+
+import { h } from "../../core/dom.js";
+import { onClick, onChange, onEvent } from "../../core/events.js";
+import { expandAncestors } from "../../core/stateManager.js";
+import { findMatchingSpans, highlightSearchMatches } from "../traceSearch.js";
+
+const SEARCH_DEBOUNCE_MS = 150;
+
+/**
+ * Formats the match counter text
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @returns {string}
+ */
+function formatMatchCount(viewState) {
+  if (!viewState.searchQuery) {
+    return "";
+  }
+  const total = viewState.searchMatches.length;
+  return total === 0 ? "No matches" : `${viewState.searchIndex + 1} / ${total}`;
+}
+
+/**
+ * Focuses the search input of a (re-)rendered trace and restores the caret position.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {[number, number]|null} selection - Caret selection to restore, null to leave focus alone
+ */
+export function restoreSearchFocus(host, selection) {
+  const input = host.querySelector(".trace-search__input");
+  if (!input || !selection) {
+    return;
+  }
+  input.focus();
+  input.setSelectionRange(selection[0], selection[1]);
+}
+
+/**
+ * Reads the caret selection of the search input when it has focus.
+ * @param {HTMLElement} host - The trace viewer host
+ * @returns {[number, number]|null} Selection, or null when the input is not focused
+ */
+export function captureSearchFocus(host) {
+  const input = host.querySelector(".trace-search__input");
+  return input && input === document.activeElement ? [input.selectionStart, input.selectionEnd] : null;
+}
+
+/**
+ * Renders the span search bar.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} viewState - The view state
+ * @param {HTMLElement} host - The host element
+ * @param {Function} renderTrace - Function to re-render the trace
+ * @returns {HTMLElement} The search bar element
+ */
+export function renderTraceSearchBar(trace, viewState, host, renderTrace) {
+  const input = h('input', {
+    type: 'search',
+    className: 'trace-search__input',
+    value: viewState.searchQuery || '',
+    placeholder: 'Search spans: name, service, status=error, db.system=redis…',
+    'aria-label': 'Search spans'
+  });
+  const count = h('span', { className: 'trace-search__count', 'aria-live': 'polite', textContent: formatMatchCount(viewState) });
+  const previousButton = h('button', { type: 'button', className: 'trace-search__step', textContent: '↑', title: 'Previous match (Shift+Enter)' });
+  const nextButton = h('button', { type: 'button', className: 'trace-search__step', textContent: '↓', title: 'Next match (Enter)' });
+  const matchesOnly = h('input', { type: 'checkbox', checked: viewState.viewMode === 'matches' });
+
+  /**
+   * Shows the current match: re-renders when ancestors had to be expanded,
+   * otherwise only updates the highlight classes.
+   * @param {boolean} expandAllMatches - Expand the ancestors of every match, not just the current one
+   *   (the query changed, so the matches only list changes too)
+   */
+  const showCurrentMatch = (expandAllMatches) => {
+    const targets = expandAllMatches ? viewState.searchMatches : [viewState.searchMatches[viewState.searchIndex]].filter(Boolean);
+    const hasExpanded = targets.reduce((changed, spanId) => expandAncestors(trace, viewState, spanId) || changed, false);
+    const needsRender = hasExpanded || (expandAllMatches && viewState.viewMode === 'matches');
+
+    if (needsRender) {
+      const selection = captureSearchFocus(host);
+      renderTrace(host, trace, viewState);
+      restoreSearchFocus(host, selection);
+    } else {
+      count.textContent = formatMatchCount(viewState);
+    }
+
+    const list = host.querySelector(".trace-span-list");
+    // Virtualized lists only contain the rows near the viewport; scroll the match into the window first
+    list?._virtualList?.scrollToSpan(viewState.searchMatches[viewState.searchIndex]);
+    const current = list ? highlightSearchMatches(list, viewState) : null;
+    current?.querySelector(':scope > .trace-span__summary')?.scrollIntoView({ block: 'nearest' });
+  };
+
+  const step = (delta) => {
+    const total = viewState.searchMatches.length;
+    if (total === 0) {
+      return;
+    }
+    viewState.searchIndex = (viewState.searchIndex + delta + total) % total;
+    showCurrentMatch(false);
+  };
+
+  let debounceTimer = null;
+  onEvent(input, 'input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      viewState.searchQuery = input.value.trim();
+      viewState.searchMatches = findMatchingSpans(trace, viewState.searchQuery);
+      viewState.searchIndex = 0;
+      console.log("[traceSearchBar] Query", JSON.stringify(viewState.searchQuery), "matched", viewState.searchMatches.length, "spans");
+      showCurrentMatch(true);
+    }, SEARCH_DEBOUNCE_MS);
+  });
+
+  onEvent(input, 'keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      step(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape' && input.value) {
+      event.preventDefault();
+      input.value = '';
+      input.dispatchEvent(new Event('input'));
+    }
+  });
+
+  onClick(previousButton, () => step(-1));
+  onClick(nextButton, () => step(1));
+
+  onChange(matchesOnly, (e) => {
+    viewState.viewMode = e.target.checked ? 'matches' : 'all';
+    renderTrace(host, trace, viewState);
+  });
+
+  return h('div', { className: 'trace-search', role: 'search' },
+    input,
+    count,
+    previousButton,
+    nextButton,
+    h('label', {
+      className: 'trace-control',
+      title: 'Only list the matching spans and the spans that contain them'
+    }, matchesOnly, ' Matches only')
+  );
+}
@@ -0,0 +1,319 @@
+/**
+ * Virtual Span List Component
+ * Renders very large traces as a flat, windowed list: only the span rows inside (or near)
+ * the scroll viewport exist in the DOM. Row heights are estimated until a row has been
+ * rendered once, then measured, so opened span details keep their real height.
+ */
+
+import { h } from "../../core/dom.js";
+import { onClickStop } from "../../core/events.js";
+import { pruneDescendantState, isCriticalPathShown, notifyStateChange } from "../../core/stateManager.js";
+import { renderSpanSummary } from "./spanSummary.js";
+import { createSpanContainer, setupLazyMarkers } from "./spanNode.js";
+import { renderSpanDetails, updateRunlineYFromLayout } from "../trace.js";
+import { highlightSearchMatches } from "../traceSearch.js";
+import { syncTreeTabStop } from "./spanTreeNavigation.js";
+
+// Traces with more spans than this are rendered virtualized
+export const VIRTUALIZE_SPAN_THRESHOLD = 1500;
+
+// Used for rows that have not been measured yet (summary row without details)
+const ESTIMATED_ROW_HEIGHT = 36;
+// Rows rendered above and below the viewport so fast scrolling doesn't show gaps
+const OVERSCAN_PX = 800;
+
+/**
+ * @typedef {Object} VirtualSpanRow
+ * @property {import("../trace.js").TraceSpanNode} node - Span node
+ * @property {boolean} isLastChild - Whether the span is the last child of its parent
+ * @property {number[]} guideDepths - Depths of ancestors that continue below this row (tree lines)
+ * @property {number} positionInSet - 1-based position among its siblings
+ * @property {number} setSize - Number of siblings (including itself)
+ */
+
+/**
+ * Flattens the span tree into the rows that are visible with the current expand state.
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} state - The view state
+ * @returns {VirtualSpanRow[]} Rows in display order
+ */
+export function flattenVisibleSpans(trace, state) {
+  const rows = [];
+  // Iterative walk: batch traces can be deep enough to make recursion risky
+  const stack = trace.roots
+    .map((node, index) => ({
+      node,
+      isLastChild: index === trace.roots.length - 1,
+      guideDepths: [],
+      positionInSet: index + 1,
+      setSize: trace.roots.length,
+    }))
+    .reverse();
+
+  while (stack.length > 0) {
+    const row = stack.pop();
+    rows.push(row);
+    const { node } = row;
+    if (node.children.length === 0 || !state.expandedChildren.has(node.span.spanId)) {
+      continue;
+    }
+    // A non-last child's tree line continues past its own row through all of its descendants
+    const childGuides = node.depth > 0 && !row.isLastChild ? [...row.guideDepths, node.depth] : row.guideDepths;
+    for (let index = node.children.length - 1; index >= 0; index--) {
+      stack.push({
+        node: node.children[index],
+        isLastChild: index === node.children.length - 1,
+        guideDepths: childGuides,
+        positionInSet: index + 1,
+        setSize: node.children.length,
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Renders the virtualized span list into a `.trace-span-list` element.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {import("../trace.js").TraceModel} trace - The trace model
+ * @param {import("../../core/stateManager.js").TraceViewState} state - The view state
+ * @returns {{ refresh: () => void, scrollToSpan: (spanId: string) => void, getRowElement: (spanId: string) => HTMLElement|null, getVisibleRows: () => Array<{ spanId: string, level: number }> }}
+ */
+export function renderVirtualSpanList(list, trace, state) {
+  const timeWindow = {
+    start: state.timeWindowStart ?? 0,
+    end: state.timeWindowEnd ?? 100,
+  };
+
+  const rowWindow = h('div', { className: 'trace-span-list__window' });
+  const spacer = h('div', { className: 'trace-span-list__spacer' }, rowWindow);
+  const viewport = h('div', { className: 'trace-span-list__viewport' }, spacer);
+  list.classList.add('trace-span-list--virtual');
+  list.append(viewport);
+
+  /** @type {VirtualSpanRow[]} */
+  let rows = [];
+  let rowIndexBySpanId = new Map();
+  // Row tops in px; offsets[rows.length] is the total height
+  let offsets = new Float64Array(1);
+  const measuredHeights = new Map();
+  let renderedRange = { first: -1, last: -1 };
+
+  const computeOffsets = () => {
+    offsets = new Float64Array(rows.length + 1);
+    rows.forEach((row, index) => {
+      offsets[index + 1] = offsets[index] + (measuredHeights.get(row.node.span.spanId) ?? ESTIMATED_ROW_HEIGHT);
+    });
+    spacer.style.height = `${offsets[rows.length]}px`;
+  };
+
+  // First row whose bottom edge is below the given position
+  const findRowAt = (position) => {
+    let low = 0;
+    let high = rows.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle + 1] <= position) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  };
+
+  const toggleChildren = (node) => {
+    const spanId = node.span.spanId;
+    if (state.expandedChildren.has(spanId)) {
+      state.expandedChildren.delete(spanId);
+      pruneDescendantState(node, state);
+    } else {
+      state.expandedChildren.add(spanId);
+    }
+    refresh();
+    notifyStateChange(state);
+  };
+
+  const toggleDetails = (node) => {
+    const spanId = node.span.spanId;
+    if (state.expandedAttributes.has(spanId)) {
+      state.expandedAttributes.delete(spanId);
+    } else {
+      state.expandedAttributes.add(spanId);
+    }
+    renderWindow(true);
+    notifyStateChange(state);
+  };
+
+  /**
+   * Renders one row: the span summary, its details when open and the ancestor tree lines.
+   * @param {VirtualSpanRow} row - Row to render
+   * @returns {HTMLElement} Row element
+   */
+  const renderRow = (row) => {
+    const { node } = row;
+    const spanId = node.span.spanId;
+    const container = createSpanContainer(node, row.isLastChild);
+    const hasChildren = node.children.length > 0;
+    const childrenOpen = hasChildren && state.expandedChildren.has(spanId);
+    container.classList.toggle('trace-span--children-open', childrenOpen);
+    // Rows are flat, so the tree position is spelled out for screen readers
+    container.setAttribute('aria-setsize', String(row.setSize));
+    container.setAttribute('aria-posinset', String(row.positionInSet));
+    if (hasChildren) {
+      container.setAttribute('aria-expanded', String(childrenOpen));
+    }
+
+    row.guideDepths.forEach((depth) => {
+      container.append(h('span', { className: 'trace-span__guide', style: { '--guide-depth': String(depth) } }));
+    });
+
+    const { summary, expander, service, timeline } = renderSpanSummary(
+      trace,
+      node,
+      timeWindow,
+      state.expandedChildren,
+      state.showRunlineX !== false,
+      state.showRunlineY !== false,
+      isCriticalPathShown(state)
+    );
+    container.append(summary);
+
+    expander.setAttribute('aria-expanded', String(childrenOpen));
+    service.setAttribute('aria-expanded', String(childrenOpen));
+    if (hasChildren) {
+      onClickStop(expander, () => toggleChildren(node));
+      onClickStop(service, () => toggleChildren(node));
+    }
+
+    const detailsOpen = state.expandedAttributes.has(spanId);
+    timeline.setAttribute('aria-expanded', String(detailsOpen));
+    if (detailsOpen) {
+      // Details are only built for open rows; nested rendering builds them for every span
+      const details = renderSpanDetails(node, trace);
+      details.id = `trace-span-details-${spanId}`;
+      timeline.setAttribute('aria-controls', details.id);
+      container.classList.add('trace-span--details-open');
+      container.append(details);
+    }
+    onClickStop(timeline, () => toggleDetails(node));
+
+    setupLazyMarkers(summary, timeline);
+    return container;
+  };
+
+  /**
+   * Positions runline-y lines of the rendered parents from the row layout.
+   */
+  const updateRunlines = () => {
+    if (state.showRunlineY === false) {
+      return;
+    }
+    rowWindow.querySelectorAll(':scope > .trace-span--children-open').forEach((element) => {
+      const parentIndex = rowIndexBySpanId.get(element.dataset.spanId);
+      const summary = element.querySelector(':scope > .trace-span__summary');
+      updateRunlineYFromLayout(summary, trace, timeWindow, (childSpanId) => {
+        const childIndex = rowIndexBySpanId.get(childSpanId);
+        return childIndex === undefined ? null : offsets[childIndex] - offsets[parentIndex];
+      });
+    });
+  };
+
+  /**
+   * Renders the rows around the viewport.
+   * @param {boolean=} force - Re-render even if the visible range did not change
+   */
+  const renderWindow = (force = false) => {
+    if (rows.length === 0) {
+      rowWindow.replaceChildren();
+      renderedRange = { first: -1, last: -1 };
+      return;
+    }
+
+    const top = viewport.scrollTop;
+    const bottom = top + (viewport.clientHeight || window.innerHeight);
+    const first = findRowAt(Math.max(0, top - OVERSCAN_PX));
+    const last = findRowAt(bottom + OVERSCAN_PX);
+    if (!force && first === renderedRange.first && last === renderedRange.last) {
+      return;
+    }
+    renderedRange = { first, last };
+
+    // Rows are re-created, so keyboard focus moves to the new element of the same span
+    const hadFocus = rowWindow.contains(document.activeElement);
+    rowWindow.replaceChildren(...rows.slice(first, last + 1).map(renderRow));
+    syncTreeTabStop(rowWindow, state);
+    if (hadFocus && state.focusedSpanId) {
+      getRowElement(state.focusedSpanId)?.focus({ preventScroll: true });
+    }
+
+    // Measure what was rendered and correct the layout
+    let changed = false;
+    Array.from(rowWindow.children).forEach((element, offset) => {
+      const height = element.offsetHeight;
+      const spanId = rows[first + offset].node.span.spanId;
+      if (height > 0 && measuredHeights.get(spanId) !== height) {
+        measuredHeights.set(spanId, height);
+        changed = true;
+      }
+    });
+    if (changed) {
+      computeOffsets();
+    }
+    rowWindow.style.transform = `translateY(${offsets[first]}px)`;
+
+    highlightSearchMatches(rowWindow, state);
+    requestAnimationFrame(updateRunlines);
+  };
+
+  /**
+   * Rebuilds the rows after the expand state changed.
+   */
+  const refresh = () => {
+    rows = flattenVisibleSpans(trace, state);
+    rowIndexBySpanId = new Map(rows.map((row, index) => [row.node.span.spanId, index]));
+    computeOffsets();
+    renderWindow(true);
+  };
+
+  const scrollToSpan = (spanId) => {
+    const index = rowIndexBySpanId.get(spanId);
+    if (index === undefined) {
+      return;
+    }
+    const rowTop = offsets[index];
+    const rowBottom = offsets[index + 1];
+    if (rowTop < viewport.scrollTop || rowBottom > viewport.scrollTop + viewport.clientHeight) {
+      viewport.scrollTop = Math.max(0, rowTop - viewport.clientHeight / 3);
+    }
+    renderWindow();
+  };
+
+  const getRowElement = (spanId) =>
+    rowWindow.querySelector(`:scope > .trace-span[data-span-id="${CSS.escape(spanId)}"]`);
+
+  const getVisibleRows = () => rows.map((row) => ({ spanId: row.node.span.spanId, level: row.node.depth + 1 }));
+
+  let scrollFrame = null;
+  viewport.addEventListener('scroll', () => {
+    // Remembered so re-renders (zoom, toggles, live updates) keep the position
+    state.scrollTop = viewport.scrollTop;
+    if (scrollFrame === null) {
+      scrollFrame = requestAnimationFrame(() => {
+        scrollFrame = null;
+        renderWindow();
+      });
+    }
+  });
+
+  refresh();
+  // The list is attached after this returns: measure rows and restore the position once laid out
+  requestAnimationFrame(() => {
+    list.style.setProperty('--trace-scrollbar-width', `${viewport.offsetWidth - viewport.clientWidth}px`);
+    viewport.scrollTop = state.scrollTop || 0;
+    renderWindow(true);
+  });
+
+  return { refresh, scrollToSpan, getRowElement, getVisibleRows };
+}
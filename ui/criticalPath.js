@@ -0,0 +1,161 @@
+/**
+ * Critical Path
+ * Finds the chain of spans that determines a trace's end-to-end latency.
+ *
+ * Walking backwards from the end of the root span, the last child to finish before the
+ * current point is what the parent was waiting on; the path descends into that child and
+ * then continues from where the child started. Time where no child was blocking is the
+ * span's own time on the path. Children that outlive their parent are clipped to the
+ * parent, so fire-and-forget work never extends the path, and async children (message
+ * consumers, FOLLOWS_FROM spans) are never what a parent waits on.
+ */
+
+import { toNumberTimestamp, isAsyncChild } from "./trace.js";
+
+/**
+ * @typedef {import("./trace.js").TraceModel} TraceModel
+ * @typedef {import("./trace.js").TraceSpanNode} TraceSpanNode
+ */
+
+/**
+ * @typedef {Object} CriticalPath
+ * @property {Set<string>} spanIds - Spans on the critical path
+ * @property {Map<string, Array<{start: number, end: number}>>} segments - Per span, the time ranges
+ *   (nanoseconds) where the span itself is on the critical path, i.e. not waiting on a child
+ * @property {number} durationNano - Length of the path (duration of the root it starts from)
+ */
+
+// Trace models are immutable once built, so the path is computed once per model
+const criticalPathCache = new WeakMap();
+
+/**
+ * Reads a span's start and end, with the end never before the start
+ * @param {TraceSpanNode} node - Span node
+ * @returns {{start: number, end: number}}
+ */
+function getSpanRange(node) {
+  const start = toNumberTimestamp(node.span.startTimeUnixNano);
+  return { start, end: Math.max(start, toNumberTimestamp(node.span.endTimeUnixNano)) };
+}
+
+/**
+ * Picks the root the critical path starts from: the one that finishes last.
+ * @param {TraceSpanNode[]} roots - Root nodes
+ * @returns {TraceSpanNode|null}
+ */
+function findLastFinishingRoot(roots) {
+  let lastRoot = null;
+  let lastEnd = Number.NEGATIVE_INFINITY;
+  roots.forEach((root) => {
+    const { end } = getSpanRange(root);
+    if (end > lastEnd) {
+      lastEnd = end;
+      lastRoot = root;
+    }
+  });
+  return lastRoot;
+}
+
+/**
+ * Computes the critical path of a trace.
+ * @param {TraceModel} trace - Trace model
+ * @returns {CriticalPath}
+ */
+export function computeCriticalPath(trace) {
+  if (criticalPathCache.has(trace)) {
+    return criticalPathCache.get(trace);
+  }
+
+  const spanIds = new Set();
+  const segments = new Map();
+  const addSegment = (spanId, start, end) => {
+    if (end > start) {
+      segments.get(spanId).push({ start, end });
+    }
+  };
+
+  /**
+   * Adds a span and the children it waited on to the path.
+   * @param {TraceSpanNode} node - Span on the path
+   * @param {number} criticalEnd - Point in time the span is on the path until
+   */
+  const visit = (node, criticalEnd) => {
+    const spanId = node.span.spanId;
+    const range = getSpanRange(node);
+    spanIds.add(spanId);
+    segments.set(spanId, []);
+
+    // Children clipped to the parent, latest end first
+    const children = node.children
+      .filter((child) => !isAsyncChild(node, child))
+      .map((child) => {
+        const childRange = getSpanRange(child);
+        return {
+          child,
+          start: Math.max(childRange.start, range.start),
+          end: Math.min(childRange.end, range.end),
+        };
+      })
+      .filter((candidate) => candidate.end > candidate.start)
+      .sort((a, b) => b.end - a.end);
+
+    let cursor = Math.min(criticalEnd, range.end);
+    for (const candidate of children) {
+      if (cursor <= range.start) {
+        break;
+      }
+      // Only a child that had finished by the cursor can be what the parent was waiting on
+      if (candidate.end > cursor) {
+        continue;
+      }
+      addSegment(spanId, candidate.end, cursor);
+      visit(candidate.child, candidate.end);
+      cursor = candidate.start;
+    }
+    addSegment(spanId, range.start, cursor);
+
+    // Segments were collected backwards
+    segments.get(spanId).reverse();
+  };
+
+  const root = findLastFinishingRoot(trace.roots);
+  if (root) {
+    const { end } = getSpanRange(root);
+    visit(root, end);
+  }
+
+  const criticalPath = {
+    spanIds,
+    segments,
+    durationNano: root ? getSpanRange(root).end - getSpanRange(root).start : 0,
+  };
+  criticalPathCache.set(trace, criticalPath);
+  return criticalPath;
+}
+
+/**
+ * Builds a trace model that only contains the spans on the critical path. Nodes are copies
+ * with their children filtered; spans and trace bounds are shared with the full trace so
+ * bars keep their positions. `sourceTrace` points back to the full trace, e.g. to resolve
+ * span links to spans off the path.
+ * @param {TraceModel} trace - Trace model
+ * @returns {TraceModel & { sourceTrace: TraceModel }} Trace model with only critical path spans
+ */
+export function buildCriticalPathTrace(trace) {
+  const { spanIds } = computeCriticalPath(trace);
+  const spanNodes = new Map();
+
+  const copyNode = (node) => {
+    const copy = {
+      ...node,
+      children: node.children.filter((child) => spanIds.has(child.span.spanId)).map(copyNode),
+    };
+    spanNodes.set(node.span.spanId, copy);
+    return copy;
+  };
+
+  const roots = trace.roots.filter((root) => spanIds.has(root.span.spanId)).map(copyNode);
+  const criticalPathTrace = { ...trace, roots, spanNodes, spanCount: spanNodes.size, sourceTrace: trace };
+  criticalPathCache.set(criticalPathTrace, computeCriticalPath(trace));
+  return criticalPathTrace;
+}
@@ -0,0 +1,231 @@
+/**
+ * Exceptions
+ * Reads the exceptions recorded on spans (`exception` events and logs with `exception.*`
+ * attributes, per the OpenTelemetry semantic conventions), parses their stack traces into
+ * frames, and finds how errors propagate: failing spans and the ancestors that contain them.
+ *
+ * Stack traces of Java, .NET, JavaScript and Python are split into frames; lines of other
+ * formats are kept as text.
+ */
+
+import { formatAnyValueInline } from "./attributes.js";
+import { isVirtualSpanLog } from "./logs.js";
+import { toNumberTimestamp } from "./trace.js";
+
+/**
+ * @typedef {import("./trace.js").TraceModel} TraceModel
+ * @typedef {import("./trace.js").TraceSpanNode} TraceSpanNode
+ */
+
+/**
+ * @typedef {Object} StackTraceLine
+ * @property {'frame'|'cause'|'text'} kind - A call frame, a line starting a nested or chained
+ *   exception (`Caused by:`, `--- End of inner exception stack trace ---`), or other text
+ * @property {string} text - The line as recorded, trimmed
+ * @property {string} [function] - Called function of a frame
+ * @property {string} [location] - File and line of a frame
+ * @property {string} [code] - Source line of a frame (Python)
+ */
+
+/**
+ * @typedef {Object} SpanException
+ * @property {string} type - `exception.type`
+ * @property {string} message - `exception.message`
+ * @property {string} stacktrace - `exception.stacktrace` as recorded
+ * @property {StackTraceLine[]} lines - Parsed stack trace
+ * @property {boolean} escaped - `exception.escaped`: the exception left the span
+ * @property {number|bigint} timeUnixNano - When it was recorded
+ * @property {'event'|'log'} source - Recorded as a span event or as a log record
+ */
+
+/**
+ * @typedef {Object} ErrorPaths
+ * @property {Set<string>} failingSpanIds - Spans with an error status or an exception event
+ * @property {Set<string>} containsErrorIds - Ancestors of failing spans
+ */
+
+// Trace models are immutable once built, so error paths are found once per model
+const errorPathsCache = new WeakMap();
+
+// `Caused by: …` (Java), inner exceptions (.NET), chained tracebacks (Python)
+const CAUSE_LINE = /^(Caused by:|Suppressed:|--->|--- End of|Traceback \(most recent call last\)|During handling of the above exception|The above exception was the direct cause)/;
+// `at func (file.js:10:5)`, `at pkg.Class.method(Class.java:42)`, `at Ns.Type.Method() in /src/File.cs:line 42`
+const AT_FRAME = /^at\s+(.+)$/;
+const DOTNET_LOCATION = /^(.*\S)\s+in\s+(.+)$/;
+const PAREN_LOCATION = /^(.*?)\s*\(([^()]*)\)$/;
+// What a location in parentheses looks like, as opposed to a .NET parameter list
+const LOCATION_HINT = /:\d+|Native Method|Unknown Source|<anonymous>|^native$/;
+const BARE_LOCATION = /^[^\s()]+:\d+(:\d+)?$/;
+// `File "/app/handler.py", line 12, in handle`
+const PYTHON_FRAME = /^File "(.+)", line (\d+)(?:, in (.+))?$/;
+
+/**
+ * Parses one `at …` frame.
+ * @param {string} text - Trimmed line
+ * @param {string} callee - Text after `at `
+ * @returns {StackTraceLine}
+ */
+function parseAtFrame(text, callee) {
+  const dotnet = callee.match(DOTNET_LOCATION);
+  if (dotnet) {
+    return { kind: 'frame', text, function: dotnet[1], location: dotnet[2] };
+  }
+  const paren = callee.match(PAREN_LOCATION);
+  if (paren && LOCATION_HINT.test(paren[2])) {
+    return { kind: 'frame', text, function: paren[1], location: paren[2] };
+  }
+  if (BARE_LOCATION.test(callee)) {
+    return { kind: 'frame', text, location: callee };
+  }
+  return { kind: 'frame', text, function: callee };
+}
+
+/**
+ * Splits a stack trace into frames and other lines.
+ * @param {string} stacktrace - `exception.stacktrace`
+ * @returns {StackTraceLine[]}
+ */
+export function parseStackTrace(stacktrace) {
+  const lines = [];
+  String(stacktrace || '').split(/\r?\n/).forEach((rawLine) => {
+    const text = rawLine.trim();
+    if (!text) {
+      return;
+    }
+    const previous = lines[lines.length - 1];
+    const at = text.match(AT_FRAME);
+    const python = text.match(PYTHON_FRAME);
+    if (at) {
+      lines.push(parseAtFrame(text, at[1]));
+    } else if (python) {
+      lines.push({ kind: 'frame', text, function: python[3], location: `${python[1]}:${python[2]}` });
+    } else if (CAUSE_LINE.test(text)) {
+      lines.push({ kind: 'cause', text });
+    } else if (previous?.kind === 'frame' && previous.text.startsWith('File "') && previous.code === undefined && /^\s/.test(rawLine)) {
+      // The indented line after a Python frame is its source
+      previous.code = text;
+    } else {
+      lines.push({ kind: 'text', text });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Reads the `exception.*` attributes of an event or a log record.
+ * @param {Array<{ key: string, value: import("./logs.js").LogAnyValue }>} attributes - Attributes
+ * @returns {{ type: string, message: string, stacktrace: string, escaped: boolean }|null} Null without exception attributes
+ */
+function readExceptionAttributes(attributes) {
+  const values = new Map((attributes || [])
+    .filter((attribute) => String(attribute.key).startsWith('exception.'))
+    .map((attribute) => [attribute.key, formatAnyValueInline(attribute.value)]));
+  if (!values.has('exception.type') && !values.has('exception.message')) {
+    return null;
+  }
+  return {
+    type: values.get('exception.type') || '',
+    message: values.get('exception.message') || '',
+    stacktrace: values.get('exception.stacktrace') || '',
+    escaped: values.get('exception.escaped') === 'true',
+  };
+}
+
+/**
+ * Lists the exceptions recorded on a span, oldest first: `exception` events, then log records
+ * of the span that carry exception attributes.
+ * @param {TraceSpanNode} node - Span node
+ * @returns {SpanException[]}
+ */
+export function getSpanExceptions(node) {
+  const exceptions = [];
+  (node.span.events || []).forEach((event) => {
+    const exception = event.name === 'exception' ? readExceptionAttributes(event.attributes) : null;
+    if (exception) {
+      exceptions.push({ ...exception, lines: parseStackTrace(exception.stacktrace), timeUnixNano: event.timeUnixNano, source: 'event' });
+    }
+  });
+  (node.logs || []).forEach((logRow) => {
+    // Virtual rows repeat the span events
+    const exception = isVirtualSpanLog(logRow) ? null : readExceptionAttributes(logRow.attributes);
+    if (exception) {
+      exceptions.push({ ...exception, lines: parseStackTrace(exception.stacktrace), timeUnixNano: logRow.timeUnixNano, source: 'log' });
+    }
+  });
+  return exceptions.sort((a, b) => toNumberTimestamp(a.timeUnixNano) - toNumberTimestamp(b.timeUnixNano));
+}
+
+/**
+ * Checks whether a span failed: its status is an error or it recorded an exception event.
+ * @param {TraceSpanNode} node - Span node
+ * @returns {boolean}
+ */
+export function isFailingSpan(node) {
+  if (node.isPlaceholder) {
+    return false;
+  }
+  return node.span.status?.code === 'STATUS_CODE_ERROR' ||
+    (node.span.events || []).some((event) => event.name === 'exception');
+}
+
+/**
+ * Finds the failing spans of a trace and the ancestors they propagate to.
+ * @param {TraceModel} trace - Trace model (the full trace of a filtered one is used)
+ * @returns {ErrorPaths}
+ */
+export function computeErrorPaths(trace) {
+  const fullTrace = trace.sourceTrace ?? trace;
+  const cached = errorPathsCache.get(fullTrace);
+  if (cached) {
+    return cached;
+  }
+
+  const failingSpanIds = new Set();
+  const containsErrorIds = new Set();
+  /**
+   * @param {TraceSpanNode} node - Span node
+   * @returns {boolean} True when the span or a descendant failed
+   */
+  const visit = (node) => {
+    // Every child is visited, not just up to the first failing one
+    const hasFailingDescendant = node.children.reduce((found, child) => visit(child) || found, false);
+    if (hasFailingDescendant) {
+      containsErrorIds.add(node.span.spanId);
+    }
+    if (isFailingSpan(node)) {
+      failingSpanIds.add(node.span.spanId);
+      return true;
+    }
+    return hasFailingDescendant;
+  };
+  fullTrace.roots.forEach(visit);
+
+  const errorPaths = { failingSpanIds, containsErrorIds };
+  errorPathsCache.set(fullTrace, errorPaths);
+  return errorPaths;
+}
+
+/**
+ * Builds a trace model that only contains the failure paths: failing spans and their
+ * ancestors. Nodes are copies with their children filtered; spans and trace bounds are shared
+ * with the full trace so bars keep their positions. `sourceTrace` points back to the full trace.
+ * @param {TraceModel} trace - Trace model
+ * @returns {TraceModel & { sourceTrace: TraceModel }} Trace model with only the failure paths
+ */
+export function buildErrorPathTrace(trace) {
+  const { failingSpanIds, containsErrorIds } = computeErrorPaths(trace);
+  const isOnPath = (node) => failingSpanIds.has(node.span.spanId) || containsErrorIds.has(node.span.spanId);
+  const spanNodes = new Map();
+
+  const copyNode = (node) => {
+    const copy = {
+      ...node,
+      children: node.children.filter(isOnPath).map(copyNode),
+    };
+    spanNodes.set(node.span.spanId, copy);
+    return copy;
+  };
+
+  const roots = trace.roots.filter(isOnPath).map(copyNode);
+  return { ...trace, roots, spanNodes, spanCount: spanNodes.size, sourceTrace: trace };
+}
@@ -8,6 +8,7 @@ import { h } from "../core/dom.js";
 import { toNumberTimestamp, buildTraceModel, formatDurationNano } from "./trace.js";
 import { getColorKeyFromNode } from "../core/identity.js";
 import { ComponentKind } from "./metaModel.js";
+import { computeCriticalPath } from "./criticalPath.js";
 
 /**
  * @typedef {import("./trace.js").TraceModel} TraceModel
@@ -129,7 +130,7 @@ function createFlameSpanWidget(node, trace, innerWidthPercent, outerWidthPercent
     spanBarTotal.appendChild(spanBg);
 
     const spanBar = h('div', {
-      className: `flame-chart__span-bar ${getSelectedClass(node, selectedSpanId)} ${getComponentKindClass(node)} ${hasError(node) ? 'flame-chart__span-error' : ''}`,
+      className: `flame-chart__span-bar ${getSelectedClass(node, selectedSpanId)} ${getComponentKindClass(node)} ${hasError(node) ? 'flame-chart__span-error' : ''} ${node.isPlaceholder ? 'flame-chart__span-placeholder' : ''}`,
       style: { width: `${innerWidthPercent}%` },
       onclick: () => onSpanClick(node.span.spanId)
     });
@@ -144,7 +145,7 @@ function createFlameSpanWidget(node, trace, innerWidthPercent, outerWidthPercent
     container.appendChild(spanBarTotal);
   } else {
     const spanBarSmall = h('div', {
-      className: 'flame-chart__span-bar-small'
+      className: node.isPlaceholder ? 'flame-chart__span-bar-small flame-chart__span-placeholder' : 'flame-chart__span-bar-small'
     });
     container.appendChild(spanBarSmall);
   }
@@ -158,10 +159,15 @@ function createFlameSpanWidget(node, trace, innerWidthPercent, outerWidthPercent
  * @returns {string} Title text
  */
 function getSpanTitle(node) {
+  if (node.isPlaceholder) {
+    return `Missing span ${node.span.spanId}\nNot received; time range inferred from its child spans`;
+  }
   const groupName = node.description?.groupName || '';
   const componentName = node.description?.componentName || '';
   const operation = node.description?.operation || node.span.name || '';
-  return `${groupName} ${componentName} ${operation}`.trim();
+  const duration = toNumberTimestamp(node.span.endTimeUnixNano) - toNumberTimestamp(node.span.startTimeUnixNano);
+  return `${groupName} ${componentName} ${operation}`.trim() +
+    `\nDuration: ${formatDurationNano(duration)} • Self: ${formatDurationNano(node.selfTimeNano)}`;
 }
 
 /**
@@ -322,6 +328,19 @@ function applyFlameChartColors(host, trace) {
   });
 }
 
+/**
+ * Outlines the spans on the trace's critical path.
+ * @param {HTMLElement} host - The host element
+ * @param {TraceModel} trace - The trace model
+ */
+function markCriticalPath(host, trace) {
+  const { spanIds } = computeCriticalPath(trace);
+  host.querySelectorAll('.flame-chart__span-bar').forEach((bar) => {
+    const spanId = bar.closest('[data-span-id]')?.dataset.spanId;
+    bar.classList.toggle('flame-chart__span-bar--critical', spanIds.has(spanId));
+  });
+}
+
 /**
  * Initializes the flame chart component.
  * @param {HTMLElement} host - The host element
@@ -406,6 +425,7 @@ export function initFlameChart(host, spans) {
 
     // Apply colors after rendering
     applyFlameChartColors(host, trace);
+    markCriticalPath(host, trace);
   };
 
   const update = () => {
@@ -0,0 +1,257 @@
+/**
+ * Jaeger Data Parser
+ * Converts the Jaeger query API format (GET /api/traces, "Download JSON" in the Jaeger UI)
+ * to the internal span and log models.
+ */
+
+import { createTraceSpan, SpanKind } from "./trace.js";
+import { createLogRow, LogAnyValueKind } from "./logs.js";
+
+const SPAN_KIND_BY_TAG = {
+  server: SpanKind.SERVER,
+  client: SpanKind.CLIENT,
+  producer: SpanKind.PRODUCER,
+  consumer: SpanKind.CONSUMER,
+  internal: SpanKind.INTERNAL,
+};
+
+// Tags that Jaeger uses to carry span fields we map onto the span model directly
+const MAPPED_SPAN_TAGS = new Set([
+  "span.kind",
+  "otel.status_code",
+  "otel.status_description",
+  "otel.library.name",
+  "otel.library.version",
+  "otel.scope.name",
+  "otel.scope.version",
+]);
+
+// Log fields that hold the log message in Jaeger / OpenTracing conventions
+const LOG_MESSAGE_FIELDS = ["message", "event", "msg"];
+
+/**
+ * Decodes a base64 string to bytes
+ * @param {string} value - Base64 encoded bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase64(value) {
+  try {
+    return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+  } catch (error) {
+    console.warn("[decodeBase64] Invalid base64 binary tag value:", error);
+    return new Uint8Array();
+  }
+}
+
+/**
+ * Maps a Jaeger key/value (tag or log field) to an OTLP style attribute
+ * @param {{ key: string, type?: string, value: any }} tag - Jaeger key/value
+ * @returns {{ key: string, value: Object }} Attribute with proto-like value
+ */
+function parseJaegerTag(tag) {
+  switch ((tag.type || "").toLowerCase()) {
+    case "bool":
+      return { key: tag.key, value: { boolValue: tag.value === true || tag.value === "true" } };
+    case "int64":
+      return { key: tag.key, value: { intValue: tag.value } };
+    case "float64":
+      return { key: tag.key, value: { doubleValue: Number(tag.value) } };
+    case "binary":
+      return { key: tag.key, value: { bytesValue: decodeBase64(String(tag.value)) } };
+    default:
+      return { key: tag.key, value: { stringValue: String(tag.value ?? "") } };
+  }
+}
+
+/**
+ * Converts Jaeger microsecond timestamps to nanoseconds
+ * @param {number|undefined} micros - Timestamp or duration in microseconds
+ * @returns {number} Nanoseconds
+ */
+function microsToNanos(micros) {
+  return Math.round(Number(micros || 0) * 1000);
+}
+
+/**
+ * Finds a tag value by key
+ * @param {Array<{ key: string, value: any }>} tags - Jaeger tags
+ * @param {string} key - Tag key
+ * @returns {any} Tag value or undefined
+ */
+function findTagValue(tags, key) {
+  return tags.find((tag) => tag.key === key)?.value;
+}
+
+/**
+ * Derives the OTel status from Jaeger tags (OTel exporters write otel.status_code,
+ * OpenTracing instrumentation sets error=true)
+ * @param {Array<{ key: string, value: any }>} tags - Jaeger span tags
+ * @returns {{ code: string, message?: string }} Internal status
+ */
+function parseJaegerStatus(tags) {
+  const statusCode = String(findTagValue(tags, "otel.status_code") || "").toUpperCase();
+  const message = findTagValue(tags, "otel.status_description");
+  const error = findTagValue(tags, "error");
+
+  let code = "STATUS_CODE_UNSET";
+  if (statusCode === "ERROR" || error === true || error === "true") {
+    code = "STATUS_CODE_ERROR";
+  } else if (statusCode === "OK") {
+    code = "STATUS_CODE_OK";
+  }
+  return message ? { code, message: String(message) } : { code };
+}
+
+/**
+ * Picks the parent reference of a Jaeger span. CHILD_OF wins over FOLLOWS_FROM,
+ * and references into other traces are ignored.
+ * @param {Object} jaegerSpan - Jaeger span
+ * @returns {{ spanID: string, refType: string }|undefined} Parent reference
+ */
+function findParentReference(jaegerSpan) {
+  const references = (jaegerSpan.references || []).filter(
+    (ref) => !ref.traceID || ref.traceID === jaegerSpan.traceID
+  );
+  const parent = references.find((ref) => ref.refType === "CHILD_OF")
+    || references.find((ref) => ref.refType === "FOLLOWS_FROM");
+  if (parent) {
+    return parent;
+  }
+  // Very old Jaeger versions wrote the parent directly on the span
+  return jaegerSpan.parentSpanID ? { spanID: jaegerSpan.parentSpanID, refType: "CHILD_OF" } : undefined;
+}
+
+/**
+ * Parses a Jaeger process into the internal resource model
+ * @param {{ serviceName?: string, tags?: Array<Object> }|undefined} process - Jaeger process
+ * @returns {{ serviceName: string, attributes: Array<Object> }} Resource
+ */
+function parseJaegerProcess(process) {
+  const serviceName = process?.serviceName || "unknown-service";
+  return {
+    serviceName,
+    attributes: [
+      { key: "service.name", value: { stringValue: serviceName } },
+      ...(process?.tags || []).map(parseJaegerTag),
+    ],
+  };
+}
+
+/**
+ * Parses a single Jaeger span
+ * @param {Object} jaegerSpan - Jaeger span with operationName, references, tags, logs
+ * @param {Object} resource - Parsed resource of the span's process
+ * @returns {import("./trace.js").TraceSpan} Internal span model
+ */
+export function parseJaegerSpan(jaegerSpan, resource) {
+  const tags = jaegerSpan.tags || [];
+  const parent = findParentReference(jaegerSpan);
+  const startTimeUnixNano = microsToNanos(jaegerSpan.startTime);
+  const attributes = tags.filter((tag) => !MAPPED_SPAN_TAGS.has(tag.key)).map(parseJaegerTag);
+
+  if (parent?.refType === "FOLLOWS_FROM") {
+    attributes.push({ key: "jaeger.reference.type", value: { stringValue: "FOLLOWS_FROM" } });
+  }
+
+  return createTraceSpan({
+    name: jaegerSpan.operationName || "",
+    spanId: jaegerSpan.spanID || "",
+    traceId: jaegerSpan.traceID || "",
+    parentSpanId: parent?.spanID || "",
+    kind: SPAN_KIND_BY_TAG[String(findTagValue(tags, "span.kind") || "").toLowerCase()] || SpanKind.INTERNAL,
+    startTimeUnixNano,
+    endTimeUnixNano: startTimeUnixNano + microsToNanos(jaegerSpan.duration),
+    attributes,
+    events: [],
+    // References besides the parent (batch inputs, other traces) are what OTel calls links
+    links: (jaegerSpan.references || [])
+      .filter((ref) => ref !== parent && ref.spanID)
+      .map((ref) => ({ traceId: ref.traceID || jaegerSpan.traceID || "", spanId: ref.spanID })),
+    status: parseJaegerStatus(tags),
+    instrumentationScope: {
+      name: findTagValue(tags, "otel.scope.name") || findTagValue(tags, "otel.library.name"),
+      version: findTagValue(tags, "otel.scope.version") || findTagValue(tags, "otel.library.version"),
+    },
+    resource,
+  });
+}
+
+/**
+ * Parses a Jaeger span log into a log row
+ * @param {{ timestamp: number, fields?: Array<Object> }} jaegerLog - Jaeger log entry
+ * @param {Object} jaegerSpan - Owning Jaeger span
+ * @param {Object} resource - Parsed resource of the span's process
+ * @param {string} logId - Unique ID for the log
+ * @returns {import("./logs.js").LogRow} Internal log model
+ */
+export function parseJaegerLog(jaegerLog, jaegerSpan, resource, logId) {
+  const fields = jaegerLog.fields || [];
+  const messageField = LOG_MESSAGE_FIELDS
+    .map((key) => fields.find((field) => field.key === key))
+    .find(Boolean);
+  const level = findTagValue(fields, "level");
+  const template = messageField ? String(messageField.value) : "Log entry";
+
+  return createLogRow({
+    id: logId,
+    template,
+    timeUnixNano: microsToNanos(jaegerLog.timestamp),
+    severityText: level ? String(level) : undefined,
+    body: messageField ? { kind: LogAnyValueKind.STRING, value: template } : undefined,
+    attributes: fields.filter((field) => field !== messageField).map(parseJaegerTag),
+    traceId: jaegerSpan.traceID,
+    spanId: jaegerSpan.spanID,
+    resource,
+  });
+}
+
+/**
+ * Checks whether the data uses the Jaeger query API format
+ * @param {Object} data - Parsed JSON payload
+ * @returns {boolean} True for { data: [trace] } or a single { traceID, spans, processes } trace
+ */
+export function isJaegerJson(data) {
+  if (!data || typeof data !== "object") {
+    return false;
+  }
+  const isJaegerTrace = (trace) => Boolean(trace) && Array.isArray(trace.spans) && typeof trace.processes === "object";
+  return Array.isArray(data.data) ? data.data.some(isJaegerTrace) : isJaegerTrace(data);
+}
+
+/**
+ * Parses Jaeger query API JSON into the internal span and log models
+ * @param {Object} jaegerData - { data: [{ traceID, spans, processes }] } or a single trace object
+ * @returns {{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }}
+ */
+export function parseJaegerData(jaegerData) {
+  const traces = Array.isArray(jaegerData?.data) ? jaegerData.data : [jaegerData];
+  const spans = [];
+  const logs = [];
+
+  traces.filter(Boolean).forEach((trace) => {
+    const resources = Object.fromEntries(
+      Object.entries(trace.processes || {}).map(([processId, process]) => [processId, parseJaegerProcess(process)])
+    );
+
+    (trace.spans || []).forEach((jaegerSpan, spanIndex) => {
+      // Spans embed their process when the trace has no process table
+      const resource = resources[jaegerSpan.processID] || parseJaegerProcess(jaegerSpan.process);
+      try {
+        spans.push(parseJaegerSpan(jaegerSpan, resource));
+      } catch (error) {
+        console.error(`[parseJaegerData] Failed to parse span at index ${spanIndex}:`, error);
+        return;
+      }
+
+      (jaegerSpan.logs || []).forEach((jaegerLog, logIndex) => {
+        try {
+          logs.push(parseJaegerLog(jaegerLog, jaegerSpan, resource, `jaeger-log-${jaegerSpan.spanID}-${logIndex}`));
+        } catch (error) {
+          console.error(`[parseJaegerData] Failed to parse log ${logIndex} of span ${jaegerSpan.spanID}:`, error);
+        }
+      });
+    });
+  });
+
+  return { spans, logs };
+}
@@ -0,0 +1,81 @@
+/**
+ * Live Trace Client
+ * Receives OTLP batches that the local receiver (tools/otlpReceiver.mjs) streams over
+ * Server-Sent Events and parses them with the same parsers used for file import.
+ */
+
+import { parseOtelData } from "./otelParser.js";
+import { decodeOtlpProtobuf } from "./otlpProtobuf.js";
+import { createVirtualSpanLogs } from "./logs.js";
+
+export const DEFAULT_LIVE_EVENTS_URL = "/events";
+
+/**
+ * @typedef {Object} LiveBatch
+ * @property {number} sequence - Batch number assigned by the receiver
+ * @property {"traces"|"logs"} signal - OTLP signal of the export request
+ * @property {"json"|"protobuf"} encoding - Payload encoding
+ * @property {Object|string} payload - OTLP JSON object, or base64 protobuf bytes
+ */
+
+/**
+ * Decodes a base64 string to bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Parses one streamed OTLP batch into spans and logs (including virtual span logs)
+ * @param {LiveBatch} batch - Batch received from the stream
+ * @returns {{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }}
+ */
+export function parseLiveBatch(batch) {
+  const otlpData = batch.encoding === "protobuf"
+    ? decodeOtlpProtobuf(base64ToBytes(batch.payload), batch.signal)
+    : batch.payload;
+  const { spans, logs } = parseOtelData(otlpData);
+  const virtualLogs = spans.flatMap((span) => createVirtualSpanLogs(span));
+  return { spans, logs: [...logs, ...virtualLogs] };
+}
+
+/**
+ * Connects to the receiver's event stream. EventSource reconnects on its own after errors.
+ * @param {string} url - Event stream URL
+ * @param {{ onBatch: (parsed: { spans: Array, logs: Array }, batch: LiveBatch) => void, onStatus?: (status: "connected"|"reconnecting"|"closed"|"error", error?: Error) => void }} handlers - Callbacks
+ * @returns {{ close: () => void }} Connection handle
+ */
+export function connectLiveTraceStream(url, handlers) {
+  console.log("[connectLiveTraceStream] Connecting to", url);
+  const source = new EventSource(url);
+
+  source.addEventListener("open", () => {
+    handlers.onStatus?.("connected");
+  });
+
+  source.addEventListener("error", () => {
+    handlers.onStatus?.(source.readyState === EventSource.CLOSED ? "closed" : "reconnecting");
+  });
+
+  source.addEventListener("otlp", (event) => {
+    let batch;
+    try {
+      batch = JSON.parse(event.data);
+      handlers.onBatch(parseLiveBatch(batch), batch);
+    } catch (error) {
+      console.error("[connectLiveTraceStream] Failed to parse batch", batch?.sequence, error);
+      handlers.onStatus?.("error", error);
+    }
+  });
+
+  return {
+    close: () => source.close(),
+  };
+}
@@ -6,6 +6,7 @@
  */
 
 import { formatAnyValueInline, formatAnyValueMultiline, createAttributeTable } from "./attributes.js";
+import { normalizeId } from "../core/ids.js";
 
 /**
  * @typedef {Object} LogAnyValue
@@ -34,6 +35,8 @@ import { formatAnyValueInline, formatAnyValueMultiline, createAttributeTable } f
  * @property {string=} traceId
  * @property {string=} spanId
  * @property {string} template
+ * @property {{ serviceName?: string, serviceNamespace?: string, attributes?: LogAttribute[] }=} resource
+ * @property {{ name?: string, version?: string, attributes?: LogAttribute[] }=} instrumentationScope
  */
 
 export const LogAnyValueKind = Object.freeze({
@@ -55,6 +58,15 @@ function asUint8Array(value) {
     return Uint8Array.from(value);
   }
   if (typeof value === "string") {
+    // OTLP JSON encodes bytesValue as base64, so a string that is valid base64 is decoded as such,
+    // even when it only has hex characters; hex is still accepted for hand-written data
+    if (value.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      try {
+        return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+      } catch (error) {
+        return new Uint8Array();
+      }
+    }
     const clean = value.replace(/[^0-9a-fA-F]/g, "");
     if (clean.length % 2 !== 0) {
       return new Uint8Array();
@@ -181,6 +193,8 @@ export function createLogRow(params) {
     flags,
     traceId,
     spanId,
+    resource,
+    instrumentationScope,
   } = params;
 
   if (!id) {
@@ -218,8 +232,11 @@ export function createLogRow(params) {
     attributes: normalizedAttributes,
     droppedAttributesCount,
     flags,
-    traceId,
-    spanId,
+    // Canonical lowercase hex so logs from any pipeline match their span
+    traceId: normalizeId(traceId) || undefined,
+    spanId: normalizeId(spanId) || undefined,
+    resource,
+    instrumentationScope,
   };
 }
 
@@ -710,6 +727,23 @@ class LogConsoleView {
     this.root.appendChild(list);
   }
 
+  /**
+   * Appends rows that arrived after the initial render (live streaming)
+   * without rebuilding the rows that are already shown.
+   * @param {LogRow[]} rows
+   */
+  appendRows(rows) {
+    this.rows = [...this.rows, ...rows];
+    const list = this.root?.querySelector(".log-console-list");
+    if (!list) {
+      this.render();
+      return;
+    }
+    rows.forEach((row) => {
+      list.appendChild(createLogRowElement(row, this.expandedIds));
+    });
+  }
+
   /**
    * Recomputes and updates all computed colors in the log console
    * without full re-rendering. Currently log rows use CSS variables
@@ -725,17 +759,18 @@ class LogConsoleView {
  * Initializes a log console inside the provided element.
  * @param {HTMLElement | null} hostElement
  * @param {LogRow[]} rows
- * @returns {{render: () => void, update: () => void}} Component interface with render and update methods
+ * @returns {{render: () => void, update: () => void, appendRows: (rows: LogRow[]) => void}} Component interface with render and update methods
  */
 export function initLogConsole(hostElement, rows) {
   if (!hostElement) {
-    return { render: () => { }, update: () => { } };
+    return { render: () => { }, update: () => { }, appendRows: () => { } };
   }
   const view = new LogConsoleView(hostElement, rows);
   view.render();
   return {
     render: () => view.render(),
-    update: () => view.update()
+    update: () => view.update(),
+    appendRows: (newRows) => view.appendRows(newRows)
   };
 }
 
@@ -1216,6 +1251,16 @@ export function createVirtualSpanLogs(span) {
   return virtualLogs;
 }
 
+/**
+ * Checks whether a log row was derived from a span by createVirtualSpanLogs
+ * (span start, span event or span end) rather than being a real log record.
+ * @param {LogRow} logRow
+ * @returns {boolean}
+ */
+export function isVirtualSpanLog(logRow) {
+  return /^(span-start|span-end|event)-/.test(String(logRow?.id ?? ""));
+}
+
 /**
  * Generates log rows from trace spans and appends them to the sample log rows.
  * This is called after both modules are loaded to avoid circular dependencies.
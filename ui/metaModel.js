@@ -346,6 +346,28 @@ function extractExternalHttpEndpoint(span, serviceName) {
   return null;
 }
 
+/**
+ * Remote Peer extractor - extracts messages produced for other remote services (e.g. Zipkin
+ * remoteEndpoint); client calls with a peer.service belong to the external HTTP endpoint extractor
+ * @param {TraceSpan} span
+ * @param {string} serviceName
+ * @returns {SpanDescription | null}
+ */
+function extractRemotePeer(span, serviceName) {
+  const peerService = getSpanAttribute(span, "peer.service");
+  if (peerService && span.kind === SpanKind.PRODUCER) {
+    return {
+      groupName: "Remote",
+      componentName: peerService,
+      operation: span.name || "",
+      componentKind: ComponentKind.SERVICE,
+      componentStack: "",
+      entrypointType: 3, // exitpoint
+    };
+  }
+  return null;
+}
+
 /**
  * List of extractors to try in order
  */
@@ -358,6 +380,7 @@ const EXTRACTORS = [
   extractQueue,
   extractQueueConsumer,
   extractExternalHttpEndpoint,
+  extractRemotePeer,
 ];
 
 /**
@@ -1,10 +1,28 @@
 /**
  * OpenTelemetry Data Parser
  * Converts OTel collector export format to internal span and log models.
+ * Supports both the NeonVibes wrapper format ({ spans: [...], logs: [...] }) and the
+ * standard OTLP JSON encoding (ExportTraceServiceRequest / ExportLogsServiceRequest).
  */
 
 import { createTraceSpan, SpanKind } from "./trace.js";
-import { createLogRow, LogAnyValueKind, normalizeAnyValue } from "./logs.js";
+import { createLogRow, createLogAttribute, LogAnyValueKind, normalizeAnyValue } from "./logs.js";
+
+// OTLP JSON encodes enums as integers (proto3 JSON mapping), our model uses the enum names
+const SPAN_KIND_BY_NUMBER = [
+  SpanKind.INTERNAL, // SPAN_KIND_UNSPECIFIED
+  SpanKind.INTERNAL,
+  SpanKind.SERVER,
+  SpanKind.CLIENT,
+  SpanKind.PRODUCER,
+  SpanKind.CONSUMER,
+];
+
+const STATUS_CODE_BY_NUMBER = [
+  "STATUS_CODE_UNSET",
+  "STATUS_CODE_OK",
+  "STATUS_CODE_ERROR",
+];
 
 /**
  * Maps OTel severity number string enum to numeric value
@@ -50,14 +68,113 @@ function parseSeverityNumber(severityNumberStr) {
   return severityMap[severityNumberStr];
 }
 
+/**
+ * Maps an OTLP span kind (enum name or number) to the internal SpanKind
+ * @param {string|number|undefined} kind - Span kind (e.g., "SPAN_KIND_SERVER" or 2)
+ * @returns {string} SpanKind value
+ */
+function parseSpanKind(kind) {
+  if (typeof kind === "number") {
+    return SPAN_KIND_BY_NUMBER[kind] || SpanKind.INTERNAL;
+  }
+  if (typeof kind === "string" && kind && kind !== "SPAN_KIND_UNSPECIFIED") {
+    return kind;
+  }
+  return SpanKind.INTERNAL;
+}
+
+/**
+ * Maps an OTLP status (with enum name or number code) to the internal status shape
+ * @param {{ code?: string|number, message?: string }|undefined} status - OTLP status
+ * @returns {{ code: string, message?: string }} Internal status
+ */
+function parseStatus(status) {
+  if (!status) {
+    return { code: "STATUS_CODE_UNSET" };
+  }
+  const code = typeof status.code === "number"
+    ? STATUS_CODE_BY_NUMBER[status.code] || "STATUS_CODE_UNSET"
+    : status.code || "STATUS_CODE_UNSET";
+  return status.message ? { code, message: status.message } : { code };
+}
+
+/**
+ * Converts an OTLP uint64 timestamp (number or decimal string) to a number or bigint. Decimal
+ * strings become bigints: nanosecond timestamps exceed Number precision, and the exact value
+ * orders sibling spans and survives a round trip through the OTLP exporter.
+ * @param {number|string|bigint|undefined} value - Timestamp in nanoseconds
+ * @returns {number|bigint|undefined} Timestamp or undefined when missing
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  if (typeof value === "number" || typeof value === "bigint") {
+    return value;
+  }
+  if (/^\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+/**
+ * Reads a string attribute from an OTLP attribute list
+ * @param {Array<{ key: string, value: any }>} attributes - OTLP attributes
+ * @param {string} key - Attribute key
+ * @returns {string|undefined} Attribute value or undefined
+ */
+function findStringAttribute(attributes, key) {
+  const attribute = (attributes || []).find((attr) => attr?.key === key);
+  if (!attribute) {
+    return undefined;
+  }
+  const value = normalizeAnyValue(attribute.value);
+  return value.kind === LogAnyValueKind.EMPTY ? undefined : String(value.value);
+}
+
+/**
+ * Converts an OTLP Resource into the internal resource model.
+ * Keeps every resource attribute and lifts service.name / service.namespace.
+ * @param {{ attributes?: Array<{ key: string, value: any }> }|undefined} resource - OTLP resource
+ * @returns {{ serviceName: string|undefined, serviceNamespace: string|undefined, attributes: import("./logs.js").LogAttribute[] }}
+ */
+export function parseOtelResource(resource) {
+  const attributes = resource?.attributes || [];
+  return {
+    serviceName: findStringAttribute(attributes, "service.name"),
+    serviceNamespace: findStringAttribute(attributes, "service.namespace"),
+    attributes: attributes.map((attr) => createLogAttribute(attr.key, attr.value)),
+  };
+}
+
+/**
+ * Converts an OTLP InstrumentationScope into the internal scope model
+ * @param {{ name?: string, version?: string, attributes?: Array<{ key: string, value: any }> }|undefined} scope - OTLP scope
+ * @returns {{ name?: string, version?: string, attributes: import("./logs.js").LogAttribute[] }}
+ */
+export function parseOtelScope(scope) {
+  if (!scope) {
+    return { attributes: [] };
+  }
+  return {
+    name: scope.name || undefined,
+    version: scope.version || undefined,
+    attributes: (scope.attributes || []).map((attr) => createLogAttribute(attr.key, attr.value)),
+  };
+}
+
 /**
  * Parses OTel span data from sample1.json format
- * @param {Object} otelSpan - OTel span object with { span: {...}, serviceName: "..." }
+ * @param {Object} otelSpan - OTel span object with { span: {...}, serviceName: "..." }.
+ *   May also carry `resource` and `scope` (already parsed) when coming from OTLP resourceSpans.
  * @returns {import("./trace.js").TraceSpan} Internal span model
  */
 export function parseOtelSpan(otelSpan) {
   const spanData = otelSpan.span || otelSpan;
-  const serviceName = otelSpan.serviceName || spanData.resource?.serviceName || "unknown-service";
+  const resource = otelSpan.resource || spanData.resource || {};
+  const serviceName = otelSpan.serviceName || resource.serviceName || "unknown-service";
 
   // Convert OTel span to internal format
   return createTraceSpan({
@@ -65,27 +182,34 @@ export function parseOtelSpan(otelSpan) {
     spanId: spanData.spanId || "",
     traceId: spanData.traceId || "",
     parentSpanId: spanData.parentSpanId || "",
-    kind: spanData.kind || SpanKind.INTERNAL,
-    startTimeUnixNano: spanData.startTimeUnixNano,
-    endTimeUnixNano: spanData.endTimeUnixNano,
+    kind: parseSpanKind(spanData.kind),
+    startTimeUnixNano: parseTimestamp(spanData.startTimeUnixNano),
+    endTimeUnixNano: parseTimestamp(spanData.endTimeUnixNano),
     attributes: spanData.attributes || [],
     events: (spanData.events || []).map((event) => ({
       name: event.name || "",
-      timeUnixNano: event.timeUnixNano,
+      timeUnixNano: parseTimestamp(event.timeUnixNano),
       attributes: event.attributes || [],
     })),
-    status: spanData.status || { code: "STATUS_CODE_UNSET" },
-    instrumentationScope: spanData.instrumentationScope || {},
+    links: (spanData.links || []).map((link) => ({
+      traceId: link.traceId || "",
+      spanId: link.spanId || "",
+      traceState: link.traceState || "",
+      attributes: link.attributes || [],
+    })),
+    status: parseStatus(spanData.status),
+    instrumentationScope: otelSpan.scope || spanData.instrumentationScope || {},
     resource: {
+      ...resource,
       serviceName: serviceName,
-      serviceNamespace: spanData.resource?.serviceNamespace || spanData.resource?.serviceNamespace || undefined,
+      serviceNamespace: resource.serviceNamespace || undefined,
     },
   });
 }
 
 /**
  * Parses OTel log data from sample1.json format
- * @param {Object} otelLog - OTel log object
+ * @param {Object} otelLog - OTel log object (may carry parsed `resource` and `scope` from OTLP resourceLogs)
  * @param {string} logId - Unique ID for the log (will be generated if not provided)
  * @returns {import("./logs.js").LogRow} Internal log model
  */
@@ -114,16 +238,20 @@ export function parseOtelLog(otelLog, logId = null) {
   // Parse severity number from string enum to number
   const severityNumber = parseSeverityNumber(otelLog.severityNumber);
 
+  // OTLP allows timeUnixNano to be unset (0) - fall back to the observed time
+  const observedTimeUnixNano = parseTimestamp(otelLog.observedTimeUnixNano);
+  const timeUnixNano = parseTimestamp(otelLog.timeUnixNano) || observedTimeUnixNano || 0;
+
   // Generate ID if not provided
   if (!logId) {
-    logId = `log-${otelLog.traceId || "unknown"}-${otelLog.spanId || "unknown"}-${otelLog.timeUnixNano || Date.now()}`;
+    logId = `log-${otelLog.traceId || "unknown"}-${otelLog.spanId || "unknown"}-${timeUnixNano || Date.now()}`;
   }
 
   return createLogRow({
     id: logId,
     template: template,
-    timeUnixNano: otelLog.timeUnixNano,
-    observedTimeUnixNano: otelLog.observedTimeUnixNano,
+    timeUnixNano: timeUnixNano,
+    observedTimeUnixNano: observedTimeUnixNano,
     severityNumber: severityNumber,
     severityText: otelLog.severityText,
     body: body,
@@ -132,16 +260,80 @@ export function parseOtelLog(otelLog, logId = null) {
     flags: otelLog.flags,
     traceId: otelLog.traceId,
     spanId: otelLog.spanId,
+    resource: otelLog.resource,
+    instrumentationScope: otelLog.scope,
+  });
+}
+
+/**
+ * Flattens OTLP resourceSpans into span entries carrying their resource and scope.
+ * Accepts the legacy instrumentationLibrarySpans naming used by older collectors.
+ * @param {Array<Object>} resourceSpans - OTLP ResourceSpans list
+ * @returns {Array<{ span: Object, resource: Object, scope: Object }>} Flattened span entries
+ */
+function flattenResourceSpans(resourceSpans) {
+  return resourceSpans.flatMap((resourceSpan) => {
+    const resource = parseOtelResource(resourceSpan?.resource);
+    const scopeSpans = resourceSpan?.scopeSpans || resourceSpan?.instrumentationLibrarySpans || [];
+    return scopeSpans.flatMap((scopeSpan) => {
+      const scope = parseOtelScope(scopeSpan?.scope || scopeSpan?.instrumentationLibrary);
+      return (scopeSpan?.spans || []).map((span) => ({ span, resource, scope }));
+    });
   });
 }
 
 /**
- * Parses OTel data from sample1.json format
- * @param {Object} otelData - OTel data object with { spans: [...], logs: [...] }
+ * Flattens OTLP resourceLogs into log records carrying their resource and scope.
+ * Accepts the legacy instrumentationLibraryLogs naming used by older collectors.
+ * @param {Array<Object>} resourceLogs - OTLP ResourceLogs list
+ * @returns {Array<Object>} Log records with `resource` and `scope` attached
+ */
+function flattenResourceLogs(resourceLogs) {
+  return resourceLogs.flatMap((resourceLog) => {
+    const resource = parseOtelResource(resourceLog?.resource);
+    const scopeLogs = resourceLog?.scopeLogs || resourceLog?.instrumentationLibraryLogs || [];
+    return scopeLogs.flatMap((scopeLog) => {
+      const scope = parseOtelScope(scopeLog?.scope || scopeLog?.instrumentationLibrary);
+      return (scopeLog?.logRecords || []).map((logRecord) => ({ ...logRecord, resource, scope }));
+    });
+  });
+}
+
+/**
+ * Checks whether the data uses the standard OTLP JSON encoding.
+ * @param {Object} otelData - Parsed JSON payload
+ * @returns {boolean} True if resourceSpans or resourceLogs are present
+ */
+export function isOtlpJson(otelData) {
+  return Boolean(otelData) && (Array.isArray(otelData.resourceSpans) || Array.isArray(otelData.resourceLogs));
+}
+
+/**
+ * Parses OTel data from sample1.json format or standard OTLP JSON.
+ * An array of payloads (e.g. one file exporter line per entry) is merged.
+ * @param {Object|Object[]} otelData - OTel data object with { spans: [...], logs: [...] }
+ *   or { resourceSpans: [...] } / { resourceLogs: [...] }
  * @returns {{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }}
  */
 export function parseOtelData(otelData) {
-  const spans = (otelData.spans || []).map((otelSpan, index) => {
+  const payloads = Array.isArray(otelData) ? otelData : [otelData];
+  const otelSpans = [];
+  const otelLogs = [];
+
+  payloads.forEach((payload) => {
+    if (!payload) {
+      return;
+    }
+    if (isOtlpJson(payload)) {
+      otelSpans.push(...flattenResourceSpans(payload.resourceSpans || []));
+      otelLogs.push(...flattenResourceLogs(payload.resourceLogs || []));
+    } else {
+      otelSpans.push(...(payload.spans || []));
+      otelLogs.push(...(payload.logs || []));
+    }
+  });
+
+  const spans = otelSpans.map((otelSpan, index) => {
     try {
       return parseOtelSpan(otelSpan);
     } catch (error) {
@@ -150,7 +342,7 @@ export function parseOtelData(otelData) {
     }
   }).filter(span => span !== null);
 
-  const logs = (otelData.logs || []).map((otelLog, index) => {
+  const logs = otelLogs.map((otelLog, index) => {
     try {
       return parseOtelLog(otelLog, `otel-log-${index}`);
     } catch (error) {
@@ -0,0 +1,324 @@
+/**
+ * OTLP JSON Exporter
+ * Serializes spans and logs back into standard OTLP JSON (ExportTraceServiceRequest /
+ * ExportLogsServiceRequest shapes) so a trace, a time window of it or a single subtree
+ * can be handed to other tools. The output re-imports through parseOtelData.
+ */
+
+import { LogAnyValueKind, normalizeAnyValue, isVirtualSpanLog } from "./logs.js";
+import { toNumberTimestamp } from "./trace.js";
+
+// Keyed by SpanKind values; spelled out because trace.js imports this module (circular import)
+const SPAN_KIND_NUMBERS = {
+  SPAN_KIND_INTERNAL: 1,
+  SPAN_KIND_SERVER: 2,
+  SPAN_KIND_CLIENT: 3,
+  SPAN_KIND_PRODUCER: 4,
+  SPAN_KIND_CONSUMER: 5,
+};
+
+const STATUS_CODE_NUMBERS = {
+  STATUS_CODE_UNSET: 0,
+  STATUS_CODE_OK: 1,
+  STATUS_CODE_ERROR: 2,
+};
+
+/**
+ * Encodes bytes as base64, the OTLP JSON encoding for bytesValue
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Formats a nanosecond timestamp as the decimal string OTLP JSON uses for uint64
+ * @param {number|bigint|undefined} value - Timestamp in nanoseconds
+ * @returns {string|undefined} Decimal string, undefined when missing
+ */
+function toUint64String(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return typeof value === "bigint" ? value.toString() : BigInt(Math.trunc(Number(value))).toString();
+}
+
+/**
+ * Converts an internal AnyValue to OTLP JSON
+ * @param {import("./logs.js").LogAnyValue|Record<string, any>} value - Internal or OTLP value
+ * @returns {Object} OTLP JSON AnyValue
+ */
+export function toOtlpAnyValue(value) {
+  const normalized = normalizeAnyValue(value);
+  switch (normalized.kind) {
+    case LogAnyValueKind.STRING:
+      return { stringValue: String(normalized.value) };
+    case LogAnyValueKind.BOOLEAN:
+      return { boolValue: Boolean(normalized.value) };
+    case LogAnyValueKind.INT:
+      return { intValue: String(normalized.value) };
+    case LogAnyValueKind.DOUBLE:
+      return { doubleValue: Number(normalized.value) };
+    case LogAnyValueKind.BYTES:
+      return { bytesValue: bytesToBase64(normalized.value) };
+    case LogAnyValueKind.ARRAY:
+      return { arrayValue: { values: normalized.value.map((item) => toOtlpAnyValue(item)) } };
+    case LogAnyValueKind.KVLIST:
+      return { kvlistValue: { values: toOtlpAttributes(normalized.value) } };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Converts an attribute list to OTLP JSON KeyValues
+ * @param {Array<{ key: string, value: any }>|undefined} attributes - Attributes
+ * @returns {Array<{ key: string, value: Object }>}
+ */
+function toOtlpAttributes(attributes) {
+  return (attributes || []).map(({ key, value }) => ({ key, value: toOtlpAnyValue(value) }));
+}
+
+/**
+ * Converts the internal resource to an OTLP Resource. service.name/namespace only kept
+ * as fields (sample1.json style) are written back as attributes.
+ * @param {{ serviceName?: string, serviceNamespace?: string, attributes?: Array }|undefined} resource - Internal resource
+ * @returns {{ attributes: Array }}
+ */
+function toOtlpResource(resource) {
+  const attributes = toOtlpAttributes(resource?.attributes);
+  const hasKey = (key) => attributes.some((attribute) => attribute.key === key);
+  if (resource?.serviceName && !hasKey("service.name")) {
+    attributes.unshift({ key: "service.name", value: { stringValue: resource.serviceName } });
+  }
+  if (resource?.serviceNamespace && !hasKey("service.namespace")) {
+    attributes.push({ key: "service.namespace", value: { stringValue: resource.serviceNamespace } });
+  }
+  return { attributes };
+}
+
+/**
+ * Converts the internal instrumentation scope to an OTLP InstrumentationScope
+ * @param {{ name?: string, version?: string, attributes?: Array }|undefined} scope - Internal scope
+ * @returns {{ name: string, version?: string, attributes: Array }}
+ */
+function toOtlpScope(scope) {
+  const otlpScope = { name: scope?.name || "" };
+  if (scope?.version) {
+    otlpScope.version = scope.version;
+  }
+  otlpScope.attributes = toOtlpAttributes(scope?.attributes);
+  return otlpScope;
+}
+
+/**
+ * Converts an internal span to an OTLP JSON Span
+ * @param {import("./trace.js").TraceSpan} span - Span
+ * @returns {Object} OTLP JSON span
+ */
+function toOtlpSpan(span) {
+  const otlpSpan = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+  };
+  if (span.parentSpanId) {
+    otlpSpan.parentSpanId = span.parentSpanId;
+  }
+  Object.assign(otlpSpan, {
+    name: span.name,
+    kind: SPAN_KIND_NUMBERS[span.kind] ?? 0,
+    startTimeUnixNano: toUint64String(span.startTimeUnixNano),
+    endTimeUnixNano: toUint64String(span.endTimeUnixNano),
+    attributes: toOtlpAttributes(span.attributes),
+    events: (span.events || []).map((event) => ({
+      timeUnixNano: toUint64String(event.timeUnixNano),
+      name: event.name,
+      attributes: toOtlpAttributes(event.attributes),
+    })),
+    links: (span.links || []).map((link) => {
+      const otlpLink = { traceId: link.traceId, spanId: link.spanId };
+      if (link.traceState) {
+        otlpLink.traceState = link.traceState;
+      }
+      otlpLink.attributes = toOtlpAttributes(link.attributes);
+      return otlpLink;
+    }),
+  });
+
+  const status = { code: STATUS_CODE_NUMBERS[span.status?.code] ?? 0 };
+  if (span.status?.message) {
+    status.message = span.status.message;
+  }
+  otlpSpan.status = status;
+  return otlpSpan;
+}
+
+/**
+ * Converts a log row to an OTLP JSON LogRecord
+ * @param {import("./logs.js").LogRow} logRow - Log row
+ * @returns {Object} OTLP JSON log record
+ */
+function toOtlpLogRecord(logRow) {
+  const record = {
+    timeUnixNano: toUint64String(logRow.timeUnixNano),
+    observedTimeUnixNano: toUint64String(logRow.observedTimeUnixNano),
+    severityNumber: logRow.severityNumber,
+    severityText: logRow.severityText,
+    // Rows without a body were templated from attributes or the source format's message field
+    body: logRow.body ? toOtlpAnyValue(logRow.body) : { stringValue: logRow.template },
+    attributes: toOtlpAttributes(logRow.attributes),
+    droppedAttributesCount: logRow.droppedAttributesCount,
+    flags: logRow.flags,
+    traceId: logRow.traceId,
+    spanId: logRow.spanId,
+  };
+  // Unset optional fields are omitted rather than written as null
+  Object.keys(record).forEach((key) => {
+    if (record[key] === undefined || record[key] === "") {
+      delete record[key];
+    }
+  });
+  return record;
+}
+
+/**
+ * Groups items by their resource and scope, keeping first-seen order.
+ * @template T
+ * @param {T[]} items - Spans or log rows
+ * @param {(item: T) => { resource: Object, scope: Object }} getOwners - Returns the OTLP resource and scope
+ * @returns {Array<{ resource: Object, scopes: Array<{ scope: Object, items: T[] }> }>}
+ */
+function groupByResourceAndScope(items, getOwners) {
+  const resources = new Map();
+  items.forEach((item) => {
+    const { resource, scope } = getOwners(item);
+    const resourceKey = JSON.stringify(resource);
+    if (!resources.has(resourceKey)) {
+      resources.set(resourceKey, { resource, scopes: new Map() });
+    }
+    const scopes = resources.get(resourceKey).scopes;
+    const scopeKey = JSON.stringify(scope);
+    if (!scopes.has(scopeKey)) {
+      scopes.set(scopeKey, { scope, items: [] });
+    }
+    scopes.get(scopeKey).items.push(item);
+  });
+  return Array.from(resources.values()).map(({ resource, scopes }) => ({
+    resource,
+    scopes: Array.from(scopes.values()),
+  }));
+}
+
+/**
+ * Serializes spans and logs into one OTLP JSON document with resourceSpans and resourceLogs.
+ * Virtual span logs (span start/end, events) are skipped; events are exported on their spans.
+ * @param {import("./trace.js").TraceSpan[]} spans - Spans to export
+ * @param {import("./logs.js").LogRow[]=} logRows - Log rows to export
+ * @returns {{ resourceSpans: Array, resourceLogs: Array }}
+ */
+export function buildOtlpJson(spans, logRows = []) {
+  const resourceSpans = groupByResourceAndScope(spans, (span) => ({
+    resource: toOtlpResource(span.resource),
+    scope: toOtlpScope(span.instrumentationScope),
+  })).map(({ resource, scopes }) => ({
+    resource,
+    scopeSpans: scopes.map(({ scope, items }) => ({ scope, spans: items.map(toOtlpSpan) })),
+  }));
+
+  // Logs without their own resource take the resource of the span they belong to
+  const spansById = new Map(spans.map((span) => [span.spanId, span]));
+  const realLogs = logRows.filter((logRow) => !isVirtualSpanLog(logRow));
+  const resourceLogs = groupByResourceAndScope(realLogs, (logRow) => {
+    const span = spansById.get(logRow.spanId);
+    return {
+      resource: toOtlpResource(logRow.resource || span?.resource),
+      scope: toOtlpScope(logRow.instrumentationScope),
+    };
+  }).map(({ resource, scopes }) => ({
+    resource,
+    scopeLogs: scopes.map(({ scope, items }) => ({ scope, logRecords: items.map(toOtlpLogRecord) })),
+  }));
+
+  return { resourceSpans, resourceLogs };
+}
+
+/**
+ * Gets the node holding the span and logs as they were recorded. A clock skew corrected trace
+ * shows copies with shifted timestamps, which must never end up in an export.
+ * @param {import("./trace.js").TraceModel} trace - Trace model, corrected or not
+ * @param {import("./trace.js").TraceSpanNode} node - Span node of that trace
+ * @returns {import("./trace.js").TraceSpanNode}
+ */
+export function getRecordedNode(trace, node) {
+  return trace?.uncorrectedTrace?.spanNodes.get(node.span.spanId) ?? node;
+}
+
+/**
+ * Collects the spans and logs of a span node and all of its descendants.
+ * @param {import("./trace.js").TraceSpanNode} node - Subtree root
+ * @returns {{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }}
+ */
+export function collectSubtree(node) {
+  const spans = [];
+  const logs = [];
+  const visit = (current) => {
+    // Placeholders for missing parents were never received, so they are not exported
+    if (!current.isPlaceholder) {
+      spans.push(current.span);
+    }
+    logs.push(...(current.logs || []));
+    current.children.forEach(visit);
+  };
+  visit(node);
+  return { spans, logs };
+}
+
+/**
+ * Collects the spans (and their logs) that overlap a time window of the trace.
+ * Spans are kept whole; logs outside the window are dropped. The window applies to the
+ * displayed timeline, but the spans and logs are the recorded ones (see getRecordedNode).
+ * @param {import("./trace.js").TraceModel} trace - Trace model
+ * @param {{ start: number, end: number }} timeWindow - Window in percent of the trace duration
+ * @returns {{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }}
+ */
+export function collectTimeWindow(trace, timeWindow) {
+  const traceStart = toNumberTimestamp(trace.startTimeUnixNano);
+  const windowStart = traceStart + (trace.durationNano * timeWindow.start) / 100;
+  const windowEnd = traceStart + (trace.durationNano * timeWindow.end) / 100;
+
+  const spans = [];
+  const logs = [];
+  const visit = (node) => {
+    const { span } = node;
+    // Placeholders for missing parents were never received; logs are only kept with their span
+    if (!node.isPlaceholder && toNumberTimestamp(span.endTimeUnixNano) >= windowStart && toNumberTimestamp(span.startTimeUnixNano) <= windowEnd) {
+      const recordedNode = getRecordedNode(trace, node);
+      spans.push(recordedNode.span);
+      (node.logs || []).forEach((logRow, index) => {
+        const time = toNumberTimestamp(logRow.timeUnixNano);
+        if (time >= windowStart && time <= windowEnd) {
+          logs.push(recordedNode.logs?.[index] ?? logRow);
+        }
+      });
+    }
+    node.children.forEach(visit);
+  };
+  trace.roots.forEach(visit);
+  return { spans, logs };
+}
+
+/**
+ * Builds the download file name for an export
+ * @param {string} traceId - Trace ID
+ * @param {string=} suffix - Describes what was exported (e.g. "subtree-<spanId>")
+ * @returns {string} File name
+ */
+export function createOtlpExportFileName(traceId, suffix = "") {
+  const base = `trace-${traceId || "unknown"}`;
+  return suffix ? `${base}-${suffix}.otlp.json` : `${base}.otlp.json`;
+}
@@ -0,0 +1,415 @@
+/**
+ * OTLP Protobuf Decoder
+ * Decodes binary OTLP/HTTP payloads (application/x-protobuf) captured as .pb/.binpb files
+ * into the OTLP JSON shape understood by parseOtelData, fully in the browser.
+ * Only the subset of the opentelemetry-proto messages used by traces and logs is decoded.
+ */
+
+import { parseOtelData } from "./otelParser.js";
+
+/**
+ * @typedef {"traces"|"logs"} OtlpSignal
+ */
+
+// Protobuf wire types
+const WIRE_VARINT = 0;
+const WIRE_I64 = 1;
+const WIRE_LEN = 2;
+const WIRE_I32 = 5;
+
+const UINT64_RANGE = 1n << 64n;
+const INT64_MAX = (1n << 63n) - 1n;
+
+/**
+ * Minimal protobuf wire format reader over a Uint8Array.
+ */
+class ProtoReader {
+  /**
+   * @param {Uint8Array} bytes - Encoded message
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  get done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  /**
+   * Reads a varint as BigInt so 64-bit values keep their precision.
+   * @returns {bigint}
+   */
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    while (this.pos < this.bytes.length) {
+      const byte = this.bytes[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) {
+        return result;
+      }
+      shift += 7n;
+    }
+    throw new Error("Truncated varint in protobuf payload");
+  }
+
+  /**
+   * Reads a field tag.
+   * @returns {{ field: number, wireType: number }}
+   */
+  tag() {
+    const value = Number(this.varint());
+    return { field: value >>> 3, wireType: value & 0x07 };
+  }
+
+  /**
+   * Reads a length-delimited payload.
+   * @returns {Uint8Array}
+   */
+  bytesField() {
+    const length = Number(this.varint());
+    const end = this.pos + length;
+    if (end > this.bytes.length) {
+      throw new Error("Truncated length-delimited field in protobuf payload");
+    }
+    const slice = this.bytes.subarray(this.pos, end);
+    this.pos = end;
+    return slice;
+  }
+
+  string() {
+    return new TextDecoder().decode(this.bytesField());
+  }
+
+  fixed64() {
+    const value = this.view.getBigUint64(this.pos, true);
+    this.pos += 8;
+    return value;
+  }
+
+  double() {
+    const value = this.view.getFloat64(this.pos, true);
+    this.pos += 8;
+    return value;
+  }
+
+  fixed32() {
+    const value = this.view.getUint32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  /**
+   * Skips a field of the given wire type.
+   * @param {number} wireType - Wire type of the field to skip
+   */
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE_VARINT:
+        this.varint();
+        break;
+      case WIRE_I64:
+        this.pos += 8;
+        break;
+      case WIRE_LEN:
+        this.bytesField();
+        break;
+      case WIRE_I32:
+        this.pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+/**
+ * Decodes every field of a message, dispatching to a handler per field number.
+ * Unknown fields are skipped so newer proto revisions still decode.
+ * @param {Uint8Array} bytes - Encoded message
+ * @param {Object<number, (reader: ProtoReader, wireType: number) => void>} handlers - Field handlers
+ */
+function decodeMessage(bytes, handlers) {
+  const reader = new ProtoReader(bytes);
+  while (!reader.done) {
+    const { field, wireType } = reader.tag();
+    const handler = handlers[field];
+    if (handler) {
+      handler(reader, wireType);
+    } else {
+      reader.skip(wireType);
+    }
+  }
+}
+
+/**
+ * Converts id bytes to lowercase hex (the OTLP JSON id encoding).
+ * @param {Uint8Array} bytes - Id bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Converts an unsigned varint to a signed int64 decimal string.
+ * @param {bigint} value - Raw varint value
+ * @returns {string}
+ */
+function toInt64String(value) {
+  return String(value > INT64_MAX ? value - UINT64_RANGE : value);
+}
+
+function decodeAnyValue(bytes) {
+  const value = {};
+  decodeMessage(bytes, {
+    1: (r) => { value.stringValue = r.string(); },
+    2: (r) => { value.boolValue = r.varint() !== 0n; },
+    3: (r) => { value.intValue = toInt64String(r.varint()); },
+    4: (r) => { value.doubleValue = r.double(); },
+    5: (r) => {
+      const values = [];
+      decodeMessage(r.bytesField(), { 1: (inner) => values.push(decodeAnyValue(inner.bytesField())) });
+      value.arrayValue = { values };
+    },
+    6: (r) => {
+      const values = [];
+      decodeMessage(r.bytesField(), { 1: (inner) => values.push(decodeKeyValue(inner.bytesField())) });
+      value.kvlistValue = { values };
+    },
+    7: (r) => { value.bytesValue = r.bytesField().slice(); },
+  });
+  return value;
+}
+
+function decodeKeyValue(bytes) {
+  const keyValue = { key: "", value: {} };
+  decodeMessage(bytes, {
+    1: (r) => { keyValue.key = r.string(); },
+    2: (r) => { keyValue.value = decodeAnyValue(r.bytesField()); },
+  });
+  return keyValue;
+}
+
+function decodeResource(bytes) {
+  const resource = { attributes: [] };
+  decodeMessage(bytes, {
+    1: (r) => resource.attributes.push(decodeKeyValue(r.bytesField())),
+    2: (r) => { resource.droppedAttributesCount = Number(r.varint()); },
+  });
+  return resource;
+}
+
+function decodeScope(bytes) {
+  const scope = { attributes: [] };
+  decodeMessage(bytes, {
+    1: (r) => { scope.name = r.string(); },
+    2: (r) => { scope.version = r.string(); },
+    3: (r) => scope.attributes.push(decodeKeyValue(r.bytesField())),
+    4: (r) => { scope.droppedAttributesCount = Number(r.varint()); },
+  });
+  return scope;
+}
+
+function decodeEvent(bytes) {
+  const event = { name: "", attributes: [] };
+  decodeMessage(bytes, {
+    1: (r) => { event.timeUnixNano = String(r.fixed64()); },
+    2: (r) => { event.name = r.string(); },
+    3: (r) => event.attributes.push(decodeKeyValue(r.bytesField())),
+    4: (r) => { event.droppedAttributesCount = Number(r.varint()); },
+  });
+  return event;
+}
+
+function decodeLink(bytes) {
+  const link = { attributes: [] };
+  decodeMessage(bytes, {
+    1: (r) => { link.traceId = toHex(r.bytesField()); },
+    2: (r) => { link.spanId = toHex(r.bytesField()); },
+    3: (r) => { link.traceState = r.string(); },
+    4: (r) => link.attributes.push(decodeKeyValue(r.bytesField())),
+    5: (r) => { link.droppedAttributesCount = Number(r.varint()); },
+    6: (r) => { link.flags = r.fixed32(); },
+  });
+  return link;
+}
+
+function decodeStatus(bytes) {
+  const status = { code: 0 };
+  decodeMessage(bytes, {
+    2: (r) => { status.message = r.string(); },
+    3: (r) => { status.code = Number(r.varint()); },
+  });
+  return status;
+}
+
+function decodeSpan(bytes) {
+  const span = { attributes: [], events: [], links: [] };
+  decodeMessage(bytes, {
+    1: (r) => { span.traceId = toHex(r.bytesField()); },
+    2: (r) => { span.spanId = toHex(r.bytesField()); },
+    3: (r) => { span.traceState = r.string(); },
+    4: (r) => { span.parentSpanId = toHex(r.bytesField()); },
+    5: (r) => { span.name = r.string(); },
+    6: (r) => { span.kind = Number(r.varint()); },
+    7: (r) => { span.startTimeUnixNano = String(r.fixed64()); },
+    8: (r) => { span.endTimeUnixNano = String(r.fixed64()); },
+    9: (r) => span.attributes.push(decodeKeyValue(r.bytesField())),
+    10: (r) => { span.droppedAttributesCount = Number(r.varint()); },
+    11: (r) => span.events.push(decodeEvent(r.bytesField())),
+    12: (r) => { span.droppedEventsCount = Number(r.varint()); },
+    13: (r) => span.links.push(decodeLink(r.bytesField())),
+    14: (r) => { span.droppedLinksCount = Number(r.varint()); },
+    15: (r) => { span.status = decodeStatus(r.bytesField()); },
+    16: (r) => { span.flags = r.fixed32(); },
+  });
+  return span;
+}
+
+function decodeLogRecord(bytes) {
+  const logRecord = { attributes: [] };
+  decodeMessage(bytes, {
+    1: (r) => { logRecord.timeUnixNano = String(r.fixed64()); },
+    2: (r) => { logRecord.severityNumber = Number(r.varint()); },
+    3: (r) => { logRecord.severityText = r.string(); },
+    5: (r) => { logRecord.body = decodeAnyValue(r.bytesField()); },
+    6: (r) => logRecord.attributes.push(decodeKeyValue(r.bytesField())),
+    7: (r) => { logRecord.droppedAttributesCount = Number(r.varint()); },
+    8: (r) => { logRecord.flags = r.fixed32(); },
+    9: (r) => { logRecord.traceId = toHex(r.bytesField()); },
+    10: (r) => { logRecord.spanId = toHex(r.bytesField()); },
+    11: (r) => { logRecord.observedTimeUnixNano = String(r.fixed64()); },
+    12: (r) => { logRecord.eventName = r.string(); },
+  });
+  return logRecord;
+}
+
+/**
+ * Decodes ResourceSpans / ResourceLogs (identical layout apart from the record type).
+ * @param {Uint8Array} bytes - Encoded resource message
+ * @param {OtlpSignal} signal - Which record type the scope entries contain
+ * @returns {Object} OTLP JSON shaped resource entry
+ */
+function decodeResourceEntry(bytes, signal) {
+  const scopeKey = signal === "logs" ? "scopeLogs" : "scopeSpans";
+  const recordKey = signal === "logs" ? "logRecords" : "spans";
+  const decodeRecord = signal === "logs" ? decodeLogRecord : decodeSpan;
+
+  const entry = { resource: { attributes: [] }, [scopeKey]: [] };
+  decodeMessage(bytes, {
+    1: (r) => { entry.resource = decodeResource(r.bytesField()); },
+    2: (r) => {
+      const scopeEntry = { scope: { attributes: [] }, [recordKey]: [] };
+      decodeMessage(r.bytesField(), {
+        1: (inner) => { scopeEntry.scope = decodeScope(inner.bytesField()); },
+        2: (inner) => scopeEntry[recordKey].push(decodeRecord(inner.bytesField())),
+        3: (inner) => { scopeEntry.schemaUrl = inner.string(); },
+      });
+      entry[scopeKey].push(scopeEntry);
+    },
+    3: (r) => { entry.schemaUrl = r.string(); },
+  });
+  return entry;
+}
+
+/**
+ * Finds the first occurrence of a length-delimited field in a message.
+ * @param {Uint8Array} bytes - Encoded message
+ * @param {number} fieldNumber - Field to look for
+ * @returns {Uint8Array|null}
+ */
+function findFirstMessageField(bytes, fieldNumber) {
+  const reader = new ProtoReader(bytes);
+  while (!reader.done) {
+    const { field, wireType } = reader.tag();
+    if (field === fieldNumber && wireType === WIRE_LEN) {
+      return reader.bytesField();
+    }
+    reader.skip(wireType);
+  }
+  return null;
+}
+
+/**
+ * Detects whether an export request carries traces or logs.
+ * Both requests use field 1 for their resource list, so we peek at the first record:
+ * a Span's field 1 is trace_id (length-delimited) while a LogRecord's is
+ * time_unix_nano (fixed64).
+ * @param {Uint8Array} bytes - Encoded ExportTraceServiceRequest or ExportLogsServiceRequest
+ * @returns {OtlpSignal}
+ */
+export function detectOtlpSignal(bytes) {
+  try {
+    const resourceEntry = findFirstMessageField(bytes, 1);
+    const scopeEntry = resourceEntry && findFirstMessageField(resourceEntry, 2);
+    const record = scopeEntry && findFirstMessageField(scopeEntry, 2);
+    if (!record) {
+      return "traces";
+    }
+    const reader = new ProtoReader(record);
+    while (!reader.done) {
+      const { field, wireType } = reader.tag();
+      if (wireType === WIRE_I64 && (field === 1 || field === 11)) {
+        return "logs";
+      }
+      if (field === 1 && wireType === WIRE_LEN) {
+        return "traces";
+      }
+      reader.skip(wireType);
+    }
+  } catch (error) {
+    console.warn("[detectOtlpSignal] Failed to inspect payload, assuming traces:", error);
+  }
+  return "traces";
+}
+
+/**
+ * Decodes an OTLP protobuf export request into the OTLP JSON shape.
+ * @param {Uint8Array} bytes - Encoded ExportTraceServiceRequest or ExportLogsServiceRequest
+ * @param {OtlpSignal=} signal - Signal type; detected from the payload when omitted
+ * @returns {{ resourceSpans?: Object[], resourceLogs?: Object[] }} OTLP JSON payload
+ */
+export function decodeOtlpProtobuf(bytes, signal = detectOtlpSignal(bytes)) {
+  const entries = [];
+  decodeMessage(bytes, {
+    1: (r) => entries.push(decodeResourceEntry(r.bytesField(), signal)),
+  });
+  return signal === "logs" ? { resourceLogs: entries } : { resourceSpans: entries };
+}
+
+/**
+ * Checks whether bytes are gzip compressed (OTLP/HTTP captures often are).
+ * @param {Uint8Array} bytes - Payload bytes
+ * @returns {boolean}
+ */
+export function isGzip(bytes) {
+  return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Decompresses gzip bytes using the browser DecompressionStream API.
+ * @param {Uint8Array} bytes - Gzip compressed bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Parses a binary OTLP payload into the internal span and log model.
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw .pb/.binpb contents (optionally gzip compressed)
+ * @param {{ signal?: OtlpSignal }=} options - Optional signal override
+ * @returns {Promise<{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }>}
+ */
+export async function parseOtelProtobuf(buffer, options = {}) {
+  let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (isGzip(bytes)) {
+    bytes = await gunzip(bytes);
+  }
+  const otlpJson = decodeOtlpProtobuf(bytes, options.signal);
+  return parseOtelData(otlpJson);
+}
@@ -0,0 +1,202 @@
+/**
+ * Resources
+ * Reads the OTel resource of spans (service.version, deployment.environment, host.name,
+ * k8s.*, process.*, …): the distinct resources each service reported, and trace models
+ * regrouped by a resource attribute, so a canary rollout can be told apart by
+ * service.version or a noisy neighbour by k8s.node.name.
+ */
+
+import { formatAnyValueInline } from "./attributes.js";
+import { normalizeServiceAndGroup, createComponentKey } from "./metaModel.js";
+import { buildServiceNameMapping } from "./trace.js";
+
+/**
+ * @typedef {import("./trace.js").TraceModel} TraceModel
+ * @typedef {import("./trace.js").TraceSpanNode} TraceSpanNode
+ * @typedef {import("./attributes.js").LogAttribute} LogAttribute
+ */
+
+/**
+ * @typedef {Object} ServiceResource
+ * @property {LogAttribute[]} attributes - Resource attributes, sorted by key
+ * @property {number} spanCount - Spans reported with this resource
+ */
+
+/**
+ * @typedef {Object} ServiceResources
+ * @property {string} serviceName - Service name
+ * @property {number} spanCount - Spans of the service
+ * @property {ServiceResource[]} resources - Distinct resources (instances, versions) of the service
+ */
+
+// Trace models are immutable once built, so resources and groupings are computed once per model
+const serviceResourcesCache = new WeakMap();
+const attributeKeysCache = new WeakMap();
+const groupedTraceCache = new WeakMap();
+
+/**
+ * Reads a resource attribute of a span as text.
+ * @param {import("./trace.js").TraceSpan} span - Span
+ * @param {string} key - Resource attribute key, e.g. `service.version`
+ * @returns {string|null} The value, or null when the resource does not have the attribute
+ */
+export function getResourceAttributeText(span, key) {
+  const attribute = (span.resource?.attributes || []).find((candidate) => candidate.key === key);
+  return attribute ? formatAnyValueInline(attribute.value) : null;
+}
+
+/**
+ * Lists the resource attribute keys found in a trace, sorted.
+ * @param {TraceModel} trace - Trace model
+ * @returns {string[]}
+ */
+export function listResourceAttributeKeys(trace) {
+  const cached = attributeKeysCache.get(trace);
+  if (cached) {
+    return cached;
+  }
+  const keys = new Set();
+  trace.spanNodes.forEach((node) => {
+    (node.span.resource?.attributes || []).forEach((attribute) => keys.add(attribute.key));
+  });
+  const sorted = Array.from(keys).sort();
+  attributeKeysCache.set(trace, sorted);
+  return sorted;
+}
+
+/**
+ * Lists the distinct resources each service reported. A service running several instances
+ * or versions reports several resources; identical resources are counted once.
+ * @param {TraceModel} trace - Trace model
+ * @returns {ServiceResources[]} Services sorted by name
+ */
+export function collectServiceResources(trace) {
+  const cached = serviceResourcesCache.get(trace);
+  if (cached) {
+    return cached;
+  }
+
+  const services = new Map();
+  trace.spanNodes.forEach((node) => {
+    // Placeholders for missing spans have no resource
+    if (node.isPlaceholder) {
+      return;
+    }
+    const serviceName = node.span.resource?.serviceName || "unknown-service";
+    const service = services.get(serviceName) ?? { serviceName, spanCount: 0, resourcesBySignature: new Map() };
+    const attributes = [...(node.span.resource?.attributes || [])].sort((a, b) => a.key.localeCompare(b.key));
+    const signature = attributes.map((attribute) => `${attribute.key}=${formatAnyValueInline(attribute.value)}`).join("\n");
+    const resource = service.resourcesBySignature.get(signature) ?? { attributes, spanCount: 0 };
+    resource.spanCount++;
+    service.resourcesBySignature.set(signature, resource);
+    service.spanCount++;
+    services.set(serviceName, service);
+  });
+
+  const serviceResources = Array.from(services.values())
+    .map(({ serviceName, spanCount, resourcesBySignature }) => ({
+      serviceName,
+      spanCount,
+      resources: Array.from(resourcesBySignature.values()).sort((a, b) => b.spanCount - a.spanCount),
+    }))
+    .sort((a, b) => a.serviceName.localeCompare(b.serviceName));
+  serviceResourcesCache.set(trace, serviceResources);
+  return serviceResources;
+}
+
+/**
+ * Names the group of a span when grouping by a resource attribute.
+ * @param {TraceSpanNode} node - Span node
+ * @param {string} key - Resource attribute key
+ * @returns {string}
+ */
+function getResourceGroupName(node, key) {
+  return getResourceAttributeText(node.span, key) ?? `${key} not set`;
+}
+
+/**
+ * Moves a span's component into the group of its resource attribute value. The former group
+ * (usually the service) becomes part of the component name, so `checkout` in version 1.4.2
+ * and in 1.5.0 end up as two components.
+ * @param {TraceSpanNode} node - Span node
+ * @param {string} groupName - Group of the span
+ * @returns {import("./trace.js").SpanDescription}
+ */
+function regroupDescription(node, groupName) {
+  const { groupName: formerGroupName, componentName } = normalizeServiceAndGroup(node.description);
+  const name = !formerGroupName || componentName === formerGroupName
+    ? componentName
+    : componentName === "Internal" ? formerGroupName : `${formerGroupName} ${componentName}`;
+  return { ...node.description, groupName, componentName: name };
+}
+
+/**
+ * Builds a trace model whose spans are grouped (and colored) by a resource attribute instead of
+ * by service. Nodes are copies with a regrouped description; spans are shared with the input.
+ * Groups, components and the color mapping are rebuilt from the new groups. `ungroupedTrace`
+ * points back to the input and `groupedBy` holds the attribute key.
+ * @param {TraceModel} trace - Trace model
+ * @param {string} key - Resource attribute key
+ * @returns {TraceModel & { ungroupedTrace: TraceModel, groupedBy: string }}
+ */
+export function buildResourceGroupedTrace(trace, key) {
+  const cachedByKey = groupedTraceCache.get(trace) ?? new Map();
+  groupedTraceCache.set(trace, cachedByKey);
+  if (cachedByKey.has(key)) {
+    return cachedByKey.get(key);
+  }
+
+  const spanNodes = new Map();
+  const groups = new Map();
+  const components = new Map();
+
+  const copyNode = (node) => {
+    const copy = { ...node, children: node.children.map(copyNode) };
+    if (!node.isPlaceholder && node.description) {
+      const groupName = getResourceGroupName(node, key);
+      copy.description = regroupDescription(node, groupName);
+      if (!groups.has(groupName)) {
+        groups.set(groupName, { id: groupName, name: groupName });
+      }
+      const componentId = createComponentKey(groupName, copy.description.componentName);
+      if (!components.has(componentId)) {
+        components.set(componentId, {
+          id: componentId,
+          name: copy.description.componentName,
+          groupId: groupName,
+          kind: copy.description.componentKind,
+          componentStack: copy.description.componentStack || "",
+          serviceName: node.span.resource?.serviceName || "unknown-service",
+          entrypointType: copy.description.entrypointType || 2,
+        });
+      }
+    }
+    spanNodes.set(node.span.spanId, copy);
+    return copy;
+  };
+
+  const roots = trace.roots.map(copyNode);
+  const groupedTrace = {
+    ...trace,
+    roots,
+    spanNodes,
+    groups,
+    components,
+    serviceNameMapping: buildServiceNameMapping(spanNodes),
+    ungroupedTrace: trace,
+    groupedBy: key,
+  };
+  cachedByKey.set(key, groupedTrace);
+  return groupedTrace;
+}
+
+/**
+ * Picks the trace model to display: grouped by a resource attribute, or by service.
+ * @param {TraceModel} trace - Trace model, grouped or not
+ * @param {string|null} key - Resource attribute key; null groups by service
+ * @returns {TraceModel}
+ */
+export function resolveResourceGrouping(trace, key) {
+  const ungroupedTrace = trace.ungroupedTrace ?? trace;
+  return key ? buildResourceGroupedTrace(ungroupedTrace, key) : ungroupedTrace;
+}
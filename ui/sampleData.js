@@ -19,14 +19,14 @@ const LogAnyValueKindValues = {
     EMPTY: "empty",
 };
 
-// Using string literals instead of SpanKind to avoid circular dependency
+// Using string literals instead of SpanKind to avoid circular dependency; the values match SpanKind
 const SpanKindValues = {
-    UNSPECIFIED: "unspecified",
-    INTERNAL: "internal",
-    SERVER: "server",
-    CLIENT: "client",
-    PRODUCER: "producer",
-    CONSUMER: "consumer",
+    UNSPECIFIED: "SPAN_KIND_UNSPECIFIED",
+    INTERNAL: "SPAN_KIND_INTERNAL",
+    SERVER: "SPAN_KIND_SERVER",
+    CLIENT: "SPAN_KIND_CLIENT",
+    PRODUCER: "SPAN_KIND_PRODUCER",
+    CONSUMER: "SPAN_KIND_CONSUMER",
 };
 function asUint8Array(value) {
     if (value instanceof Uint8Array) {
@@ -143,6 +143,31 @@ function fakeSpanId(seed) {
     return seed.padEnd(16, "0").slice(0, 16);
 }
 
+// Resource of a sample service, as a Kubernetes deployment reports it
+function sampleResource(serviceName, version, podName, nodeName) {
+    return {
+        serviceName,
+        attributes: [
+            { key: "service.name", value: { string_value: serviceName } },
+            { key: "service.version", value: { string_value: version } },
+            { key: "deployment.environment", value: { string_value: "production" } },
+            { key: "k8s.namespace.name", value: { string_value: "shop" } },
+            { key: "k8s.pod.name", value: { string_value: podName } },
+            { key: "k8s.node.name", value: { string_value: nodeName } },
+            { key: "host.name", value: { string_value: podName } },
+        ],
+    };
+}
+
+// Two nodes, so grouping by k8s.node.name tells the services sharing one apart
+const sampleResources = {
+    edgeGateway: sampleResource("edge-gateway", "2.4.1", "edge-gateway-7f9c6d-xk2lp", "node-pool-a-1"),
+    identityCore: sampleResource("identity-core", "1.18.0", "identity-core-5b8d4f-q9wzt", "node-pool-a-2"),
+    supplyChain: sampleResource("supply-chain", "0.9.3", "supply-chain-66c7b9-m4hrd", "node-pool-a-1"),
+    paymentsOrchestrator: sampleResource("payments-orchestrator", "3.2.0", "payments-orchestrator-d47f8-2vnbc", "node-pool-a-2"),
+    fulfillmentWorker: sampleResource("fulfillment-worker", "1.7.5", "fulfillment-worker-8c5d7-rt6jw", "node-pool-a-1"),
+};
+
 // Sample trace spans
 const ns = 1e6;
 const base = Date.now() * 1e6;
@@ -156,7 +181,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.SERVER,
         startTimeUnixNano: base,
         endTimeUnixNano: base + 180 * ns,
-        resource: { serviceName: "edge-gateway" },
+        resource: sampleResources.edgeGateway,
         attributes: [
             { key: "http.method", value: { string_value: "GET" } },
             { key: "http.target", value: { string_value: "/checkout" } },
@@ -182,7 +207,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.CLIENT,
         startTimeUnixNano: base + 10 * ns,
         endTimeUnixNano: base + 55 * ns,
-        resource: { serviceName: "edge-gateway" },
+        resource: sampleResources.edgeGateway,
         attributes: [
             { key: "rpc.system", value: { string_value: "grpc" } },
             { key: "rpc.service", value: { string_value: "AuthzService" } },
@@ -205,7 +230,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.SERVER,
         startTimeUnixNano: base + 12 * ns,
         endTimeUnixNano: base + 52 * ns,
-        resource: { serviceName: "identity-core" },
+        resource: sampleResources.identityCore,
         attributes: [
             { key: "db.system", value: { string_value: "redis" } },
             { key: "net.peer.name", value: { string_value: "auth-cache-01" } },
@@ -229,7 +254,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.CLIENT,
         startTimeUnixNano: base + 20 * ns,
         endTimeUnixNano: base + 40 * ns,
-        resource: { serviceName: "identity-core" },
+        resource: sampleResources.identityCore,
         attributes: [
             { key: "db.system", value: { string_value: "postgresql" } },
             { key: "db.statement", value: { string_value: "SELECT * FROM sessions" } },
@@ -243,7 +268,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.INTERNAL,
         startTimeUnixNano: base + 60 * ns,
         endTimeUnixNano: base + 165 * ns,
-        resource: { serviceName: "edge-gateway" },
+        resource: sampleResources.edgeGateway,
         attributes: [
             { key: "view.name", value: { string_value: "CheckoutPage" } },
             { key: "feature.flags", value: { array_value: { values: [{ string_value: "express-pay" }, { string_value: "upsell-banner" }] } } },
@@ -257,7 +282,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.CLIENT,
         startTimeUnixNano: base + 78 * ns,
         endTimeUnixNano: base + 138 * ns,
-        resource: { serviceName: "edge-gateway" },
+        resource: sampleResources.edgeGateway,
         attributes: [
             { key: "rpc.system", value: { string_value: "grpc" } },
             { key: "inventory.items", value: { int_value: 3 } },
@@ -272,7 +297,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.SERVER,
         startTimeUnixNano: base + 80 * ns,
         endTimeUnixNano: base + 134 * ns,
-        resource: { serviceName: "supply-chain" },
+        resource: sampleResources.supplyChain,
         attributes: [
             { key: "db.system", value: { string_value: "mongodb" } },
             { key: "region", value: { string_value: "us-east-1" } },
@@ -296,7 +321,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.CLIENT,
         startTimeUnixNano: base + 90 * ns,
         endTimeUnixNano: base + 170 * ns,
-        resource: { serviceName: "edge-gateway" },
+        resource: sampleResources.edgeGateway,
         attributes: [
             { key: "rpc.system", value: { string_value: "grpc" } },
             { key: "payment.provider", value: { string_value: "gravipay" } },
@@ -311,7 +336,7 @@ export const sampleTraceSpans = [
         kind: SpanKindValues.SERVER,
         startTimeUnixNano: base + 95 * ns,
         endTimeUnixNano: base + 165 * ns,
-        resource: { serviceName: "payments-orchestrator" },
+        resource: sampleResources.paymentsOrchestrator,
         attributes: [
             { key: "db.system", value: { string_value: "postgresql" } },
             { key: "retry.count", value: { int_value: 1 } },
@@ -324,9 +349,60 @@ export const sampleTraceSpans = [
                     { key: "result", value: { string_value: "pending_review" } },
                 ],
             }),
+            createTraceEvent({
+                name: "exception",
+                timeUnixNano: base + 160 * ns,
+                attributes: [
+                    { key: "exception.type", value: { string_value: "PaymentDeclinedException" } },
+                    { key: "exception.message", value: { string_value: "Card declined by issuer (code 05)" } },
+                    {
+                        key: "exception.stacktrace",
+                        value: {
+                            string_value: [
+                                "PaymentDeclinedException: Card declined by issuer (code 05)",
+                                "   at Payments.Authorization.AuthorizeAsync(PaymentRequest request) in /src/Payments/Authorization.cs:line 87",
+                                "   at Payments.Api.PaymentService.Authorize(AuthorizeRequest request, ServerCallContext context) in /src/Payments.Api/PaymentService.cs:line 42",
+                                "   at Grpc.AspNetCore.Server.Internal.CallHandlers.UnaryServerCallHandler`3.HandleCallAsyncCore(HttpContext httpContext, HttpContextServerCallContext serverCallContext)",
+                            ].join("\n"),
+                        },
+                    },
+                    { key: "exception.escaped", value: { bool_value: true } },
+                ],
+            }),
         ],
         status: { code: "STATUS_CODE_ERROR", message: "Card declined" },
     }),
+    createTraceSpan({
+        name: "checkout-events publish",
+        spanId: "j10",
+        traceId: "42d1e0cafef00d1e",
+        parentSpanId: "a1",
+        kind: SpanKindValues.PRODUCER,
+        startTimeUnixNano: base + 168 * ns,
+        endTimeUnixNano: base + 174 * ns,
+        resource: sampleResources.edgeGateway,
+        attributes: [
+            { key: "messaging.system", value: { string_value: "kafka" } },
+            { key: "messaging.destination.name", value: { string_value: "checkout-events" } },
+            { key: "messaging.operation", value: { string_value: "publish" } },
+        ],
+    }),
+    createTraceSpan({
+        name: "checkout-events process",
+        spanId: "k11",
+        traceId: "42d1e0cafef00d1e",
+        parentSpanId: "j10",
+        kind: SpanKindValues.CONSUMER,
+        startTimeUnixNano: base + 240 * ns,
+        endTimeUnixNano: base + 285 * ns,
+        resource: sampleResources.fulfillmentWorker,
+        attributes: [
+            { key: "messaging.system", value: { string_value: "kafka" } },
+            { key: "messaging.destination.name", value: { string_value: "checkout-events" } },
+            { key: "messaging.operation", value: { string_value: "process" } },
+            { key: "messaging.kafka.consumer.group", value: { string_value: "fulfillment" } },
+        ],
+    }),
 ];
 
 // Sample log rows
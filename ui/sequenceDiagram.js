@@ -8,6 +8,8 @@ import { createComponentKey, ComponentKind } from "./metaModel.js";
 import { escapeMermaid, escapeMermaidId } from "../core/strings.js";
 import { colorPalettes } from "../core/config.js";
 import { paletteState } from "../core/palette.js";
+import { createSpanLinkHash } from "../core/viewStateStorage.js";
+import { getSpanLinks, collectUnresolvedLinks, describeUnresolvedLink } from "./spanLinks.js";
 
 /**
  * @typedef {import("./trace.js").TraceModel} TraceModel
@@ -22,6 +24,7 @@ import { paletteState } from "../core/palette.js";
  * @property {boolean} showLogs - Show logs as notes
  * @property {boolean} showAsync - Show async call groups
  * @property {boolean} showRecursion - Show recursive calls (same component)
+ * @property {boolean} showLinks - Show span links as dashed messages or reference notes
  * @property {string} theme - Mermaid theme (default, dark, forest, neutral)
  */
 
@@ -30,6 +33,7 @@ const DEFAULT_CONFIG = {
   showLogs: true,
   showAsync: true,
   showRecursion: true,
+  showLinks: true,
   theme: "dark",
 };
 
@@ -76,9 +80,12 @@ export function generateSequenceDiagram(trace, config = {}) {
   console.log("[generateSequenceDiagram] All declared participant IDs:", Array.from(declaredParticipantIds).sort());
 
   // Render the sequence from root spans (calls and notes that reference participants)
-  trace.roots.forEach((root, index) => {
-    console.log(`[generateSequenceDiagram] Rendering root ${index + 1}/${trace.roots.length}`);
+  // Placeholders for missing parent spans have no participant; their children start the sequence
+  const roots = trace.roots.flatMap((root) => (root.isPlaceholder ? root.children : [root]));
+  roots.forEach((root, index) => {
+    console.log(`[generateSequenceDiagram] Rendering root ${index + 1}/${roots.length}`);
     // Create a call from "start" to the root span's first component
+    renderSpanLinkMessages(lines, root, trace, cfg);
     renderRootCall(lines, root, trace, cfg);
     // Then render the children recursively
     renderChildren(lines, root, trace, cfg);
@@ -410,6 +417,7 @@ function renderChildren(lines, parent, trace, config) {
 
     if (shouldRenderCall) {
       // Render call start
+      renderSpanLinkMessages(lines, child, trace, config);
       renderCallStart(lines, child, parent, trace, config);
 
       // Render attributes if enabled
@@ -500,6 +508,54 @@ function renderRootCall(lines, root, trace, config) {
   lines.push(`    start->>+${rootComponentId}: ${escapedOperation}`);
 }
 
+/**
+ * Renders the links of a span right before its call: a dashed async message from the linked
+ * span's component when that span is loaded, otherwise a note naming the linked span.
+ * @param {string[]} lines - Output lines array
+ * @param {TraceSpanNode} node - Node whose links to render
+ * @param {TraceModel} trace - Trace model
+ * @param {SequenceConfig} config - Configuration
+ */
+function renderSpanLinkMessages(lines, node, trace, config) {
+  if (!config.showLinks) {
+    return;
+  }
+  const componentId = escapeMermaidId(getComponentId(node, trace));
+  getSpanLinks(trace, node).forEach(({ link, target }) => {
+    if (target) {
+      const targetComponentId = escapeMermaidId(getComponentId(target, trace));
+      const operation = target.description?.operation || target.span.name || "";
+      lines.push(`    ${targetComponentId}--)${componentId}: ${escapeMermaid(`link: ${operation}`)}`);
+    } else {
+      lines.push(`    Note over ${componentId}: ${escapeMermaid(`link: ${describeUnresolvedLink(link, trace.traceId)}`)}`);
+    }
+  });
+}
+
+/**
+ * Makes the notes of links into other traces open the linked trace when clicked.
+ * @param {HTMLElement} host - Container element with the rendered Mermaid diagram
+ * @param {TraceModel} trace - Trace model
+ */
+function linkUnresolvedLinkNotes(host, trace) {
+  const references = collectUnresolvedLinks(trace).filter(({ link }) => link.traceId !== trace.traceId);
+  if (references.length === 0) {
+    return;
+  }
+  host.querySelectorAll("text.noteText").forEach((noteText) => {
+    const reference = references.find(({ link }) =>
+      noteText.textContent === `link: ${describeUnresolvedLink(link, trace.traceId)}`
+    );
+    if (!reference) {
+      return;
+    }
+    noteText.classList.add("sequence-diagram__link-note");
+    noteText.addEventListener("click", () => {
+      window.location.hash = createSpanLinkHash(reference.link.traceId, reference.link.spanId);
+    });
+  });
+}
+
 /**
  * Renders a call start (request)
  * @param {string[]} lines - Output lines array
@@ -914,6 +970,7 @@ export function initSequenceDiagram(host, spans, config = {}) {
         // Apply colors to participant headers after rendering
         setTimeout(() => {
           applyParticipantColors(host, trace);
+          linkUnresolvedLinkNotes(host, trace);
         }, 100);
       } else {
         console.warn("[initSequenceDiagram] Mermaid.js not loaded. Include mermaid.js script.");
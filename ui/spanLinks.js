@@ -0,0 +1,267 @@
+/**
+ * Span Links
+ * OTel span links connect causally related spans that are not parent and child: a batch
+ * consumer links to every message it processed, a fan-in job to the runs it waits for.
+ * Links to spans of the loaded trace are drawn as dashed connectors; links to spans that
+ * are not loaded are shown as references that open the linked trace.
+ */
+
+import { h } from "../core/dom.js";
+import { onClickStop } from "../core/events.js";
+import { createSpanLinkHash } from "../core/viewStateStorage.js";
+import { createAttributeBadge } from "./logs.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * @typedef {{ link: import("./trace.js").TraceLink, target: import("./trace.js").TraceSpanNode|null }} ResolvedSpanLink
+ */
+
+// Incoming links per trace model, built on first use
+const incomingLinksCache = new WeakMap();
+
+/**
+ * Resolves the links of a span against the trace: `target` is the linked span's node when
+ * that span is loaded. Filtered traces (critical path only) resolve against the full trace.
+ * @param {import("./trace.js").TraceModel} trace - The trace model
+ * @param {import("./trace.js").TraceSpanNode} node - The span node
+ * @returns {ResolvedSpanLink[]}
+ */
+export function getSpanLinks(trace, node) {
+  const spanNodes = (trace.sourceTrace ?? trace).spanNodes;
+  return (node.span.links || []).map((link) => ({
+    link,
+    target: link.traceId === trace.traceId ? spanNodes.get(link.spanId) ?? null : null,
+  }));
+}
+
+/**
+ * Lists the spans of the trace that link to a span.
+ * @param {import("./trace.js").TraceModel} trace - The trace model
+ * @param {string} spanId - Span ID
+ * @returns {import("./trace.js").TraceSpanNode[]}
+ */
+export function getIncomingLinks(trace, spanId) {
+  const fullTrace = trace.sourceTrace ?? trace;
+  let incoming = incomingLinksCache.get(fullTrace);
+  if (!incoming) {
+    incoming = new Map();
+    fullTrace.spanNodes.forEach((node) => {
+      getSpanLinks(fullTrace, node).forEach(({ target }) => {
+        if (target) {
+          const sources = incoming.get(target.span.spanId) ?? [];
+          sources.push(node);
+          incoming.set(target.span.spanId, sources);
+        }
+      });
+    });
+    incomingLinksCache.set(fullTrace, incoming);
+  }
+  return incoming.get(spanId) ?? [];
+}
+
+/**
+ * Lists the links between loaded spans as connector pairs, from the linked span to the linking one.
+ * @param {import("./trace.js").TraceModel} trace - The trace model
+ * @returns {Array<{ fromSpanId: string, toSpanId: string }>}
+ */
+export function collectLinkConnectors(trace) {
+  const connectors = [];
+  trace.spanNodes.forEach((node) => {
+    getSpanLinks(trace, node).forEach(({ target }) => {
+      if (target && target !== node) {
+        connectors.push({ fromSpanId: target.span.spanId, toSpanId: node.span.spanId });
+      }
+    });
+  });
+  return connectors;
+}
+
+/**
+ * Lists the links to spans that are not loaded.
+ * @param {import("./trace.js").TraceModel} trace - The trace model
+ * @returns {Array<{ node: import("./trace.js").TraceSpanNode, link: import("./trace.js").TraceLink }>}
+ */
+export function collectUnresolvedLinks(trace) {
+  const unresolved = [];
+  trace.spanNodes.forEach((node) => {
+    getSpanLinks(trace, node).forEach(({ link, target }) => {
+      if (!target) {
+        unresolved.push({ node, link });
+      }
+    });
+  });
+  return unresolved;
+}
+
+/**
+ * Shortens a trace or span ID for display.
+ * @param {string} id - Hex ID
+ * @returns {string}
+ */
+export function shortenId(id) {
+  return id.length > 8 ? `${id.slice(0, 8)}…` : id;
+}
+
+/**
+ * Describes a link target that is not loaded.
+ * @param {import("./trace.js").TraceLink} link - The link
+ * @param {string} traceId - ID of the loaded trace
+ * @returns {string}
+ */
+export function describeUnresolvedLink(link, traceId) {
+  return link.traceId === traceId
+    ? `Span ${shortenId(link.spanId)} (not loaded)`
+    : `Span ${shortenId(link.spanId)} in trace ${shortenId(link.traceId)}`;
+}
+
+/**
+ * Creates the clickable label of a linked span: a button jumping to it when it is loaded,
+ * otherwise a link that opens its trace (when the session contains it).
+ * @param {import("./trace.js").TraceLink|null} link - The link (null for spans linking to the shown span)
+ * @param {import("./trace.js").TraceSpanNode|null} target - The linked span node when loaded
+ * @param {string} traceId - ID of the loaded trace
+ * @returns {HTMLElement}
+ */
+function createLinkTarget(link, target, traceId) {
+  if (target) {
+    const serviceName = target.span.resource?.serviceName || "unknown-service";
+    const button = h('button', {
+      type: 'button',
+      className: 'trace-span-links__target',
+      textContent: `${serviceName} · ${target.span.name}`,
+      title: `Go to span ${target.span.spanId}`
+    });
+    onClickStop(button, () => {
+      // renderTrace puts the jump function on the span list
+      button.closest('.trace-span-list')?._goToSpan?.(target.span.spanId);
+    });
+    return button;
+  }
+
+  return h('a', {
+    className: 'trace-span-links__target trace-span-links__target--external',
+    href: createSpanLinkHash(link.traceId, link.spanId),
+    textContent: describeUnresolvedLink(link, traceId),
+    title: `Trace ${link.traceId}, span ${link.spanId}`
+  });
+}
+
+/**
+ * Renders the links of a span and the spans linking to it for the span details.
+ * @param {import("./trace.js").TraceSpanNode} node - The span node
+ * @param {import("./trace.js").TraceModel} trace - The trace model
+ * @returns {HTMLElement|null} The links section, or null when the span has no links
+ */
+export function renderSpanLinks(node, trace) {
+  const links = getSpanLinks(trace, node);
+  const incoming = getIncomingLinks(trace, node.span.spanId);
+  if (links.length === 0 && incoming.length === 0) {
+    return null;
+  }
+
+  const section = h('section', { className: 'trace-span-links' });
+  if (links.length > 0) {
+    section.append(
+      h('div', { className: 'trace-span-links__title', textContent: `Links (${links.length})` }),
+      h('ul', { className: 'trace-span-links__list' },
+        links.map(({ link, target }) => h('li', { className: 'trace-span-links__item' },
+          createLinkTarget(link, target, trace.traceId),
+          link.attributes.map(createAttributeBadge)
+        ))
+      )
+    );
+  }
+  if (incoming.length > 0) {
+    section.append(
+      h('div', { className: 'trace-span-links__title', textContent: `Linked from (${incoming.length})` }),
+      h('ul', { className: 'trace-span-links__list' },
+        incoming.map((source) => h('li', { className: 'trace-span-links__item' },
+          createLinkTarget(null, source, trace.traceId)
+        ))
+      )
+    );
+  }
+  return section;
+}
+
+/**
+ * Finds the visible bar of a rendered span.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {string} spanId - Span ID
+ * @returns {HTMLElement|null}
+ */
+function findVisibleBar(list, spanId) {
+  const bar = list.querySelector(`.trace-span[data-span-id="${CSS.escape(spanId)}"] > .trace-span__summary .trace-span__bar`);
+  return bar && bar.getClientRects().length > 0 ? bar : null;
+}
+
+/**
+ * Draws dashed connectors from linked spans to the spans linking to them, over the span list.
+ * Connectors follow the layout (expanding, collapsing, opening details, resizing). Virtualized
+ * lists skip them; the span details still list the links.
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {import("./trace.js").TraceModel} trace - The trace model
+ */
+export function setupSpanLinkConnectors(list, trace) {
+  const connectors = collectLinkConnectors(trace);
+  if (connectors.length === 0 || list._virtualList) {
+    return;
+  }
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("class", "trace-span-links__overlay");
+  svg.setAttribute("aria-hidden", "true");
+  list.append(svg);
+
+  let frame = null;
+  const draw = () => {
+    frame = null;
+    const origin = list.getBoundingClientRect();
+    svg.setAttribute("width", String(list.scrollWidth));
+    svg.setAttribute("height", String(list.scrollHeight));
+
+    const paths = [];
+    connectors.forEach(({ fromSpanId, toSpanId }) => {
+      const fromBar = findVisibleBar(list, fromSpanId);
+      const toBar = findVisibleBar(list, toSpanId);
+      if (!fromBar || !toBar) {
+        return;
+      }
+      const from = fromBar.getBoundingClientRect();
+      const to = toBar.getBoundingClientRect();
+      const x1 = from.right - origin.left;
+      const y1 = from.top + from.height / 2 - origin.top;
+      const x2 = to.left - origin.left;
+      const y2 = to.top + to.height / 2 - origin.top;
+      const bend = Math.max(24, Math.abs(x2 - x1) / 2);
+
+      const path = document.createElementNS(SVG_NS, "path");
+      path.setAttribute("class", "trace-span-links__connector");
+      path.setAttribute("d", `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`);
+      const end = document.createElementNS(SVG_NS, "circle");
+      end.setAttribute("class", "trace-span-links__connector-end");
+      end.setAttribute("cx", String(x2));
+      end.setAttribute("cy", String(y2));
+      end.setAttribute("r", "3");
+      paths.push(path, end);
+    });
+    svg.replaceChildren(...paths);
+  };
+  const scheduleDraw = () => {
+    if (frame === null) {
+      frame = requestAnimationFrame(draw);
+    }
+  };
+
+  // The list changes size whenever rows are expanded, collapsed or details are opened
+  const observer = new ResizeObserver(() => {
+    if (!list.isConnected) {
+      observer.disconnect();
+      return;
+    }
+    scheduleDraw();
+  });
+  observer.observe(list);
+  scheduleDraw();
+}
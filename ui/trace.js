@@ -9,14 +9,32 @@ import { normalizeAnyValue, createLogAttribute, formatNanoseconds, resolveSeveri
 import { createAttributeTable } from "./attributes.js";
 import { hexToRgba } from "../core/colors.js";
 import { getColorKeyFromNode } from "../core/identity.js";
+import { normalizeId } from "../core/ids.js";
 import { ComponentKind, extractSpanDescription, createComponentKey, normalizeServiceAndGroup } from "./metaModel.js";
 import { renderTracePreview } from "./tracePreview.js";
-import { h, setStyles, setAttrs } from "../core/dom.js";
-import { createViewState, pruneInvalidState, ensureChildrenExpanded, pruneDescendantState as pruneDescendantStateFromManager } from "../core/stateManager.js";
+import { h, setStyles, setAttrs, downloadFile } from "../core/dom.js";
+import { onClick, onEvent } from "../core/events.js";
+import { buildOtlpJson, collectSubtree, createOtlpExportFileName, getRecordedNode } from "./otlpExporter.js";
+import { createViewState, pruneInvalidState, ensureChildrenExpanded, isCriticalPathShown, notifyStateChange, expandAncestors, expandFilteredList, restoreUnfilteredExpansion, pruneDescendantState as pruneDescendantStateFromManager } from "../core/stateManager.js";
+import { restoreViewState, saveViewState } from "../core/viewStateStorage.js";
 import { renderSpanSummary } from "./components/spanSummary.js";
 import { renderSpanLogs } from "./components/spanLogs.js";
 import { renderSpanNode } from "./components/spanNode.js";
 import { renderTraceHeader } from "./components/traceHeader.js";
+import { renderTimeBreakdown } from "./components/timeBreakdown.js";
+import { renderSpanInspector } from "./components/spanInspector.js";
+import { renderSpanExceptions, renderExceptionPreview } from "./components/spanExceptions.js";
+import { captureSearchFocus, restoreSearchFocus } from "./components/traceSearchBar.js";
+import { renderVirtualSpanList, VIRTUALIZE_SPAN_THRESHOLD } from "./components/virtualSpanList.js";
+import { setupSpanTreeNavigation, setupSearchShortcut, syncTreeTabStop, focusSpan } from "./components/spanTreeNavigation.js";
+import { setupTimelineZoom } from "./components/timelineZoom.js";
+import { refreshSearchMatches, highlightSearchMatches, buildSearchMatchTrace } from "./traceSearch.js";
+import { computeCriticalPath, buildCriticalPathTrace } from "./criticalPath.js";
+import { renderSpanLinks, setupSpanLinkConnectors } from "./spanLinks.js";
+import { detectClockSkew, resolveClockSkew } from "./clockSkew.js";
+import { getSpanExceptions, computeErrorPaths, buildErrorPathTrace } from "./exceptions.js";
+import { resolveResourceGrouping } from "./resources.js";
+import { renderResourcePanel } from "./components/resourcePanel.js";
 
 // Lazy import for sampleLogRows to avoid circular dependency with sampleData.js
 // sampleData.js imports from trace.js, so we can't import it at module level
@@ -86,12 +104,14 @@ export async function ensureSampleLogRowsLoaded() {
 /**
  * @typedef {ReturnType<typeof createTraceSpan>} TraceSpan
  * @typedef {ReturnType<typeof createTraceEvent>} TraceEvent
+ * @typedef {ReturnType<typeof createTraceLink>} TraceLink
  * @typedef {import("./logs.js").LogRow} LogRow
  * @typedef {{ id: string, name: string }} Group
  * @typedef {{ id: string, name: string, groupId: string, kind: string, componentStack: string, serviceName?: string, entrypointType?: number }} Component
  * @typedef {{ groupName: string, componentName: string, operation: string, componentKind: string, componentStack: string, isClient?: boolean, entrypointType?: number }} SpanDescription
- * @typedef {{ traceId: string, startTimeUnixNano: number, endTimeUnixNano: number, durationNano: number, spanCount: number, roots: TraceSpanNode[], serviceNameMapping: Map<string, number>, groups: Map<string, Group>, components: Map<string, Component> }} TraceModel
- * @typedef {{ span: TraceSpan, depth: number, children: TraceSpanNode[], description?: SpanDescription, logs?: LogRow[], events?: TraceEvent[] }} TraceSpanNode
+ * @typedef {{ traceId: string, startTimeUnixNano: number, endTimeUnixNano: number, durationNano: number, spanCount: number, roots: TraceSpanNode[], spanNodes: Map<string, TraceSpanNode>, serviceNameMapping: Map<string, number>, groups: Map<string, Group>, components: Map<string, Component> }} TraceModel
+ * @typedef {{ span: TraceSpan, depth: number, children: TraceSpanNode[], selfTimeNano: number, isPlaceholder?: boolean, description?: SpanDescription, logs?: LogRow[], events?: TraceEvent[] }} TraceSpanNode
+ * @typedef {{ traceId: string, spans: TraceSpan[], logs: LogRow[], rootName: string, rootServiceName: string, startTimeUnixNano: number, endTimeUnixNano: number, durationNano: number, spanCount: number, errorCount: number }} TraceSummary
  */
 
 export const SpanKind = Object.freeze({
@@ -106,17 +126,18 @@ export const SpanKind = Object.freeze({
 /**
  * @param {Object} params
  * @param {string} params.name
- * @param {string} params.spanId
- * @param {string} params.traceId
- * @param {string=} params.parentSpanId
+ * @param {string} params.spanId - Hex or base64, normalized to lowercase hex
+ * @param {string} params.traceId - Hex or base64, normalized to lowercase hex
+ * @param {string=} params.parentSpanId - Hex or base64, normalized to lowercase hex
  * @param {SpanKind=} params.kind
  * @param {number|bigint} params.startTimeUnixNano
  * @param {number|bigint} params.endTimeUnixNano
  * @param {Array<{ key: string, value: import("./logs.js").LogAnyValue | Record<string, any> }>=} params.attributes
  * @param {TraceEvent[]=} params.events
+ * @param {Array<{ traceId: string, spanId: string, traceState?: string, attributes?: Array<{ key: string, value: any }> }>=} params.links - Links to causally related spans, possibly in other traces
  * @param {{ code: "STATUS_CODE_OK"|"STATUS_CODE_ERROR"|"STATUS_CODE_UNSET", message?: string }=} params.status
- * @param {{ name?: string, version?: string }=} params.instrumentationScope
- * @param {{ serviceName?: string, serviceNamespace?: string }=} params.resource
+ * @param {{ name?: string, version?: string, attributes?: Array<{ key: string, value: any }> }=} params.instrumentationScope
+ * @param {{ serviceName?: string, serviceNamespace?: string, attributes?: Array<{ key: string, value: any }> }=} params.resource
  * @returns {TraceSpan}
  */
 export function createTraceSpan({
@@ -129,15 +150,16 @@ export function createTraceSpan({
   endTimeUnixNano,
   attributes = [],
   events = [],
+  links = [],
   status = { code: "STATUS_CODE_UNSET" },
   instrumentationScope = {},
   resource = {},
 }) {
   return {
     name,
-    spanId,
-    traceId,
-    parentSpanId,
+    spanId: normalizeId(spanId),
+    traceId: normalizeId(traceId),
+    parentSpanId: normalizeId(parentSpanId),
     kind,
     startTimeUnixNano,
     endTimeUnixNano,
@@ -145,9 +167,29 @@ export function createTraceSpan({
       createLogAttribute(key, value, description)
     ),
     events,
+    links: links.map(createTraceLink),
     status,
-    instrumentationScope,
-    resource,
+    instrumentationScope: normalizeAttributeOwner(instrumentationScope),
+    resource: normalizeAttributeOwner(resource),
+  };
+}
+
+/**
+ * Normalizes the attribute list of a resource or instrumentation scope so it
+ * matches the span attribute shape. Other fields are kept as-is.
+ * @template {{ attributes?: Array<{ key: string, value: any, description?: string }> }} T
+ * @param {T} owner - Resource or instrumentation scope
+ * @returns {T}
+ */
+function normalizeAttributeOwner(owner) {
+  if (!owner || !Array.isArray(owner.attributes)) {
+    return owner || {};
+  }
+  return {
+    ...owner,
+    attributes: owner.attributes.map(({ key, value, description = "" }) =>
+      createLogAttribute(key, value, description)
+    ),
   };
 }
 
@@ -168,6 +210,24 @@ export function createTraceEvent({ name, timeUnixNano, attributes = [] }) {
   };
 }
 
+/**
+ * @param {Object} params
+ * @param {string} params.traceId - Hex or base64, normalized to lowercase hex
+ * @param {string} params.spanId - Hex or base64, normalized to lowercase hex
+ * @param {string=} params.traceState
+ * @param {Array<{ key: string, value: import("./logs.js").LogAnyValue | Record<string, any> }>=} params.attributes
+ */
+export function createTraceLink({ traceId, spanId, traceState = "", attributes = [] }) {
+  return {
+    traceId: normalizeId(traceId),
+    spanId: normalizeId(spanId),
+    traceState,
+    attributes: attributes.map(({ key, value, description = "" }) =>
+      createLogAttribute(key, value, description)
+    ),
+  };
+}
+
 export function toNumberTimestamp(value) {
   if (typeof value === "number") {
     return value;
@@ -178,6 +238,19 @@ export function toNumberTimestamp(value) {
   return Number.parseFloat(value) || 0;
 }
 
+/**
+ * Compares two timestamps for sorting, exactly when both are bigints.
+ * @param {number|bigint|string} a - Timestamp
+ * @param {number|bigint|string} b - Timestamp
+ * @returns {number} Negative when a comes first, positive when b does, else 0
+ */
+export function compareTimestamps(a, b) {
+  if (typeof a === "bigint" && typeof b === "bigint") {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return toNumberTimestamp(a) - toNumberTimestamp(b);
+}
+
 function clamp(value, min = 0, max = 1) {
   return Math.min(Math.max(value, min), max);
 }
@@ -188,9 +261,13 @@ function clamp(value, min = 0, max = 1) {
  * @param {Map<string, TraceSpanNode>} spanNodes - Map of span nodes with descriptions
  * @returns {Map<string, number>} Map from service name to index
  */
-function buildServiceNameMapping(spanNodes) {
+export function buildServiceNameMapping(spanNodes) {
   const serviceNames = new Set();
   spanNodes.forEach((node) => {
+    // Placeholders have no service, they must not shift the colors of real ones
+    if (node.isPlaceholder) {
+      return;
+    }
     const serviceName = getColorKeyFromNode(node);
     serviceNames.add(serviceName);
   });
@@ -365,6 +442,82 @@ function buildGroupsAndComponents(spans) {
   return { groups, components };
 }
 
+/**
+ * Checks whether a child span runs asynchronously from its parent, so the parent does not
+ * wait on it: a message consumer, anything started by a message producer, and Jaeger
+ * FOLLOWS_FROM children. A consumer often starts long after its producer ended.
+ * @param {TraceSpanNode} parent - Parent node
+ * @param {TraceSpanNode} child - Child node
+ * @returns {boolean}
+ */
+export function isAsyncChild(parent, child) {
+  return child.span.kind === SpanKind.CONSUMER ||
+    parent.span.kind === SpanKind.PRODUCER ||
+    (child.span.attributes || []).some((attribute) =>
+      attribute.key === "jaeger.reference.type" && attribute.value?.value === "FOLLOWS_FROM"
+    );
+}
+
+/**
+ * Computes a span's exclusive duration (self time): its duration minus the time covered by
+ * at least one direct child. Overlapping children count once, and children running past
+ * their parent only count within it, so self time is never negative. Async children do not
+ * block their parent and are left out.
+ * @param {TraceSpanNode} node - Span node with its children sorted by start time
+ * @returns {number} Self time in nanoseconds
+ */
+export function computeSelfTimeNano(node) {
+  const start = toNumberTimestamp(node.span.startTimeUnixNano);
+  const end = Math.max(start, toNumberTimestamp(node.span.endTimeUnixNano));
+  let covered = 0;
+  let coveredUntil = start;
+  node.children.forEach((child) => {
+    if (isAsyncChild(node, child)) {
+      return;
+    }
+    const childStart = Math.max(coveredUntil, toNumberTimestamp(child.span.startTimeUnixNano));
+    const childEnd = Math.min(end, toNumberTimestamp(child.span.endTimeUnixNano));
+    if (childEnd > childStart) {
+      covered += childEnd - childStart;
+      coveredUntil = childEnd;
+    }
+  });
+  return end - start - covered;
+}
+
+/**
+ * Creates the node standing in for a parent span that is referenced but missing. It covers
+ * the time range of the spans referencing it.
+ * @param {string} spanId - ID of the missing span
+ * @param {TraceSpanNode[]} orphans - Nodes whose parent is the missing span
+ * @returns {TraceSpanNode}
+ */
+function createPlaceholderNode(spanId, orphans) {
+  const span = createTraceSpan({
+    name: "Missing span",
+    spanId,
+    traceId: orphans[0].span.traceId,
+    startTimeUnixNano: orphans.reduce((start, node) => Math.min(start, toNumberTimestamp(node.span.startTimeUnixNano)), Number.POSITIVE_INFINITY),
+    endTimeUnixNano: orphans.reduce((end, node) => Math.max(end, toNumberTimestamp(node.span.endTimeUnixNano)), Number.NEGATIVE_INFINITY),
+  });
+  return {
+    span,
+    depth: 0,
+    children: [],
+    selfTimeNano: 0,
+    isPlaceholder: true,
+    description: {
+      groupName: "",
+      componentName: "",
+      operation: span.name,
+      componentKind: ComponentKind.SERVICE,
+      componentStack: "",
+    },
+    logs: [],
+    events: [],
+  };
+}
+
 /**
  * Builds span nodes from spans and constructs the tree structure.
  * @param {TraceSpan[]} spans - Array of spans
@@ -394,40 +547,49 @@ function buildSpanNodes(spans, logsBySpanId) {
       span,
       depth: 0,
       children: [],
+      selfTimeNano: 0,
       description,
       logs: spanLogs,
       events: spanEvents,
     });
   });
 
+  // A parent that was never received (dropped by sampling, lost in transit) gets a placeholder,
+  // so its children stay one tree instead of each becoming a root
+  const orphansByParentId = new Map();
+  spanNodes.forEach((node) => {
+    const parentId = node.span.parentSpanId;
+    if (parentId && !spanNodes.has(parentId)) {
+      orphansByParentId.set(parentId, [...(orphansByParentId.get(parentId) ?? []), node]);
+    }
+  });
+  orphansByParentId.forEach((orphans, parentId) => {
+    spanNodes.set(parentId, createPlaceholderNode(parentId, orphans));
+  });
+
   // Build tree structure
   const roots = [];
   spanNodes.forEach((node) => {
     const parentId = node.span.parentSpanId;
     if (parentId && spanNodes.has(parentId)) {
-      const parentNode = spanNodes.get(parentId);
-      node.depth = parentNode.depth + 1;
-      parentNode.children.push(node);
+      spanNodes.get(parentId).children.push(node);
     } else {
       roots.push(node);
     }
   });
 
-  // Sort children by start time
+  // Sort children by start time; self time needs the sorted children. Depths are set top-down,
+  // since a parent can come after its children in the span list
   const sortChildren = (node) => {
-    node.children.sort(
-      (a, b) =>
-        toNumberTimestamp(a.span.startTimeUnixNano) -
-        toNumberTimestamp(b.span.startTimeUnixNano)
-    );
-    node.children.forEach((child) => sortChildren(child));
+    node.children.sort((a, b) => compareTimestamps(a.span.startTimeUnixNano, b.span.startTimeUnixNano));
+    node.selfTimeNano = computeSelfTimeNano(node);
+    node.children.forEach((child) => {
+      child.depth = node.depth + 1;
+      sortChildren(child);
+    });
   };
 
-  roots.sort(
-    (a, b) =>
-      toNumberTimestamp(a.span.startTimeUnixNano) -
-      toNumberTimestamp(b.span.startTimeUnixNano)
-  );
+  roots.sort((a, b) => compareTimestamps(a.span.startTimeUnixNano, b.span.startTimeUnixNano));
   roots.forEach((root) => sortChildren(root));
 
   return { spanNodes, roots };
@@ -458,6 +620,7 @@ export function buildTraceModel(spans, logRows = null) {
       durationNano: 0,
       spanCount: 0,
       roots: [],
+      spanNodes: new Map(),
       serviceNameMapping: new Map(),
       groups: new Map(),
       components: new Map(),
@@ -500,12 +663,98 @@ export function buildTraceModel(spans, logRows = null) {
     durationNano: Math.max(endTimeUnixNano - startTimeUnixNano, 0),
     spanCount: spans.length,
     roots,
+    spanNodes,
     serviceNameMapping,
     groups,
     components,
   };
 }
 
+/**
+ * Lists the roots of the spans that were received: a placeholder root standing in for a
+ * missing parent is replaced by its children. For views that cannot draw an unknown span.
+ * @param {TraceModel} trace - The trace model
+ * @returns {TraceSpanNode[]}
+ */
+export function getReceivedRoots(trace) {
+  return trace.roots.flatMap((root) => (root.isPlaceholder ? root.children : [root]));
+}
+
+/**
+ * Splits spans from many traces (e.g. a collector dump) into one summary per traceId.
+ * Logs are assigned by their traceId, or by spanId when the log has no trace context.
+ * Logs that match no trace are kept only when there is a single trace.
+ * @param {TraceSpan[]} spans - Spans of any number of traces
+ * @param {LogRow[]=} logRows - Log rows of any number of traces
+ * @returns {TraceSummary[]} Trace summaries ordered by start time
+ */
+export function groupSpansByTraceId(spans, logRows = []) {
+  const spansByTraceId = new Map();
+  const traceIdBySpanId = new Map();
+  (spans || []).forEach((span) => {
+    const traceId = span.traceId || "";
+    if (!spansByTraceId.has(traceId)) {
+      spansByTraceId.set(traceId, []);
+    }
+    spansByTraceId.get(traceId).push(span);
+    traceIdBySpanId.set(span.spanId, traceId);
+  });
+
+  const logsByTraceId = new Map();
+  const singleTraceId = spansByTraceId.size === 1 ? spansByTraceId.keys().next().value : null;
+  (logRows || []).forEach((logRow) => {
+    let traceId = spansByTraceId.has(logRow.traceId) ? logRow.traceId : traceIdBySpanId.get(logRow.spanId);
+    if (traceId === undefined) {
+      traceId = singleTraceId;
+    }
+    if (traceId === null || traceId === undefined) {
+      return;
+    }
+    if (!logsByTraceId.has(traceId)) {
+      logsByTraceId.set(traceId, []);
+    }
+    logsByTraceId.get(traceId).push(logRow);
+  });
+
+  const summaries = Array.from(spansByTraceId, ([traceId, traceSpans]) => {
+    const spanIds = new Set(traceSpans.map((span) => span.spanId));
+    let root = null;
+    let minStart = Number.POSITIVE_INFINITY;
+    let maxEnd = Number.NEGATIVE_INFINITY;
+    let errorCount = 0;
+
+    traceSpans.forEach((span) => {
+      const start = toNumberTimestamp(span.startTimeUnixNano);
+      minStart = Math.min(minStart, start);
+      maxEnd = Math.max(maxEnd, toNumberTimestamp(span.endTimeUnixNano));
+      if (span.status?.code === "STATUS_CODE_ERROR") {
+        errorCount++;
+      }
+      const isRoot = !span.parentSpanId || !spanIds.has(span.parentSpanId);
+      if (isRoot && (!root || start < toNumberTimestamp(root.startTimeUnixNano))) {
+        root = span;
+      }
+    });
+
+    const startTimeUnixNano = Number.isFinite(minStart) ? minStart : 0;
+    const endTimeUnixNano = Number.isFinite(maxEnd) ? maxEnd : startTimeUnixNano;
+    return {
+      traceId,
+      spans: traceSpans,
+      logs: logsByTraceId.get(traceId) || [],
+      rootName: root?.name || "",
+      rootServiceName: root?.resource?.serviceName || "",
+      startTimeUnixNano,
+      endTimeUnixNano,
+      durationNano: Math.max(endTimeUnixNano - startTimeUnixNano, 0),
+      spanCount: traceSpans.length,
+      errorCount,
+    };
+  });
+
+  return summaries.sort((a, b) => a.startTimeUnixNano - b.startTimeUnixNano);
+}
+
 export function validateTraceSpans(spans) {
   const result = { errors: [], warnings: [] };
 
@@ -590,14 +839,44 @@ export function validateTraceSpans(spans) {
     result.warnings.push({ level: "warning", message: "Multiple traceIds detected in span collection." });
   }
 
+  // The trace model puts a placeholder where a referenced parent is missing
+  const missingParents = new Map();
+  spans.forEach((span) => {
+    if (span?.parentSpanId && !spanIds.has(span.parentSpanId)) {
+      missingParents.set(span.parentSpanId, (missingParents.get(span.parentSpanId) ?? 0) + 1);
+    }
+  });
+  missingParents.forEach((count, parentSpanId) => {
+    const references = count === 1 ? "1 span references" : `${count} spans reference`;
+    result.warnings.push({ level: "warning", message: `Span "${parentSpanId}" is missing: ${references} it as parent. A placeholder stands in for it.` });
+  });
+
   return result;
 }
 
+// Trace models are immutable once built, so their spans are validated once per model
+const traceValidationCache = new WeakMap();
+
+/**
+ * Validates the spans of a trace model; placeholders for missing spans are left out.
+ * @param {TraceModel} trace - The trace model (uncorrected for clock skew)
+ * @returns {{ errors: Array<{level: string, message: string}>, warnings: Array<{level: string, message: string}> }}
+ */
+function getTraceValidation(trace) {
+  let validation = traceValidationCache.get(trace);
+  if (!validation) {
+    const spans = Array.from(trace.spanNodes.values()).filter((node) => !node.isPlaceholder).map((node) => node.span);
+    validation = validateTraceSpans(spans);
+    traceValidationCache.set(trace, validation);
+  }
+  return validation;
+}
+
 function renderValidationBanner(host, validation) {
   const hasErrors = validation.errors?.length;
   const hasWarnings = validation.warnings?.length;
   if (!hasErrors && !hasWarnings) {
-    return;
+    return null;
   }
 
   const banner = h('section', { className: 'validation-banner' });
@@ -618,7 +897,9 @@ function renderValidationBanner(host, validation) {
     list.append(item);
   });
 
+  banner.append(list);
   host.append(banner);
+  return banner;
 }
 
 /**
@@ -702,7 +983,12 @@ export function formatTimestamp(value) {
   }).format(date);
 }
 
-function renderSpanEvents(events) {
+/**
+ * Renders span events with their attributes.
+ * @param {TraceEvent[]} events - Span events
+ * @returns {HTMLElement|null} The events section, or null without events
+ */
+export function renderSpanEvents(events) {
   if (!events || events.length === 0) {
     return null;
   }
@@ -761,6 +1047,8 @@ function createMarkerTooltip(data) {
     };
     const card = createLogCard(eventLogRow);
     tooltip.append(card);
+  } else if (data.type === 'exception') {
+    tooltip.append(renderExceptionPreview(data.exception));
   }
 
   return tooltip;
@@ -782,7 +1070,8 @@ function collectMarkers(node) {
     });
   });
 
-  const spanEvents = node.events || [];
+  // Exception events get their own marker, previewing the exception
+  const spanEvents = (node.events || []).filter((event) => event.name !== 'exception');
   spanEvents.forEach((event) => {
     markers.push({
       timestamp: event.timeUnixNano,
@@ -791,6 +1080,16 @@ function collectMarkers(node) {
     });
   });
 
+  getSpanExceptions(node)
+    .filter((exception) => exception.source === 'event')
+    .forEach((exception) => {
+      markers.push({
+        timestamp: exception.timeUnixNano,
+        type: 'exception',
+        exception,
+      });
+    });
+
   return markers;
 }
 
@@ -1062,20 +1361,82 @@ export function renderSpanMarkers(node, trace, timeWindow = { start: 0, end: 100
  */
 // Log rendering moved to ui/components/spanLogs.js
 
-export function renderSpanDetails(node) {
+/**
+ * Renders the details of a span: exceptions, links, logs and actions.
+ * @param {TraceSpanNode} node - The span node
+ * @param {TraceModel=} trace - The trace model, needed to resolve span links
+ * @returns {HTMLElement} The details element
+ */
+export function renderSpanDetails(node, trace = null) {
   const details = h('div', { className: 'trace-span__details' });
 
+  if (node.isPlaceholder) {
+    const references = node.children.length === 1 ? '1 span references' : `${node.children.length} spans reference`;
+    details.append(h('p', {
+      className: 'trace-span__placeholder-note',
+      textContent: `Span ${node.span.spanId} was not received (dropped by sampling or lost on the way). ` +
+        `${references} it as parent; its time range is inferred from them.`
+    }));
+  }
+
+  // Triage starts from the exception, so it comes first
+  const exceptionsSection = renderSpanExceptions(node);
+  if (exceptionsSection) {
+    details.append(exceptionsSection);
+  }
+
+  const linksSection = trace ? renderSpanLinks(node, trace) : null;
+  if (linksSection) {
+    details.append(linksSection);
+  }
+
   // Add logs section (logs already merged during metamodel build)
   const logsSection = renderSpanLogs(node);
   if (logsSection) {
     details.append(logsSection);
   }
 
+  details.append(renderSpanActions(node, trace));
+
   return details;
 }
 
 /**
- * Collects all descendant spans recursively from a node.
+ * Renders the span actions row (open the span in the inspector, export the span and its
+ * descendants as OTLP JSON).
+ * @param {TraceSpanNode} node - The span node
+ * @param {TraceModel} [trace] - The trace model, which may be clock skew corrected
+ * @returns {HTMLElement} The actions element
+ */
+function renderSpanActions(node, trace) {
+  const inspectButton = h('button', {
+    type: 'button',
+    className: 'trace-span__action',
+    textContent: 'Inspect',
+    title: 'Show the span in the inspector panel'
+  });
+  onClick(inspectButton, () => {
+    inspectButton.closest('.trace-span-list')?._inspectSpan?.(node.span.spanId);
+  });
+
+  const exportButton = h('button', {
+    type: 'button',
+    className: 'trace-span__action',
+    textContent: node.children.length > 0 ? 'Export subtree (OTLP JSON)' : 'Export span (OTLP JSON)'
+  });
+  onClick(exportButton, () => {
+    // Exports hold the recorded timestamps, not the clock skew corrected ones
+    const { spans, logs } = collectSubtree(getRecordedNode(trace, node));
+    const fileName = createOtlpExportFileName(node.span.traceId, `subtree-${node.span.spanId}`);
+    downloadFile(fileName, JSON.stringify(buildOtlpJson(spans, logs), null, 2), "application/json");
+  });
+
+  return h('div', { className: 'trace-span__actions' }, inspectButton, exportButton);
+}
+
+/**
+ * Collects all descendant spans recursively from a node. Async children and their subtrees
+ * are skipped, since the span is not waiting on them.
  * @param {TraceSpanNode} node - The span node
  * @param {Array<{start: number, end: number}>} result - Array to collect results
  * @returns {Array<{start: number, end: number}>} Array of {start, end} time ranges in nanoseconds
@@ -1083,6 +1444,9 @@ export function renderSpanDetails(node) {
 function collectDescendantTimeRanges(node, result = []) {
   // Add direct children
   node.children.forEach((child) => {
+    if (isAsyncChild(node, child)) {
+      return;
+    }
     const start = toNumberTimestamp(child.span.startTimeUnixNano);
     const end = toNumberTimestamp(child.span.endTimeUnixNano);
     result.push({ start, end });
@@ -1233,6 +1597,44 @@ export function renderRunlineX(node, trace, timeWindow) {
   return container;
 }
 
+/**
+ * Renders the parts of a span bar where the span itself is on the critical path
+ * (the time it was not waiting on a child).
+ * @param {TraceSpanNode} node - The span node
+ * @param {TraceModel} trace - The trace model
+ * @param {Object} timeWindow - Time window { start: 0-100, end: 0-100 }
+ * @returns {HTMLElement|null} Container with critical path segments, or null if the span is not on the path
+ */
+export function renderCriticalPathSegments(node, trace, timeWindow) {
+  const ranges = computeCriticalPath(trace).segments.get(node.span.spanId);
+  if (!ranges) {
+    return null;
+  }
+
+  const { visibleSpanStart, visibleSpanEnd, visibleSpanDuration } = calculateVisibleSpanWindow(trace, node.span, timeWindow);
+  const container = h('div', { className: 'trace-span__critical-path' });
+  if (visibleSpanDuration <= 0) {
+    return container;
+  }
+
+  ranges.forEach((range) => {
+    const start = Math.max(range.start, visibleSpanStart);
+    const end = Math.min(range.end, visibleSpanEnd);
+    if (end <= start) {
+      return;
+    }
+    container.append(h('div', {
+      className: 'trace-span__critical-segment',
+      style: {
+        left: `${calculateMarkerPosition(start, visibleSpanStart, visibleSpanDuration)}%`,
+        width: `${((end - start) / visibleSpanDuration) * 100}%`
+      }
+    }));
+  });
+
+  return container;
+}
+
 /**
  * Calculates the vertical distance from parent summary to child span by measuring actual DOM elements.
  * @param {HTMLElement} parentSummary - The parent summary element
@@ -1344,7 +1746,7 @@ function getChildBarData(parentContainer, childSpanId, position, timelineAreaRec
  */
 function updateRunlineElement(line, parentSummary, parentContainer, timelineAreaRect, barBottomOffset) {
   const childSpanId = line.dataset.childSpanId;
-  const position = line.dataset.position; // "start" or "end"
+  const position = line.dataset.position; // "start", "end" or "handoff"
 
   if (!childSpanId) {
     line.style.display = 'none';
@@ -1357,7 +1759,10 @@ function updateRunlineElement(line, parentSummary, parentContainer, timelineArea
     return;
   }
 
-  const { xPosition } = childBarData;
+  // Handoff lines sit at the parent's end, a percentage of the timeline area
+  const xPosition = position === "handoff"
+    ? (timelineAreaRect.width * Number(line.dataset.percent)) / 100
+    : childBarData.xPosition;
   const totalDistance = calculateChildVerticalOffset(parentSummary, childSpanId);
 
   // One span-line height = 32px (2rem)
@@ -1392,9 +1797,49 @@ export function updateRunlineYHeights(parentSummary) {
   });
 }
 
+/**
+ * Positions runline-y elements from a computed row layout instead of measuring child
+ * elements. Used by the virtualized span list, where most child rows are not in the DOM.
+ * @param {HTMLElement} parentSummary - The parent summary element
+ * @param {TraceModel} trace - The trace model
+ * @param {Object} timeWindow - Time window { start: 0-100, end: 0-100 }
+ * @param {(childSpanId: string) => number|null} getChildDistance - Distance in px from the parent
+ *   summary top to the child row top, or null when the child row is not shown
+ */
+export function updateRunlineYFromLayout(parentSummary, trace, timeWindow, getChildDistance) {
+  const containerData = getRunlineContainerData(parentSummary);
+  if (!containerData) {
+    return;
+  }
+
+  const { runlineYContainer, timelineAreaRect, barBottomOffset } = containerData;
+  // One span-line height = 32px (2rem), same as updateRunlineElement
+  const spanLineHeight = 32;
+
+  runlineYContainer.querySelectorAll('.trace-span__runline-y').forEach((line) => {
+    const childSpanId = line.dataset.childSpanId;
+    const childNode = trace.spanNodes.get(childSpanId);
+    const totalDistance = childNode ? getChildDistance(childSpanId) : null;
+    if (totalDistance === null || totalDistance <= barBottomOffset) {
+      line.style.display = 'none';
+      return;
+    }
+
+    const offsets = computeSpanOffsets(trace, childNode.span, timeWindow);
+    const percent = line.dataset.position === "handoff"
+      ? Number(line.dataset.percent)
+      : line.dataset.position === "end" ? offsets.startPercent + offsets.widthPercent : offsets.startPercent;
+    line.style.top = `${barBottomOffset - 1}px`;
+    line.style.height = `${totalDistance - barBottomOffset + spanLineHeight - 4}px`;
+    line.style.left = `${(timelineAreaRect.width * percent) / 100}px`;
+    line.style.display = 'block';
+  });
+}
+
 /**
  * Renders runline-y elements in the timeline area connecting parent span to child spans.
- * Creates vertical lines from the parent span bar down to each child span bar.
+ * Creates vertical lines from the parent span bar down to each child span bar; async
+ * children get one dashed line instead of start and end lines.
  * @param {TraceSpanNode} node - The parent span node
  * @param {TraceModel} trace - The trace model
  * @param {Object} timeWindow - Time window { start: 0-100, end: 0-100 }
@@ -1452,6 +1897,22 @@ export function renderRunlineY(node, trace, timeWindow, expandedChildren = new S
     // Calculate position relative to visible parent span (0-100% of parent span width)
     const positionPercentWithinParent = ((visibleChildStart - visibleParentStart) / visibleParentDuration) * 100;
 
+    // The parent hands async work off instead of waiting on it: a single dashed connector, which
+    // drops from the parent's end when the child starts later (the gap is drawn on the child row)
+    if (isAsyncChild(node, child)) {
+      const isHandoff = childStart > parentSpanEnd;
+      if (isHandoff || (positionPercentWithinParent >= 0 && positionPercentWithinParent <= 100)) {
+        container.append(h('div', {
+          className: 'trace-span__runline-y trace-span__runline-y--async',
+          dataset: isHandoff
+            ? { childSpanId: child.span.spanId, position: 'handoff', percent: String(parentOffsets.endPercent) }
+            : { childSpanId: child.span.spanId, position: 'start' },
+          style: { display: 'none' } // Hidden until height and position are set
+        }));
+      }
+      return;
+    }
+
     // Create line at start position if child start is within visible parent span
     if (positionPercentWithinParent >= 0 && positionPercentWithinParent <= 100) {
       // Create line at start - X position will be set based on actual child DOM position after children are rendered
@@ -1518,9 +1979,13 @@ function createLiveCursorMarker(trace, timeWindow, listContainer) {
   });
   marker.append(bottomLabel);
 
+  // One more decimal than the tick labels, the cursor sits between ticks
+  const { startNano, durationNano } = getWindowRange(trace, timeWindow);
+  const formatTime = createTickFormatter(chooseTickStep(durationNano, 3), startNano, startNano + durationNano, 1);
+
   const updatePosition = (positionPercent, timestamp) => {
     marker.style.left = `${positionPercent}%`;
-    const timestampText = formatDurationMs(timestamp);
+    const timestampText = formatTime(timestamp);
     topLabel.textContent = timestampText;
     bottomLabel.textContent = timestampText;
   };
@@ -1541,17 +2006,21 @@ function createLiveCursorMarker(trace, timeWindow, listContainer) {
 function setupCursorTracking(listContainer, liveCursorMarker, trace, viewState) {
   let isHovering = false;
 
-  // Get the timeline markers container to calculate the timeline area bounds
-  const timelineMarkersContainer = listContainer.querySelector(".trace-timeline-markers");
-  if (!timelineMarkersContainer) {
-    return;
-  }
+  // Stored on the list so patchTrace can swap in a newer trace and marker
+  listContainer._cursorData = { trace, liveCursorMarker };
 
   const handleMouseMove = (e) => {
     if (!isHovering) {
       return;
     }
 
+    const { trace, liveCursorMarker } = listContainer._cursorData;
+    // Get the timeline markers container to calculate the timeline area bounds
+    const timelineMarkersContainer = listContainer.querySelector(".trace-timeline-markers");
+    if (!timelineMarkersContainer) {
+      return;
+    }
+
     const markersRect = timelineMarkersContainer.getBoundingClientRect();
 
     // Check if cursor is over the timeline area (not the service column)
@@ -1594,7 +2063,7 @@ function setupCursorTracking(listContainer, liveCursorMarker, trace, viewState)
 
   const handleMouseLeave = () => {
     isHovering = false;
-    liveCursorMarker.marker.style.display = "none";
+    listContainer._cursorData.liveCursorMarker.marker.style.display = "none";
   };
 
   // Listen for mouse events on the list container
@@ -1604,14 +2073,46 @@ function setupCursorTracking(listContainer, liveCursorMarker, trace, viewState)
 }
 
 
+/**
+ * Creates the preview (minimap) whose selection drives the time window.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {TraceModel} trace - The trace model
+ * @param {Object} viewState - The view state
+ * @returns {{ element: HTMLElement, update: Function }} Preview component
+ */
+function createTracePreview(host, trace, viewState) {
+  return renderTracePreview(
+    trace,
+    (startPercent, endPercent) => {
+      // Update time window in view state
+      viewState.timeWindowStart = startPercent;
+      viewState.timeWindowEnd = endPercent;
+      // Re-render the trace with the new time window
+      renderTrace(host, trace, viewState);
+    },
+    {
+      start: viewState.timeWindowStart ?? 0,
+      end: viewState.timeWindowEnd ?? 100,
+    },
+    isCriticalPathShown(viewState) ? computeCriticalPath(trace).spanIds : null
+  );
+}
+
 export function renderTrace(host, trace, state) {
   const viewState = state ?? createViewState(trace);
   if (!host) {
     return viewState;
   }
+  // Swaps in the clock skew corrected copy of the trace, or back to the original, then the copy
+  // grouped by the chosen resource attribute; grouping is the outermost layer
+  trace = resolveClockSkew(trace.ungroupedTrace ?? trace, viewState.skewCorrectedServices ?? []);
+  trace = resolveResourceGrouping(trace, viewState.colorBy);
+  // Read by the timeline zoom and pan handlers bound on the host
+  host._timelineData = { trace, viewState };
   // Validate and prune state using state manager
   pruneInvalidState(trace, viewState);
   ensureChildrenExpanded(trace, viewState);
+  refreshSearchMatches(trace, viewState);
 
   host.innerHTML = "";
 
@@ -1619,21 +2120,23 @@ export function renderTrace(host, trace, state) {
   const header = renderTraceHeader(trace, viewState, host, renderTrace);
   host.append(header);
 
+  // Problems with the received spans, e.g. missing parents drawn as placeholders
+  renderValidationBanner(host, getTraceValidation(trace.uncorrectedTrace ?? trace));
+
+  // Per service and per operation self time, collapsed by default
+  const timeBreakdown = renderTimeBreakdown(trace, viewState);
+  if (timeBreakdown) {
+    host.append(timeBreakdown);
+  }
+
+  // Resource attributes per service, collapsed by default
+  const resourcePanel = renderResourcePanel(trace, viewState, host, renderTrace);
+  if (resourcePanel) {
+    host.append(resourcePanel);
+  }
+
   // Add preview trace component
-  const preview = renderTracePreview(
-    trace,
-    (startPercent, endPercent) => {
-      // Update time window in view state
-      viewState.timeWindowStart = startPercent;
-      viewState.timeWindowEnd = endPercent;
-      // Re-render the trace with the new time window
-      renderTrace(host, trace, viewState);
-    },
-    {
-      start: viewState.timeWindowStart ?? 0,
-      end: viewState.timeWindowEnd ?? 100,
-    }
-  );
+  const preview = createTracePreview(host, trace, viewState);
   host.append(preview.element);
 
   // Store preview reference in viewState for later updates
@@ -1649,13 +2152,57 @@ export function renderTrace(host, trace, state) {
   const timelineMarkers = createTimelineMarkers(trace, 3, timeWindow);
   list.append(timelineMarkers);
 
-  trace.roots.forEach((root, index) => {
-    const isLast = index === trace.roots.length - 1;
-    list.append(renderSpanNode(trace, root, viewState, isLast, -1));
-  });
+  // Critical path only, errors only and matches only modes list their paths fully expanded; the expansion
+  // of the full list is set aside meanwhile and comes back when the mode is left
+  let listTrace = trace;
+  if (viewState.viewMode === 'critical-path') {
+    listTrace = buildCriticalPathTrace(trace);
+  } else if (viewState.viewMode === 'errors') {
+    listTrace = buildErrorPathTrace(trace);
+  } else if (viewState.viewMode === 'matches' && viewState.searchQuery) {
+    listTrace = buildSearchMatchTrace(trace, viewState.searchMatches);
+  }
+  if (listTrace !== trace) {
+    expandFilteredList(listTrace, viewState);
+  } else {
+    restoreUnfilteredExpansion(viewState);
+  }
+
+  if (listTrace.spanCount > VIRTUALIZE_SPAN_THRESHOLD) {
+    // Only the rows near the viewport are rendered for very large traces
+    list._virtualList = renderVirtualSpanList(list, listTrace, viewState);
+  } else {
+    listTrace.roots.forEach((root, index) => {
+      const isLast = index === listTrace.roots.length - 1;
+      list.append(renderSpanNode(listTrace, root, viewState, isLast, -1));
+    });
+    highlightSearchMatches(list, viewState);
+  }
+  setupSpanTreeNavigation(list, viewState);
+  // Span link buttons in the details jump to the linked span
+  list._goToSpan = (spanId) => goToSpan(host, trace, viewState, spanId);
+  // The inspect button in the details opens the inspector on its span
+  list._inspectSpan = (spanId) => {
+    if (!viewState.showSpanInspector) {
+      viewState.showSpanInspector = true;
+      renderTrace(host, trace, viewState);
+    }
+    // Focusing the row shows it in the inspector
+    goToSpan(host, trace, viewState, spanId);
+  };
 
   host.append(list);
 
+  // Docked next to the span list; shows the focused span and follows focus without a re-render
+  host.classList.toggle('trace-viewer--inspecting', Boolean(viewState.showSpanInspector));
+  list._spanInspector = null;
+  if (viewState.showSpanInspector) {
+    list._spanInspector = renderSpanInspector(trace, viewState, host, renderTrace);
+    host.append(list._spanInspector.element);
+    onEvent(list, 'focusin', () => list._spanInspector?.update());
+  }
+  setupSpanLinkConnectors(list, listTrace);
+
   // Create and add the splitter for resizing service column
   // Splitter is positioned relative to trace-span-list, not the full trace-viewer
   const splitter = createSplitter(list);
@@ -1669,71 +2216,310 @@ export function renderTrace(host, trace, state) {
   // Pass viewState so cursor tracking can access updated time window
   setupCursorTracking(list, liveCursorMarker, trace, viewState);
 
+  notifyStateChange(viewState);
   return viewState;
 }
 
 /**
- * Formats duration in nanoseconds to milliseconds string
- * @param {number} durationNano - Duration in nanoseconds
- * @returns {string} Formatted duration in ms
+ * Checks whether two trace models assign the same color index to every service.
+ * @param {TraceModel} a - Trace model
+ * @param {TraceModel} b - Trace model
+ * @returns {boolean}
  */
-function formatDurationMs(durationNano) {
-  const ms = durationNano / 1e6;
-  return `${ms.toFixed(2)} ms`;
+function hasSameServiceMapping(a, b) {
+  if (a.serviceNameMapping.size !== b.serviceNameMapping.size) {
+    return false;
+  }
+  return Array.from(a.serviceNameMapping).every(([name, index]) => b.serviceNameMapping.get(name) === index);
 }
 
 /**
- * Creates vertical timeline markers showing time divisions/swimlanes.
- * @param {TraceModel} trace - The trace model
- * @param {number} numberOfSwimlanes - Number of swimlanes (default 3)
- * @returns {HTMLElement} Container element with timeline markers
+ * Finds the rendered element of a span directly inside a container.
+ * @param {HTMLElement} container - Element to search in
+ * @param {string} spanId - Span ID
+ * @returns {HTMLElement|null}
  */
-function createTimelineMarkers(trace, numberOfSwimlanes = 3, timeWindow = { start: 0, end: 100 }) {
-  const container = h('div', { className: 'trace-timeline-markers' });
+function findSpanElement(container, spanId) {
+  return container.querySelector(`.trace-span[data-span-id="${CSS.escape(spanId)}"]`);
+}
+
+/**
+ * Updates an already rendered trace after spans or logs were added (live streaming)
+ * without re-rendering every span row. Subtrees whose children or logs changed are
+ * rebuilt; every other row only gets its timeline offsets recomputed.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {TraceModel} previousTrace - The trace model that is currently rendered
+ * @param {TraceModel} trace - The new trace model
+ * @param {Object} viewState - The view state
+ * @param {Set<string>} changedSpanIds - Spans that were added or received logs
+ * @returns {boolean} False when the change cannot be patched and needs a full render
+ */
+export function patchTrace(host, previousTrace, trace, viewState, changedSpanIds) {
+  const list = host?.querySelector(".trace-span-list");
+  const timeWindow = {
+    start: viewState.timeWindowStart ?? 0,
+    end: viewState.timeWindowEnd ?? 100,
+  };
+  // A zoomed window is relative to the old bounds, and a new service shifts every color index.
+  // Virtualized lists only render a window of rows, so a full render is cheap there.
+  // New spans can move the critical path anywhere in the tree and change the clock skew of whole services.
+  // A new failing span marks all of its ancestors, not just the rebuilt parent subtree.
+  // Grouping by a resource attribute draws a regrouped copy of the trace.
+  const isSkewCorrected = viewState.skewCorrectedServices?.size > 0 &&
+    (detectClockSkew(previousTrace).offsets.size > 0 || detectClockSkew(trace).offsets.size > 0);
+  const previousErrorPaths = computeErrorPaths(previousTrace).containsErrorIds;
+  const hasNewErrorPaths = Array.from(computeErrorPaths(trace).containsErrorIds).some((spanId) => !previousErrorPaths.has(spanId));
+  if (!list || list._virtualList || trace.spanCount > VIRTUALIZE_SPAN_THRESHOLD || isCriticalPathShown(viewState) || isSkewCorrected ||
+    viewState.viewMode === 'errors' || viewState.viewMode === 'matches' || hasNewErrorPaths || viewState.colorBy ||
+    timeWindow.start !== 0 || timeWindow.end !== 100 || !hasSameServiceMapping(previousTrace, trace)) {
+    return false;
+  }
+
+  // Spans that just got their first children start expanded, like on the initial render
+  trace.spanNodes.forEach((node, spanId) => {
+    if (node.children.length > 0 && !previousTrace.spanNodes.get(spanId)?.children.length) {
+      viewState.expandedChildren.add(spanId);
+    }
+  });
+
+  // A new span is drawn by its parent's subtree, a span with new logs by its own row
+  const rebuildIds = new Set();
+  changedSpanIds.forEach((spanId) => {
+    const node = trace.spanNodes.get(spanId);
+    if (!node) {
+      return;
+    }
+    const parentId = node.span.parentSpanId;
+    // A span that replaces its placeholder is new too: its parent may not be the placeholder's
+    const isNew = !previousTrace.spanNodes.has(spanId) || previousTrace.spanNodes.get(spanId).isPlaceholder;
+    rebuildIds.add(isNew && parentId && trace.spanNodes.has(parentId) ? parentId : spanId);
+  });
+
+  const hasRebuiltAncestor = (node) => {
+    let parent = trace.spanNodes.get(node.span.parentSpanId);
+    while (parent) {
+      if (rebuildIds.has(parent.span.spanId)) {
+        return true;
+      }
+      parent = trace.spanNodes.get(parent.span.parentSpanId);
+    }
+    return false;
+  };
+
+  const splitter = list.querySelector(":scope > .trace-viewer__splitter");
+  for (const spanId of rebuildIds) {
+    const node = trace.spanNodes.get(spanId);
+    if (hasRebuiltAncestor(node)) {
+      continue;
+    }
+    const siblings = trace.spanNodes.get(node.span.parentSpanId)?.children || trace.roots;
+    const isLast = siblings[siblings.length - 1] === node;
+    const element = renderSpanNode(trace, node, viewState, isLast, node.depth - 1);
+    const existing = findSpanElement(list, spanId);
+    if (existing) {
+      existing.replaceWith(element);
+    } else if (trace.roots.includes(node)) {
+      const nextRoot = trace.roots.slice(trace.roots.indexOf(node) + 1)
+        .map((root) => list.querySelector(`:scope > .trace-span[data-span-id="${CSS.escape(root.span.spanId)}"]`))
+        .find(Boolean);
+      list.insertBefore(element, nextRoot || splitter);
+    } else {
+      return false;
+    }
+  }
+
+  // Former roots whose parent arrived are now drawn inside the parent's subtree
+  const rootIds = new Set(trace.roots.map((root) => root.span.spanId));
+  list.querySelectorAll(":scope > .trace-span").forEach((element) => {
+    if (!rootIds.has(element.dataset.spanId)) {
+      element.remove();
+    }
+  });
+  const rootElements = list.querySelectorAll(":scope > .trace-span");
+  rootElements.forEach((element, index) => {
+    element.classList.toggle("trace-span--last-child", index === rootElements.length - 1);
+  });
+
+  // The trace bounds may have grown, so every bar is repositioned
+  list.querySelectorAll(".trace-span").forEach((element) => {
+    const node = trace.spanNodes.get(element.dataset.spanId);
+    const timeline = element.querySelector(":scope > .trace-span__summary > .trace-span__timeline");
+    if (!node || !timeline) {
+      return;
+    }
+    const offsets = computeSpanOffsets(trace, node.span, timeWindow);
+    timeline.style.setProperty("--span-start", `${offsets.startPercent}%`);
+    timeline.style.setProperty("--span-width", `${offsets.widthPercent}%`);
+    const bar = timeline.querySelector(".trace-span__bar");
+    if (bar) {
+      bar.style.display = offsets.widthPercent === 0 ? "none" : "";
+      bar._markerData = { node, trace, timeWindow };
+    }
+  });
+
+  // New spans may match the active search
+  refreshSearchMatches(trace, viewState);
+  highlightSearchMatches(list, viewState);
+  syncTreeTabStop(list, viewState);
+
+  const searchSelection = captureSearchFocus(host);
+  host.querySelector(":scope > .trace-header")?.replaceWith(renderTraceHeader(trace, viewState, host, renderTrace));
+  restoreSearchFocus(host, searchSelection);
+
+  // Arriving spans can fill in missing parents or reference new ones
+  host.querySelector(":scope > .validation-banner")?.remove();
+  const validationBanner = renderValidationBanner(host, getTraceValidation(trace));
+  if (validationBanner) {
+    host.querySelector(":scope > .trace-header")?.after(validationBanner);
+  }
+
+  // New spans add to the self times
+  const timeBreakdown = renderTimeBreakdown(trace, viewState);
+  const previousBreakdown = host.querySelector(":scope > .trace-breakdown");
+  if (!timeBreakdown) {
+    previousBreakdown?.remove();
+  } else if (previousBreakdown) {
+    previousBreakdown.replaceWith(timeBreakdown);
+  } else {
+    (validationBanner ?? host.querySelector(":scope > .trace-header"))?.after(timeBreakdown);
+  }
+
+  // New spans can bring new services or instances
+  const resourcePanel = renderResourcePanel(trace, viewState, host, renderTrace);
+  const previousResourcePanel = host.querySelector(":scope > .trace-resources");
+  if (!resourcePanel) {
+    previousResourcePanel?.remove();
+  } else if (previousResourcePanel) {
+    previousResourcePanel.replaceWith(resourcePanel);
+  } else {
+    (timeBreakdown ?? validationBanner ?? host.querySelector(":scope > .trace-header"))?.after(resourcePanel);
+  }
+
+  const preview = createTracePreview(host, trace, viewState);
+  viewState.preview?.element?.replaceWith(preview.element);
+  viewState.preview = preview;
+
+  const timelineMarkers = createTimelineMarkers(trace, 3, timeWindow);
+  const liveCursorMarker = createLiveCursorMarker(trace, timeWindow, list);
+  timelineMarkers.append(liveCursorMarker.marker);
+  list.querySelector(":scope > .trace-timeline-markers")?.replaceWith(timelineMarkers);
+  list._cursorData = { trace, liveCursorMarker };
+  host._timelineData = { trace, viewState };
+  // The inspected span may have received logs or children
+  list._spanInspector?.update(trace);
+
+  if (viewState.showRunlineY) {
+    requestAnimationFrame(() => {
+      list.querySelectorAll(".trace-span--children-open > .trace-span__summary").forEach(updateRunlineYHeights);
+    });
+  }
+
+  return true;
+}
+
+// Units of tick labels, largest first
+const TICK_UNITS = [
+  { name: "s", nano: 1e9 },
+  { name: "ms", nano: 1e6 },
+  { name: "μs", nano: 1e3 },
+  { name: "ns", nano: 1 },
+];
+
+// Beyond this many decimals, labels count from the window start instead of the trace start
+const MAX_TICK_DECIMALS = 2;
+
+/**
+ * Picks a round tick step (1, 2 or 5 times a power of ten nanoseconds) that divides a
+ * duration into about the given number of intervals.
+ * @param {number} durationNano - Visible duration in nanoseconds
+ * @param {number} targetTicks - Wanted number of intervals
+ * @returns {number} Step in nanoseconds
+ */
+function chooseTickStep(durationNano, targetTicks) {
+  const rawStep = Math.max(durationNano / Math.max(targetTicks, 1), 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const factor = [1, 2, 5, 10].find((candidate) => candidate * magnitude >= rawStep) ?? 10;
+  return factor * magnitude;
+}
+
+/**
+ * Creates a formatter for the time offsets of a window, with decimals that fit the tick step.
+ * Labels count from the trace start while that keeps them short (e.g. 1.2 s, 150 ms). Zoomed
+ * into a small window far from the trace start, they count from the window start in a unit
+ * that fits the window instead (e.g. +20 μs rather than 5.00002 s).
+ * @param {number} stepNano - Tick step in nanoseconds
+ * @param {number} windowStartNano - Window start, relative to the trace start
+ * @param {number} windowEndNano - Window end, relative to the trace start
+ * @param {number} [extraDigits] - Additional decimals, e.g. for the cursor label
+ * @returns {(offsetNano: number) => string}
+ */
+function createTickFormatter(stepNano, windowStartNano, windowEndNano, extraDigits = 0) {
+  const findUnit = (nano) => TICK_UNITS.find((candidate) => nano >= candidate.nano) ?? TICK_UNITS[TICK_UNITS.length - 1];
+  const countDigits = (unit) => (unit.nano === 1 ? 0 : Math.max(0, Math.ceil(Math.log10(unit.nano / stepNano) - 1e-9)));
+
+  let unit = findUnit(Math.max(windowEndNano, stepNano));
+  let originNano = 0;
+  if (countDigits(unit) > MAX_TICK_DECIMALS) {
+    unit = findUnit(Math.max(windowEndNano - windowStartNano, stepNano));
+    originNano = windowStartNano;
+  }
+  const digits = countDigits(unit) + extraDigits;
+  const prefix = originNano > 0 ? '+' : '';
+  return (offsetNano) => `${prefix}${((offsetNano - originNano) / unit.nano).toFixed(digits)} ${unit.name}`;
+}
 
+/**
+ * Computes the visible part of a trace for a time window.
+ * @param {TraceModel} trace - The trace model
+ * @param {{start: number, end: number}} timeWindow - Time window in percent of the trace
+ * @returns {{ startNano: number, durationNano: number }} Window start (relative to the trace start) and duration
+ */
+function getWindowRange(trace, timeWindow) {
   const totalDuration = trace.durationNano || Math.max(
     toNumberTimestamp(trace.endTimeUnixNano) - toNumberTimestamp(trace.startTimeUnixNano),
     1
   );
-
-  // Calculate time window boundaries
   const windowStart = timeWindow.start || 0;
   const windowEnd = timeWindow.end || 100;
-  const windowWidth = windowEnd - windowStart;
-  const windowDuration = (totalDuration * windowWidth) / 100;
-  const windowStartTime = (totalDuration * windowStart) / 100;
+  return {
+    startNano: (totalDuration * windowStart) / 100,
+    durationNano: (totalDuration * (windowEnd - windowStart)) / 100,
+  };
+}
 
-  // Create markers at intervals within the time window
-  const interval = 100 / numberOfSwimlanes;
-  for (let i = 0; i <= numberOfSwimlanes; i++) {
-    // Position relative to window (0-100% within window)
-    const position = i * interval;
+/**
+ * Creates vertical timeline markers at round time offsets from the trace start. The step
+ * and label unit (ns, μs, ms, s) adapt to the zoomed time window; see createTickFormatter.
+ * @param {TraceModel} trace - The trace model
+ * @param {number} targetTicks - About how many intervals to divide the window into (default 3)
+ * @param {{start: number, end: number}} timeWindow - Time window in percent of the trace
+ * @returns {HTMLElement} Container element with timeline markers
+ */
+function createTimelineMarkers(trace, targetTicks = 3, timeWindow = { start: 0, end: 100 }) {
+  const container = h('div', { className: 'trace-timeline-markers' });
 
-    // Calculate absolute position in trace (0-100%)
-    const absolutePosition = windowStart + (position * windowWidth) / 100;
+  const { startNano, durationNano } = getWindowRange(trace, timeWindow);
+  if (durationNano <= 0) {
+    return container;
+  }
+  const step = chooseTickStep(durationNano, targetTicks);
+  const formatTick = createTickFormatter(step, startNano, startNano + durationNano);
 
-    // Calculate absolute time delta from trace start (not window start)
-    const absoluteTimeDelta = (totalDuration * absolutePosition) / 100;
+  // Ticks on multiples of the step, so labels stay put while panning
+  const firstTick = Math.ceil(startNano / step) * step;
+  for (let index = 0; firstTick + index * step <= startNano + durationNano; index++) {
+    const tick = firstTick + index * step;
+    // Position relative to window (0-100% within window)
+    const position = ((tick - startNano) / durationNano) * 100;
+    const label = formatTick(tick);
 
     const marker = h('div', {
       className: 'trace-timeline-marker',
       style: { left: `${position}%` }
-    });
-
-    // Add top label
-    const topLabel = h('div', {
-      className: 'trace-timeline-marker__label trace-timeline-marker__label--top',
-      textContent: formatDurationMs(absoluteTimeDelta)
-    });
-    marker.append(topLabel);
-
-    // Add bottom label
-    const bottomLabel = h('div', {
-      className: 'trace-timeline-marker__label trace-timeline-marker__label--bottom',
-      textContent: formatDurationMs(absoluteTimeDelta)
-    });
-    marker.append(bottomLabel);
-
+    },
+      h('div', { className: 'trace-timeline-marker__label trace-timeline-marker__label--top', textContent: label }),
+      h('div', { className: 'trace-timeline-marker__label trace-timeline-marker__label--bottom', textContent: label })
+    );
     container.append(marker);
   }
 
@@ -1903,46 +2689,150 @@ function updatePreview(host, viewState, previewComponent) {
   }
 }
 
+/**
+ * Checks whether a span is listed in the errors only view.
+ * @param {TraceModel} trace - The trace model
+ * @param {string} spanId - Span ID
+ * @returns {boolean}
+ */
+function isOnErrorPath(trace, spanId) {
+  const { failingSpanIds, containsErrorIds } = computeErrorPaths(trace);
+  return failingSpanIds.has(spanId) || containsErrorIds.has(spanId);
+}
+
+/**
+ * Shows a span and moves focus to it, expanding its ancestors (and leaving the critical path,
+ * errors only or matches only view when the span is not listed there) first.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {TraceModel} trace - The trace model
+ * @param {Object} viewState - The view state
+ * @param {string} spanId - Span ID
+ */
+function goToSpan(host, trace, viewState, spanId) {
+  const isListed = viewState.viewMode === 'critical-path' ? computeCriticalPath(trace).spanIds.has(spanId)
+    : viewState.viewMode === 'errors' ? isOnErrorPath(trace, spanId)
+      : viewState.viewMode === 'matches' && viewState.searchQuery ? buildSearchMatchTrace(trace, viewState.searchMatches).spanNodes.has(spanId)
+        : true;
+  if (!isListed) {
+    viewState.viewMode = 'all';
+    // Before expanding the ancestors, which the restored expansion would otherwise undo
+    restoreUnfilteredExpansion(viewState);
+  }
+  const needsRender = expandAncestors(trace, viewState, spanId) || !isListed;
+  if (needsRender) {
+    renderTrace(host, trace, viewState);
+  }
+  const list = host.querySelector(":scope > .trace-span-list");
+  if (list) {
+    focusSpan(list, spanId, viewState);
+  }
+}
+
+/**
+ * Scrolls a span row into view without moving focus.
+ * @param {HTMLElement} host - The trace viewer host
+ * @param {string} spanId - Span ID
+ */
+function revealSpan(host, spanId) {
+  const list = host.querySelector(":scope > .trace-span-list");
+  if (!list) {
+    return;
+  }
+  list._virtualList?.scrollToSpan(spanId);
+  requestAnimationFrame(() => {
+    findSpanElement(list, spanId)?.querySelector(":scope > .trace-span__summary")?.scrollIntoView({ block: "center" });
+  });
+}
+
 /**
  * Creates the update function for the trace viewer.
  * @param {HTMLElement} host - The host element
- * @param {TraceModel} trace - The trace model
- * @param {Object} viewState - The view state (mutable reference)
- * @param {Object} previewComponent - The preview component reference (mutable reference)
+ * @param {() => TraceModel} getTrace - Returns the current trace model
+ * @param {() => Object} getViewState - Returns the current view state
  * @returns {Function} The update function
  */
-function createTraceViewerUpdate(host, trace, viewState, previewComponent) {
+function createTraceViewerUpdate(host, getTrace, getViewState) {
   return () => {
     console.log("[Trace Viewer Update] update() method called!");
     void host.offsetWidth;
 
+    const viewState = getViewState();
+    // Colors follow the groups of the displayed trace
+    const trace = resolveResourceGrouping(getTrace(), viewState?.colorBy ?? null);
     updateServiceColors(host, trace);
     updateSpanBars(host, trace);
-    updatePreview(host, viewState, previewComponent);
+    updatePreview(host, viewState, viewState?.preview);
   };
 }
 
+/**
+ * Initializes the trace viewer.
+ * @param {HTMLElement} host - The host element
+ * @param {TraceSpan[]} spans - Spans of one trace
+ * @param {LogRow[]=} logRows - Log rows (defaults to the sample log rows)
+ * @returns {{ render: Function, update: Function, appendSpans: (spans: TraceSpan[], logRows?: LogRow[]) => void }}
+ */
 export function initTraceViewer(host, spans, logRows = null) {
   console.log("[initTraceViewer] Called, host:", host);
   if (!host) {
     console.log("[initTraceViewer] No host, returning empty functions");
-    return { render: () => { }, update: () => { } };
+    return { render: () => { }, update: () => { }, appendSpans: () => { } };
   }
 
-  const finalLogRows = logRows || getSampleLogRows();
-  const trace = buildTraceModel(spans, finalLogRows);
-  let viewState = renderTrace(host, trace);
-  let previewComponent = viewState.preview;
-  console.log("[initTraceViewer] Trace viewer initialized, previewComponent:", previewComponent);
+  // Own copies so spans appended later (live streaming) don't depend on the caller's arrays
+  const allSpans = [...spans];
+  const allLogRows = [...(logRows || getSampleLogRows())];
+  let trace = buildTraceModel(allSpans, allLogRows);
+
+  // Restore the view of a shared link or of the last visit, and keep it saved
+  const initialState = createViewState(trace);
+  const isRestored = restoreViewState(trace, initialState);
+  initialState.onChange = (state) => saveViewState(trace, state);
+
+  let viewState = renderTrace(host, trace, initialState);
+  setupSearchShortcut(host);
+  setupTimelineZoom(host, renderTrace);
+  if (isRestored && viewState.focusedSpanId) {
+    revealSpan(host, viewState.focusedSpanId);
+  }
+  console.log("[initTraceViewer] Trace viewer initialized, previewComponent:", viewState.preview);
 
-  const update = createTraceViewerUpdate(host, trace, viewState, previewComponent);
+  const update = createTraceViewerUpdate(host, () => trace, () => viewState);
 
   const render = () => {
     viewState = renderTrace(host, trace, viewState);
-    previewComponent = viewState.preview;
   };
 
-  return { render, update };
+  /**
+   * Adds spans and logs that arrived after the initial render and patches only the affected rows.
+   * @param {TraceSpan[]} newSpans - Spans to add (already known span IDs are ignored)
+   * @param {LogRow[]=} newLogRows - Log rows to add
+   */
+  const appendSpans = (newSpans, newLogRows = []) => {
+    const knownSpanIds = new Set(allSpans.map((span) => span.spanId));
+    const addedSpans = newSpans.filter((span) => !knownSpanIds.has(span.spanId));
+    if (addedSpans.length === 0 && newLogRows.length === 0) {
+      return;
+    }
+    allSpans.push(...addedSpans);
+    allLogRows.push(...newLogRows);
+
+    const previousTrace = trace;
+    trace = buildTraceModel(allSpans, allLogRows);
+
+    const changedSpanIds = new Set(addedSpans.map((span) => span.spanId));
+    newLogRows.forEach((logRow) => {
+      if (logRow.spanId) {
+        changedSpanIds.add(logRow.spanId);
+      }
+    });
+
+    if (previousTrace.spanCount === 0 || !patchTrace(host, previousTrace, trace, viewState, changedSpanIds)) {
+      render();
+    }
+  };
+
+  return { render, update, appendSpans };
 }
 
 // sampleTraceSpans moved to ui/sampleData.js
@@ -0,0 +1,375 @@
+/**
+ * NeonVibes Trace Diff Component
+ * Compares two traces (e.g. before and after a deploy) side by side. Spans are aligned
+ * structurally: children of matched spans are paired by service, component and operation
+ * (from the metaModel descriptions), repeated calls in start time order. Rows show both
+ * bars, the duration delta, and spans that were added, are missing or started failing.
+ */
+
+import { h } from "../core/dom.js";
+import { onChange, onClick } from "../core/events.js";
+import { buildTraceModel, computeSpanOffsets, formatDurationNano, toNumberTimestamp } from "./trace.js";
+import { normalizeServiceAndGroup } from "./metaModel.js";
+
+/**
+ * @typedef {import("./trace.js").TraceModel} TraceModel
+ * @typedef {import("./trace.js").TraceSpanNode} TraceSpanNode
+ * @typedef {import("./trace.js").TraceSummary} TraceSummary
+ */
+
+/**
+ * @typedef {Object} TraceDiffNode
+ * @property {'matched'|'added'|'removed'} status - Matched in both traces, only in the comparison, or only in the baseline
+ * @property {TraceSpanNode|null} base - Span in the baseline trace
+ * @property {TraceSpanNode|null} compare - Span in the comparison trace
+ * @property {{ service: string, component: string, operation: string }} label - What the span does
+ * @property {number} depth - Depth in the aligned tree
+ * @property {number} deltaNano - Comparison minus baseline duration (0 unless matched)
+ * @property {number} deltaRatio - deltaNano relative to the baseline duration
+ * @property {'slower'|'faster'|null} trend - Set when the delta is significant
+ * @property {'new'|'fixed'|null} errorChange - Error status that appeared or disappeared
+ * @property {boolean} hasChanges - Whether this span or any descendant changed
+ * @property {TraceDiffNode[]} children - Aligned children
+ */
+
+/**
+ * @typedef {Object} TraceDiff
+ * @property {TraceModel} base - Baseline trace
+ * @property {TraceModel} compare - Comparison trace
+ * @property {TraceDiffNode[]} roots - Aligned roots
+ * @property {{ matched: number, added: number, removed: number, slower: number, faster: number, newErrors: number, fixedErrors: number }} stats - Change counts
+ */
+
+// A delta counts as a change when it is at least this share of the baseline duration...
+const SIGNIFICANT_DELTA_RATIO = 0.1;
+// ...and at least this long, so microsecond jitter on tiny spans is not reported
+const SIGNIFICANT_DELTA_NANO = 1e6;
+
+/**
+ * Gets the duration of a span
+ * @param {TraceSpanNode} node - Span node
+ * @returns {number} Duration in nanoseconds
+ */
+function getDuration(node) {
+  return Math.max(0, toNumberTimestamp(node.span.endTimeUnixNano) - toNumberTimestamp(node.span.startTimeUnixNano));
+}
+
+/**
+ * Checks if a span has an error status.
+ * @param {TraceSpanNode|null} node - Span node
+ * @returns {boolean}
+ */
+function hasError(node) {
+  return node?.span.status?.code === "STATUS_CODE_ERROR";
+}
+
+/**
+ * Describes a span by service, component and operation
+ * @param {TraceSpanNode} node - Span node
+ * @returns {{ service: string, component: string, operation: string }}
+ */
+function getSpanLabel(node) {
+  const description = node.description || {};
+  const { groupName, componentName } = normalizeServiceAndGroup(description);
+  return {
+    service: groupName || node.span.resource?.serviceName || "unknown-service",
+    component: componentName,
+    operation: description.operation || node.span.name || "",
+  };
+}
+
+/**
+ * Builds the key spans are matched on
+ * @param {TraceSpanNode} node - Span node
+ * @returns {string}
+ */
+function getMatchKey(node) {
+  const { service, component, operation } = getSpanLabel(node);
+  return `${service}\u0000${component}\u0000${operation}`;
+}
+
+/**
+ * Pairs sibling spans of both traces. Spans with the same key are paired in start time order;
+ * the result is ordered by start offset within each trace so added spans land near their peers.
+ * @param {TraceSpanNode[]} baseNodes - Siblings in the baseline
+ * @param {TraceSpanNode[]} compareNodes - Siblings in the comparison
+ * @param {number} baseStart - Baseline trace start (ns)
+ * @param {number} compareStart - Comparison trace start (ns)
+ * @returns {Array<{ base: TraceSpanNode|null, compare: TraceSpanNode|null }>}
+ */
+function matchSiblings(baseNodes, compareNodes, baseStart, compareStart) {
+  const unmatchedByKey = new Map();
+  compareNodes.forEach((node) => {
+    const key = getMatchKey(node);
+    if (!unmatchedByKey.has(key)) {
+      unmatchedByKey.set(key, []);
+    }
+    unmatchedByKey.get(key).push(node);
+  });
+
+  const pairs = baseNodes.map((base) => ({ base, compare: unmatchedByKey.get(getMatchKey(base))?.shift() ?? null }));
+  unmatchedByKey.forEach((nodes) => {
+    nodes.forEach((compare) => pairs.push({ base: null, compare }));
+  });
+
+  const getOffset = ({ base, compare }) => compare
+    ? toNumberTimestamp(compare.span.startTimeUnixNano) - compareStart
+    : toNumberTimestamp(base.span.startTimeUnixNano) - baseStart;
+  return pairs.sort((a, b) => getOffset(a) - getOffset(b));
+}
+
+/**
+ * Aligns two traces and computes per-span changes.
+ * @param {TraceModel} base - Baseline trace
+ * @param {TraceModel} compare - Comparison trace
+ * @returns {TraceDiff}
+ */
+export function diffTraces(base, compare) {
+  const stats = { matched: 0, added: 0, removed: 0, slower: 0, faster: 0, newErrors: 0, fixedErrors: 0 };
+  const baseStart = toNumberTimestamp(base.startTimeUnixNano);
+  const compareStart = toNumberTimestamp(compare.startTimeUnixNano);
+
+  const buildDiffNode = ({ base: baseNode, compare: compareNode }, depth) => {
+    const status = baseNode && compareNode ? "matched" : compareNode ? "added" : "removed";
+    const diffNode = {
+      status,
+      base: baseNode,
+      compare: compareNode,
+      label: getSpanLabel(compareNode || baseNode),
+      depth,
+      deltaNano: 0,
+      deltaRatio: 0,
+      trend: null,
+      errorChange: null,
+      hasChanges: status !== "matched",
+      children: [],
+    };
+    stats[status]++;
+
+    if (status === "matched") {
+      const baseDuration = getDuration(baseNode);
+      diffNode.deltaNano = getDuration(compareNode) - baseDuration;
+      diffNode.deltaRatio = baseDuration > 0 ? diffNode.deltaNano / baseDuration : 0;
+      const isSignificant = Math.abs(diffNode.deltaNano) >= SIGNIFICANT_DELTA_NANO &&
+        (baseDuration === 0 || Math.abs(diffNode.deltaRatio) >= SIGNIFICANT_DELTA_RATIO);
+      if (isSignificant) {
+        diffNode.trend = diffNode.deltaNano > 0 ? "slower" : "faster";
+        stats[diffNode.trend]++;
+        diffNode.hasChanges = true;
+      }
+    }
+
+    if (hasError(compareNode) && !hasError(baseNode)) {
+      diffNode.errorChange = "new";
+      stats.newErrors++;
+      diffNode.hasChanges = true;
+    } else if (hasError(baseNode) && !hasError(compareNode) && status === "matched") {
+      diffNode.errorChange = "fixed";
+      stats.fixedErrors++;
+      diffNode.hasChanges = true;
+    }
+
+    diffNode.children = matchSiblings(baseNode?.children || [], compareNode?.children || [], baseStart, compareStart)
+      .map((pair) => buildDiffNode(pair, depth + 1));
+    diffNode.hasChanges = diffNode.hasChanges || diffNode.children.some((child) => child.hasChanges);
+    return diffNode;
+  };
+
+  const roots = matchSiblings(base.roots, compare.roots, baseStart, compareStart).map((pair) => buildDiffNode(pair, 0));
+  return { base, compare, roots, stats };
+}
+
+/**
+ * Formats a signed duration delta, with the relative change when known
+ * @param {number} deltaNano - Delta in nanoseconds
+ * @param {number|null} ratio - Delta relative to the baseline, null to omit
+ * @returns {string}
+ */
+function formatDelta(deltaNano, ratio = null) {
+  const sign = deltaNano > 0 ? "+" : deltaNano < 0 ? "−" : "±";
+  const text = `${sign}${formatDurationNano(Math.abs(deltaNano))}`;
+  if (ratio === null || !Number.isFinite(ratio) || deltaNano === 0) {
+    return text;
+  }
+  return `${text} (${sign}${Math.abs(ratio * 100).toFixed(0)}%)`;
+}
+
+/**
+ * Renders the bar of one side, positioned within that side's trace.
+ * @param {TraceSpanNode|null} node - Span node, null when the span is missing on this side
+ * @param {TraceModel} trace - Trace the span belongs to
+ * @returns {HTMLElement}
+ */
+function createSideCell(node, trace) {
+  if (!node) {
+    return h('div', { className: 'trace-diff__side trace-diff__side--empty', textContent: '—' });
+  }
+  const offsets = computeSpanOffsets(trace, node.span);
+  return h('div', { className: 'trace-diff__side' },
+    h('div', { className: 'trace-diff__track' },
+      h('div', {
+        className: hasError(node) ? 'trace-diff__bar trace-diff__bar--error' : 'trace-diff__bar',
+        style: { left: `${offsets.startPercent}%`, width: `${Math.max(offsets.widthPercent, 0.5)}%` }
+      })
+    ),
+    h('span', { className: 'trace-diff__duration', textContent: formatDurationNano(getDuration(node)) })
+  );
+}
+
+/**
+ * Renders the change badges of a row.
+ * @param {TraceDiffNode} diffNode - Diff node
+ * @returns {HTMLElement[]}
+ */
+function createBadges(diffNode) {
+  const badges = [];
+  if (diffNode.status === "added") {
+    badges.push(h('span', { className: 'trace-diff__badge trace-diff__badge--added', textContent: 'Added' }));
+  } else if (diffNode.status === "removed") {
+    badges.push(h('span', { className: 'trace-diff__badge trace-diff__badge--removed', textContent: 'Missing' }));
+  }
+  if (diffNode.errorChange === "new") {
+    badges.push(h('span', { className: 'trace-diff__badge trace-diff__badge--error', textContent: 'New error' }));
+  } else if (diffNode.errorChange === "fixed") {
+    badges.push(h('span', { className: 'trace-diff__badge trace-diff__badge--fixed', textContent: 'Error fixed' }));
+  }
+  return badges;
+}
+
+/**
+ * Renders one aligned span row.
+ * @param {TraceDiffNode} diffNode - Diff node
+ * @param {TraceDiff} diff - The whole diff
+ * @returns {HTMLElement}
+ */
+function createDiffRow(diffNode, diff) {
+  const classNames = ['trace-diff__row', `trace-diff__row--${diffNode.status}`];
+  if (diffNode.trend) {
+    classNames.push(`trace-diff__row--${diffNode.trend}`);
+  }
+  if (diffNode.errorChange) {
+    classNames.push(`trace-diff__row--error-${diffNode.errorChange}`);
+  }
+
+  const { service, component, operation } = diffNode.label;
+  return h('div', { className: classNames.join(' '), role: 'row' },
+    h('div', {
+      className: 'trace-diff__span',
+      role: 'cell',
+      title: `${service} ${component} ${operation}`,
+      style: { '--depth': String(diffNode.depth) }
+    },
+      h('span', { className: 'trace-diff__service', textContent: service }),
+      h('span', { className: 'trace-diff__operation', textContent: operation }),
+      ...createBadges(diffNode)
+    ),
+    createSideCell(diffNode.base, diff.base),
+    createSideCell(diffNode.compare, diff.compare),
+    h('div', {
+      className: 'trace-diff__delta',
+      role: 'cell',
+      textContent: diffNode.status === "matched" ? formatDelta(diffNode.deltaNano, diffNode.deltaRatio) : ''
+    })
+  );
+}
+
+/**
+ * Renders the comparison summary line.
+ * @param {TraceDiff} diff - The diff
+ * @returns {HTMLElement}
+ */
+function createDiffSummary(diff) {
+  const { stats } = diff;
+  const totalDelta = diff.compare.durationNano - diff.base.durationNano;
+  const totalRatio = diff.base.durationNano > 0 ? totalDelta / diff.base.durationNano : null;
+  const parts = [
+    `Duration ${formatDurationNano(diff.base.durationNano)} → ${formatDurationNano(diff.compare.durationNano)} (${formatDelta(totalDelta, totalRatio)})`,
+    `${stats.slower} slower`,
+    `${stats.faster} faster`,
+    `${stats.added} added`,
+    `${stats.removed} missing`,
+    `${stats.newErrors} new errors`,
+  ];
+  if (stats.fixedErrors > 0) {
+    parts.push(`${stats.fixedErrors} errors fixed`);
+  }
+  return h('p', { className: 'trace-diff__summary', textContent: parts.join(' • ') });
+}
+
+/**
+ * Initializes the trace diff view.
+ * @param {HTMLElement} host - The host element
+ * @param {TraceSummary} baseSummary - Baseline trace (e.g. before a deploy)
+ * @param {TraceSummary} compareSummary - Trace compared against the baseline
+ * @param {{ onClose?: () => void }=} options - Close callback
+ * @returns {{ render: Function, update: Function }} Component with render and update methods
+ */
+export function initTraceDiff(host, baseSummary, compareSummary, options = {}) {
+  if (!host) {
+    return { render: () => {}, update: () => {} };
+  }
+
+  const diff = diffTraces(buildTraceModel(baseSummary.spans), buildTraceModel(compareSummary.spans));
+  let onlyChanges = false;
+  console.log("[traceDiff initTraceDiff] Compared", baseSummary.traceId, "with", compareSummary.traceId, diff.stats);
+
+  const render = () => {
+    host.innerHTML = '';
+    host.className = 'trace-diff';
+
+    const onlyChangesCheckbox = h('input', { type: 'checkbox', checked: onlyChanges });
+    onChange(onlyChangesCheckbox, (e) => {
+      onlyChanges = e.target.checked;
+      render();
+    });
+    const closeButton = h('button', { type: 'button', className: 'trace-control trace-control--button', textContent: 'Close comparison' });
+    onClick(closeButton, () => {
+      host.innerHTML = '';
+      host.className = 'trace-diff';
+      options.onClose?.();
+    });
+
+    host.append(
+      h('header', { className: 'trace-header' },
+        h('h3', { textContent: 'Trace comparison' }),
+        h('p', {
+          className: 'trace-meta',
+          textContent: `Baseline ${baseSummary.traceId} (${baseSummary.rootName || 'unknown root'}) → ${compareSummary.traceId} (${compareSummary.rootName || 'unknown root'})`
+        }),
+        createDiffSummary(diff),
+        h('div', { className: 'trace-controls' },
+          h('label', { className: 'trace-control' }, onlyChangesCheckbox, ' Only changes'),
+          closeButton
+        )
+      )
+    );
+
+    const rows = [];
+    const addRows = (diffNode) => {
+      if (onlyChanges && !diffNode.hasChanges) {
+        return;
+      }
+      rows.push(createDiffRow(diffNode, diff));
+      diffNode.children.forEach(addRows);
+    };
+    diff.roots.forEach(addRows);
+
+    host.append(h('div', { className: 'trace-diff__table', role: 'table' },
+      h('div', { className: 'trace-diff__row trace-diff__row--head', role: 'row' },
+        h('div', { role: 'columnheader', textContent: 'Span' }),
+        h('div', { role: 'columnheader', textContent: 'Baseline' }),
+        h('div', { role: 'columnheader', textContent: 'Comparison' }),
+        h('div', { role: 'columnheader', className: 'trace-diff__delta', textContent: 'Δ Duration' })
+      ),
+      rows.length > 0 ? rows : h('p', { className: 'trace-diff__empty', textContent: 'No differences' })
+    ));
+  };
+
+  const update = () => {
+    // Bars use CSS variables for colors, nothing to recompute on palette change
+  };
+
+  render();
+
+  return { render, update };
+}
@@ -0,0 +1,177 @@
+/**
+ * Trace Import
+ * Detects the format of a local trace file (or pasted text) and dispatches to the matching parser:
+ * NeonVibes/OTLP JSON, OTLP JSON Lines (collector file exporter), binary OTLP protobuf,
+ * Jaeger query API JSON and Zipkin v2 JSON.
+ */
+
+import { parseOtelData, isOtlpJson } from "./otelParser.js";
+import { parseOtelProtobuf, isGzip, gunzip } from "./otlpProtobuf.js";
+import { parseJaegerData, isJaegerJson } from "./jaegerParser.js";
+import { parseZipkinData, isZipkinJson } from "./zipkinParser.js";
+import { createVirtualSpanLogs } from "./logs.js";
+
+export const TraceFormat = Object.freeze({
+  OTEL_JSON: "otel-json",
+  OTEL_JSONL: "otel-jsonl",
+  OTLP_PROTOBUF: "otlp-protobuf",
+  JAEGER: "jaeger",
+  ZIPKIN: "zipkin",
+});
+
+const PROTOBUF_EXTENSIONS = [".pb", ".binpb", ".protobuf", ".pb.gz", ".binpb.gz"];
+
+/**
+ * @typedef {Object} ImportedTrace
+ * @property {import("./trace.js").TraceSpan[]} spans - Parsed spans
+ * @property {import("./logs.js").LogRow[]} logs - Parsed logs including virtual span logs
+ * @property {string} format - One of TraceFormat
+ */
+
+/**
+ * Detects which parser understands a parsed JSON value
+ * @param {any} data - Parsed JSON
+ * @returns {string|null} TraceFormat or null when unknown
+ */
+export function detectJsonTraceFormat(data) {
+  if (isZipkinJson(data)) {
+    return TraceFormat.ZIPKIN;
+  }
+  if (isJaegerJson(data)) {
+    return TraceFormat.JAEGER;
+  }
+  const payloads = Array.isArray(data) ? data : [data];
+  const isOtel = payloads.some((payload) =>
+    isOtlpJson(payload) || Array.isArray(payload?.spans) || Array.isArray(payload?.logs)
+  );
+  return isOtel ? TraceFormat.OTEL_JSON : null;
+}
+
+/**
+ * Parses JSON data of any supported format
+ * @param {any} data - Parsed JSON
+ * @returns {{ spans: Array, logs: Array, format: string }}
+ */
+function parseJsonTraceData(data) {
+  const format = detectJsonTraceFormat(data);
+  switch (format) {
+    case TraceFormat.ZIPKIN:
+      return { ...parseZipkinData(data), format };
+    case TraceFormat.JAEGER:
+      return { ...parseJaegerData(data), format };
+    case TraceFormat.OTEL_JSON:
+      return { ...parseOtelData(data), format };
+    default:
+      throw new Error("Unrecognized trace format: expected OTLP, Jaeger or Zipkin JSON");
+  }
+}
+
+/**
+ * Parses JSON Lines where every line is one OTLP export request
+ * @param {string} text - JSONL text
+ * @returns {Object[]} Parsed lines
+ */
+function parseJsonLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Adds the virtual span start/event/end log rows the log views expect
+ * @param {{ spans: Array, logs: Array, format: string }} parsed - Parsed trace data
+ * @returns {ImportedTrace}
+ */
+function withVirtualSpanLogs(parsed) {
+  const virtualLogs = parsed.spans.flatMap((span) => createVirtualSpanLogs(span));
+  return { ...parsed, logs: [...parsed.logs, ...virtualLogs] };
+}
+
+/**
+ * Parses trace text (a file's contents or pasted clipboard text)
+ * @param {string} text - JSON or JSON Lines text
+ * @returns {ImportedTrace}
+ */
+export function parseTraceText(text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) {
+    throw new Error("No trace data to import");
+  }
+
+  let parsed;
+  try {
+    parsed = parseJsonTraceData(JSON.parse(trimmed));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+    // Not a single JSON document, try JSON Lines (collector file exporter output)
+    const lines = parseJsonLines(trimmed);
+    parsed = { ...parseOtelData(lines), format: TraceFormat.OTEL_JSONL };
+  }
+
+  if (parsed.spans.length === 0 && parsed.logs.length === 0) {
+    throw new Error("The data was recognized but contains no spans or logs");
+  }
+  return withVirtualSpanLogs(parsed);
+}
+
+/**
+ * Decodes bytes as JSON text, or returns null when they look like binary protobuf.
+ * Binary ids make protobuf payloads invalid UTF-8 in practice, so a strict decode
+ * plus a JSON-looking first character is enough to tell them apart.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} Text or null
+ */
+function decodeJsonText(bytes) {
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (error) {
+    return null;
+  }
+  const firstChar = text.trimStart()[0];
+  return firstChar === "{" || firstChar === "[" ? text : null;
+}
+
+/**
+ * Parses raw file contents of any supported format
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents (optionally gzip compressed)
+ * @param {string=} fileName - File name, used as a format hint
+ * @returns {Promise<ImportedTrace>}
+ */
+export async function parseTraceBuffer(buffer, fileName = "") {
+  let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (isGzip(bytes)) {
+    bytes = await gunzip(bytes);
+  }
+
+  const lowerName = fileName.toLowerCase();
+  const text = PROTOBUF_EXTENSIONS.some((extension) => lowerName.endsWith(extension)) ? null : decodeJsonText(bytes);
+  if (text !== null) {
+    return parseTraceText(text);
+  }
+
+  const parsed = await parseOtelProtobuf(bytes);
+  if (parsed.spans.length === 0 && parsed.logs.length === 0) {
+    throw new Error("The protobuf payload contains no spans or logs");
+  }
+  return withVirtualSpanLogs({ ...parsed, format: TraceFormat.OTLP_PROTOBUF });
+}
+
+/**
+ * Parses a user-provided File (file picker or drag-and-drop)
+ * @param {File|Blob} file - File to import
+ * @returns {Promise<ImportedTrace>}
+ */
+export async function parseTraceFile(file) {
+  return parseTraceBuffer(await file.arrayBuffer(), file.name || "");
+}
@@ -0,0 +1,169 @@
+/**
+ * NeonVibes Trace List Component
+ * Lists every trace of a loaded session (root span, duration, span and error counts)
+ * and lets the user pick the one the trace components display. A trace can be pinned as
+ * comparison baseline (it stays pinned when another file is opened) and compared with others.
+ */
+
+import { h } from "../core/dom.js";
+import { onClick, onClickStop, onEvent } from "../core/events.js";
+import { formatDurationNano, formatTimestamp } from "./trace.js";
+
+/**
+ * @typedef {import("./trace.js").TraceSummary} TraceSummary
+ */
+
+/**
+ * Renders one trace row.
+ * @param {TraceSummary} summary - Trace summary
+ * @param {boolean} selected - Whether the row is the selected trace
+ * @param {(summary: TraceSummary) => void} onSelect - Selection handler
+ * @param {HTMLElement|null} compareButton - Baseline/compare button, null when comparing is not enabled
+ * @returns {HTMLElement} Row element
+ */
+function createTraceRow(summary, selected, onSelect, compareButton) {
+  const row = h('tr', {
+    className: selected ? 'trace-list__row trace-list__row--selected' : 'trace-list__row',
+    tabIndex: 0,
+    dataset: { traceId: summary.traceId },
+    'aria-selected': String(selected),
+  },
+    h('td', { className: 'trace-list__root' },
+      h('span', { className: 'trace-list__service', textContent: summary.rootServiceName || 'unknown-service' }),
+      h('span', { className: 'trace-list__name', textContent: summary.rootName || '(missing root span)' })
+    ),
+    h('td', { className: 'trace-list__start', textContent: formatTimestamp(summary.startTimeUnixNano) }),
+    h('td', { className: 'trace-list__number', textContent: formatDurationNano(summary.durationNano) }),
+    h('td', { className: 'trace-list__number', textContent: String(summary.spanCount) }),
+    h('td', {
+      className: summary.errorCount > 0 ? 'trace-list__number trace-list__errors' : 'trace-list__number',
+      textContent: String(summary.errorCount),
+    }),
+    compareButton ? h('td', { className: 'trace-list__compare' }, compareButton) : null
+  );
+
+  onClick(row, () => onSelect(summary));
+  onEvent(row, 'keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      onSelect(summary);
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Creates the button that pins a trace as comparison baseline or compares it with the baseline.
+ * @param {TraceSummary} summary - Trace summary
+ * @param {TraceSummary|null} baseline - Pinned baseline
+ * @param {(summary: TraceSummary) => void} onCompare - Compare handler
+ * @returns {HTMLElement} Button element
+ */
+function createCompareButton(summary, baseline, onCompare) {
+  const isBaseline = baseline?.traceId === summary.traceId;
+  let textContent = 'Set baseline';
+  if (isBaseline) {
+    textContent = 'Baseline';
+  } else if (baseline) {
+    textContent = 'Compare';
+  }
+  const button = h('button', {
+    type: 'button',
+    className: isBaseline ? 'trace-list__compare-button trace-list__compare-button--baseline' : 'trace-list__compare-button',
+    textContent,
+    title: baseline && !isBaseline ? `Compare with baseline ${baseline.traceId}` : 'Pin as baseline to compare other traces with',
+    'aria-pressed': String(isBaseline),
+  });
+  onClickStop(button, () => onCompare(summary));
+  return button;
+}
+
+/**
+ * Initializes the trace list.
+ * @param {HTMLElement} host - The host element
+ * @param {TraceSummary[]} traces - Traces of the session
+ * @param {{ selectedTraceId?: string, onSelect?: (summary: TraceSummary) => void, baseline?: TraceSummary|null, onCompare?: (summary: TraceSummary) => void }=} options -
+ *   Initial selection and selection callback; pinned comparison baseline and compare callback
+ * @returns {{ render: Function, update: Function, setSelected: (traceId: string) => void, setTraces: (traces: TraceSummary[]) => void, setBaseline: (baseline: TraceSummary|null) => void }} Component
+ */
+export function initTraceList(host, traces, options = {}) {
+  if (!host) {
+    return { render: () => {}, update: () => {}, setSelected: () => {}, setTraces: () => {}, setBaseline: () => {} };
+  }
+
+  let selectedTraceId = options.selectedTraceId ?? traces[0]?.traceId ?? null;
+  let baseline = options.baseline ?? null;
+
+  const select = (summary) => {
+    if (summary.traceId === selectedTraceId) {
+      return;
+    }
+    selectedTraceId = summary.traceId;
+    render();
+    host.querySelector('.trace-list__row--selected')?.focus();
+    options.onSelect?.(summary);
+  };
+
+  const render = () => {
+    host.innerHTML = '';
+    host.className = 'trace-list';
+
+    let summaryText = traces.length === 1 ? '1 trace' : `${traces.length} traces`;
+    if (baseline) {
+      summaryText += ` • Baseline: ${baseline.rootName || baseline.traceId}`;
+    }
+    host.append(h('p', { className: 'trace-list__summary', textContent: summaryText }));
+
+    if (traces.length === 0) {
+      return;
+    }
+
+    const table = h('table', { className: 'trace-list__table' },
+      h('thead', {},
+        h('tr', {},
+          h('th', { textContent: 'Root span' }),
+          h('th', { textContent: 'Start' }),
+          h('th', { className: 'trace-list__number', textContent: 'Duration' }),
+          h('th', { className: 'trace-list__number', textContent: 'Spans' }),
+          h('th', { className: 'trace-list__number', textContent: 'Errors' }),
+          options.onCompare ? h('th', { className: 'trace-list__compare', textContent: 'Compare' }) : null
+        )
+      ),
+      h('tbody', {},
+        traces.map((summary) => createTraceRow(
+          summary,
+          summary.traceId === selectedTraceId,
+          select,
+          options.onCompare ? createCompareButton(summary, baseline, options.onCompare) : null
+        ))
+      )
+    );
+
+    host.append(h('div', { className: 'trace-list__scroll' }, table));
+  };
+
+  const update = () => {
+    // Rows use CSS variables for colors, nothing to recompute on palette change
+  };
+
+  const setSelected = (traceId) => {
+    selectedTraceId = traceId;
+    render();
+  };
+
+  // Replaces the listed traces (live streaming) and keeps the current selection
+  const setTraces = (nextTraces) => {
+    traces = nextTraces;
+    render();
+  };
+
+  const setBaseline = (nextBaseline) => {
+    baseline = nextBaseline;
+    render();
+  };
+
+  render();
+
+  return { render, update, setSelected, setTraces, setBaseline };
+}
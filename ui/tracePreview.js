@@ -106,7 +106,7 @@ function getServiceColorCssVar(colorKey, trace) {
   return `--${colorName}-positive-3`;
 }
 
-function createSpanRect(node, trace, index, spanHeight) {
+function createSpanRect(node, trace, index, spanHeight, highlightedSpanIds = null) {
   const offsets = computeSpanOffsets(trace, node.span, { start: 0, end: 100 });
   const colorKey = getColorKeyFromNode(node);
   const cssVar = getServiceColorCssVar(colorKey, trace);
@@ -134,6 +134,9 @@ function createSpanRect(node, trace, index, spanHeight) {
   rect.setAttribute("rx", "0");
   rect.style.setProperty("--span-color", `var(${cssVar})`);
   rect.style.fill = `var(${cssVar})`;
+  if (highlightedSpanIds?.has(node.span.spanId)) {
+    rect.setAttribute("class", "trace-preview__span--highlighted");
+  }
   return rect;
 }
 
@@ -143,10 +146,11 @@ function createSpanRect(node, trace, index, spanHeight) {
  * @param {TraceModel} trace - The trace model
  * @param {Array} allSpans - Array of all span nodes
  * @param {number} spanHeight - The height of each span
+ * @param {Set<string>|null} highlightedSpanIds - Spans to highlight (others are dimmed)
  */
-function renderPreviewSpans(svg, trace, allSpans, spanHeight) {
+function renderPreviewSpans(svg, trace, allSpans, spanHeight, highlightedSpanIds = null) {
   allSpans.forEach((node, index) => {
-    const rect = createSpanRect(node, trace, index, spanHeight);
+    const rect = createSpanRect(node, trace, index, spanHeight, highlightedSpanIds);
     svg.appendChild(rect);
   });
 }
@@ -408,9 +412,10 @@ function setupPreviewMouseHandlers(svg, leftOverlay, rightOverlay, leftMarker, r
  * @param {TraceModel} trace
  * @param {Function} onSelectionChange - Callback when selection changes (start, end) as percentages
  * @param {Object} initialSelection - Initial selection state {start: 0-100, end: 0-100}
+ * @param {Set<string>|null} highlightedSpanIds - Spans to highlight, e.g. the critical path (others are dimmed)
  * @returns {{ element: SVGSVGElement, update: Function }}
  */
-export function renderTracePreview(trace, onSelectionChange = null, initialSelection = null) {
+export function renderTracePreview(trace, onSelectionChange = null, initialSelection = null, highlightedSpanIds = null) {
   // Flatten all spans and calculate dimensions
   const allSpans = flattenAllSpans(trace);
   const rowCount = Math.max(allSpans.length, 1);
@@ -419,7 +424,10 @@ export function renderTracePreview(trace, onSelectionChange = null, initialSelec
   // Create SVG structure
   const svg = createPreviewSVG();
   createPreviewBackground(svg);
-  renderPreviewSpans(svg, trace, allSpans, spanHeight);
+  if (highlightedSpanIds) {
+    svg.classList.add("trace-preview--highlighting");
+  }
+  renderPreviewSpans(svg, trace, allSpans, spanHeight, highlightedSpanIds);
   const { leftOverlay, rightOverlay } = createSelectionOverlays(svg);
   const { leftMarker, rightMarker } = createPreviewMarkers(svg);
 
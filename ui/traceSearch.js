@@ -0,0 +1,224 @@
+/**
+ * Trace Search
+ * Parses span search queries, finds the matching spans of a trace and builds the trace
+ * model of the matches only view.
+ *
+ * A query is a list of whitespace separated terms that must all match:
+ * - free text matches span name, service, component, span kind or status (substring)
+ * - `name=`, `service=`, `component=`, `kind=`, `status=` and `span=` match those fields
+ * - any other `key=value` matches a span, resource or instrumentation scope attribute with that key
+ * Values are case-insensitive, `*` is a wildcard, and quotes keep spaces in a term
+ * (e.g. `db.system=postgresql status=error "GET /basket"`).
+ */
+
+import { normalizeAnyValue, LogAnyValueKind } from "./logs.js";
+import { formatAnyValueInline } from "./attributes.js";
+
+/**
+ * @typedef {{ key: string|null, value: string }} SpanQueryTerm
+ */
+
+// Fields free text searches
+const TEXT_FIELD_GETTERS = {
+  name: (node) => [node.span.name],
+  service: (node) => [node.span.resource?.serviceName, node.description?.groupName],
+  component: (node) => [node.description?.componentName],
+  kind: (node) => [node.span.kind, node.span.kind?.replace("SPAN_KIND_", "")],
+  status: (node) => [node.span.status?.code, node.span.status?.code?.replace("STATUS_CODE_", "")],
+};
+
+// Span IDs only match `span=`: short terms would otherwise hit any ID containing them
+const FIELD_GETTERS = {
+  ...TEXT_FIELD_GETTERS,
+  span: (node) => [node.span.spanId],
+};
+
+/**
+ * Splits a query into terms, keeping quoted parts together
+ * @param {string} query - Search text
+ * @returns {SpanQueryTerm[]} Parsed terms
+ */
+export function parseSpanQuery(query) {
+  const tokens = (query || "").match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  return tokens
+    .map((token) => token.replace(/"/g, ""))
+    .filter(Boolean)
+    .map((token) => {
+      const separator = token.indexOf("=");
+      if (separator > 0) {
+        return { key: token.slice(0, separator).toLowerCase(), value: token.slice(separator + 1).toLowerCase() };
+      }
+      return { key: null, value: token.toLowerCase() };
+    });
+}
+
+/**
+ * Compiles a value pattern (with `*` wildcards) into an exact, case-insensitive matcher
+ * @param {string} pattern - Lowercase pattern
+ * @returns {(text: string) => boolean}
+ */
+function compilePattern(pattern) {
+  if (!pattern.includes("*")) {
+    return (text) => text === pattern;
+  }
+  const escaped = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  // Multiline values match too (dotAll)
+  const regex = new RegExp(`^${escaped.join(".*")}$`, "s");
+  return (text) => regex.test(text);
+}
+
+/**
+ * Formats an attribute value the way queries compare it
+ * @param {import("./logs.js").LogAnyValue} anyValue - Attribute value
+ * @returns {string}
+ */
+function formatAttributeText(anyValue) {
+  const value = normalizeAnyValue(anyValue);
+  return value.kind === LogAnyValueKind.EMPTY ? "" : formatAnyValueInline(value);
+}
+
+/**
+ * Reads an attribute of a span (span attributes first, then resource and scope attributes) as text
+ * @param {import("./trace.js").TraceSpanNode} node - Span node
+ * @param {string} key - Lowercase attribute key
+ * @returns {string|null} Lowercase value or null when the span has no such attribute
+ */
+function findAttributeText(node, key) {
+  const attributes = [
+    ...(node.span.attributes || []),
+    ...(node.span.resource?.attributes || []),
+    ...(node.span.instrumentationScope?.attributes || []),
+  ];
+  const attribute = attributes.find((candidate) => String(candidate.key).toLowerCase() === key);
+  return attribute ? formatAttributeText(attribute.value).toLowerCase() : null;
+}
+
+/**
+ * Builds the query term matching spans with an attribute value, e.g. for "filter by this value"
+ * @param {string} key - Attribute key
+ * @param {import("./logs.js").LogAnyValue} anyValue - Attribute value
+ * @returns {string} Term, quoted when it contains spaces
+ */
+export function formatAttributeTerm(key, anyValue) {
+  // Quotes can't be escaped in a query and search inputs drop line breaks; the wildcard matches both
+  const term = `${key}=${formatAttributeText(anyValue)}`.replace(/["\r\n]/g, "*");
+  return /\s/.test(term) ? `"${term}"` : term;
+}
+
+/**
+ * Checks whether a span node matches one term
+ * @param {import("./trace.js").TraceSpanNode} node - Span node
+ * @param {SpanQueryTerm} term - Query term
+ * @returns {boolean}
+ */
+function matchesTerm(node, term) {
+  if (term.key === null) {
+    return Object.values(TEXT_FIELD_GETTERS).some((getter) =>
+      getter(node).some((text) => text && String(text).toLowerCase().includes(term.value))
+    );
+  }
+
+  const matches = compilePattern(term.value);
+  const getter = FIELD_GETTERS[term.key];
+  if (getter) {
+    return getter(node).some((text) => text && matches(String(text).toLowerCase()));
+  }
+  const attributeText = findAttributeText(node, term.key);
+  return attributeText !== null && matches(attributeText);
+}
+
+/**
+ * Finds the spans matching a query, in tree (display) order
+ * @param {import("./trace.js").TraceModel} trace - Trace model
+ * @param {string} query - Search text
+ * @returns {string[]} Span IDs of the matching spans
+ */
+export function findMatchingSpans(trace, query) {
+  const terms = parseSpanQuery(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+  const visit = (node) => {
+    if (terms.every((term) => matchesTerm(node, term))) {
+      matches.push(node.span.spanId);
+    }
+    node.children.forEach(visit);
+  };
+  trace.roots.forEach(visit);
+  return matches;
+}
+
+/**
+ * Re-runs the active search against a (possibly changed) trace, keeping the current
+ * match selected when it still matches.
+ * @param {import("./trace.js").TraceModel} trace - Trace model
+ * @param {import("../core/stateManager.js").TraceViewState} viewState - The view state
+ */
+export function refreshSearchMatches(trace, viewState) {
+  if (!viewState.searchQuery) {
+    viewState.searchMatches = [];
+    viewState.searchIndex = 0;
+    return;
+  }
+  const currentId = viewState.searchMatches?.[viewState.searchIndex];
+  viewState.searchMatches = findMatchingSpans(trace, viewState.searchQuery);
+  viewState.searchIndex = Math.max(0, viewState.searchMatches.indexOf(currentId));
+}
+
+/**
+ * Marks the matching span rows in a rendered span list
+ * @param {HTMLElement} list - The `.trace-span-list` element
+ * @param {import("../core/stateManager.js").TraceViewState} viewState - The view state
+ * @returns {HTMLElement|null} Row of the current match
+ */
+export function highlightSearchMatches(list, viewState) {
+  const matches = new Set(viewState.searchMatches || []);
+  const currentId = viewState.searchMatches?.[viewState.searchIndex] ?? null;
+  let currentElement = null;
+
+  list.querySelectorAll(".trace-span").forEach((element) => {
+    const spanId = element.dataset.spanId;
+    element.classList.toggle("trace-span--search-match", matches.has(spanId));
+    element.classList.toggle("trace-span--search-current", spanId === currentId);
+    if (spanId === currentId) {
+      currentElement = element;
+    }
+  });
+
+  return currentElement;
+}
+
+/**
+ * Builds a trace model that only contains the matching spans and the spans that contain them.
+ * Nodes are copies with their children filtered; spans and trace bounds are shared with the
+ * full trace so bars keep their positions. `sourceTrace` points back to the full trace.
+ * @param {import("./trace.js").TraceModel} trace - Trace model
+ * @param {string[]} spanIds - Span IDs of the matches
+ * @returns {import("./trace.js").TraceModel & { sourceTrace: import("./trace.js").TraceModel }}
+ */
+export function buildSearchMatchTrace(trace, spanIds) {
+  const listedIds = new Set();
+  spanIds.forEach((spanId) => {
+    let node = trace.spanNodes.get(spanId);
+    while (node && !listedIds.has(node.span.spanId)) {
+      listedIds.add(node.span.spanId);
+      node = trace.spanNodes.get(node.span.parentSpanId);
+    }
+  });
+  const isListed = (node) => listedIds.has(node.span.spanId);
+  const spanNodes = new Map();
+
+  const copyNode = (node) => {
+    const copy = {
+      ...node,
+      children: node.children.filter(isListed).map(copyNode),
+    };
+    spanNodes.set(node.span.spanId, copy);
+    return copy;
+  };
+
+  const roots = trace.roots.filter(isListed).map(copyNode);
+  return { ...trace, roots, spanNodes, spanCount: spanNodes.size, sourceTrace: trace };
+}
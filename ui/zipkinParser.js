@@ -0,0 +1,188 @@
+/**
+ * Zipkin Data Parser
+ * Converts Zipkin v2 JSON span lists (POST /api/v2/spans, GET /api/v2/trace/{id})
+ * to the internal span model.
+ */
+
+import { createTraceSpan, SpanKind } from "./trace.js";
+
+const SPAN_KIND_BY_ZIPKIN_KIND = {
+  SERVER: SpanKind.SERVER,
+  CLIENT: SpanKind.CLIENT,
+  PRODUCER: SpanKind.PRODUCER,
+  CONSUMER: SpanKind.CONSUMER,
+};
+
+// Tags the Zipkin exporters use to carry span fields we map onto the span model directly
+const MAPPED_SPAN_TAGS = new Set([
+  "error",
+  "otel.status_code",
+  "otel.status_description",
+  "otel.library.name",
+  "otel.library.version",
+  "otel.scope.name",
+  "otel.scope.version",
+]);
+
+/**
+ * Converts Zipkin microsecond timestamps to nanoseconds
+ * @param {number|undefined} micros - Timestamp or duration in microseconds
+ * @returns {number} Nanoseconds
+ */
+function microsToNanos(micros) {
+  return Math.round(Number(micros || 0) * 1000);
+}
+
+/**
+ * Creates a string attribute
+ * @param {string} key - Attribute key
+ * @param {string|number} value - Attribute value
+ * @returns {{ key: string, value: { stringValue: string } }}
+ */
+function stringAttribute(key, value) {
+  return { key, value: { stringValue: String(value) } };
+}
+
+/**
+ * Maps the remote endpoint onto the OTel peer attributes. peer.service is what the
+ * metaModel extractors use to turn remote services into components.
+ * @param {{ serviceName?: string, ipv4?: string, ipv6?: string, port?: number }|undefined} endpoint - Zipkin remote endpoint
+ * @returns {Array<{ key: string, value: Object }>} Peer attributes
+ */
+function parseRemoteEndpoint(endpoint) {
+  if (!endpoint) {
+    return [];
+  }
+  const attributes = [];
+  if (endpoint.serviceName) {
+    attributes.push(stringAttribute("peer.service", endpoint.serviceName));
+  }
+  if (endpoint.ipv4 || endpoint.ipv6) {
+    attributes.push(stringAttribute("network.peer.address", endpoint.ipv4 || endpoint.ipv6));
+  }
+  if (endpoint.port) {
+    attributes.push({ key: "network.peer.port", value: { intValue: endpoint.port } });
+  }
+  return attributes;
+}
+
+/**
+ * Derives the OTel status from Zipkin tags (Zipkin marks failures with an "error" tag
+ * whose value is the error message)
+ * @param {Object<string, string>} tags - Zipkin tags
+ * @returns {{ code: string, message?: string }} Internal status
+ */
+function parseZipkinStatus(tags) {
+  const statusCode = String(tags["otel.status_code"] || "").toUpperCase();
+  const message = tags["otel.status_description"] || tags.error;
+
+  let code = "STATUS_CODE_UNSET";
+  if (statusCode === "ERROR" || "error" in tags) {
+    code = "STATUS_CODE_ERROR";
+  } else if (statusCode === "OK") {
+    code = "STATUS_CODE_OK";
+  }
+  return message && message !== "true" ? { code, message: String(message) } : { code };
+}
+
+/**
+ * Parses a single Zipkin v2 span
+ * @param {Object} zipkinSpan - Zipkin span with localEndpoint, remoteEndpoint, annotations and tags
+ * @param {{ spanId?: string, parentSpanId?: string }=} overrides - Ids to use instead of the span's own
+ * @returns {import("./trace.js").TraceSpan} Internal span model
+ */
+export function parseZipkinSpan(zipkinSpan, overrides = {}) {
+  const tags = zipkinSpan.tags || {};
+  const serviceName = zipkinSpan.localEndpoint?.serviceName || "unknown-service";
+  const startTimeUnixNano = microsToNanos(zipkinSpan.timestamp);
+
+  return createTraceSpan({
+    name: zipkinSpan.name || "",
+    spanId: overrides.spanId || zipkinSpan.id || "",
+    traceId: zipkinSpan.traceId || "",
+    parentSpanId: overrides.parentSpanId ?? (zipkinSpan.parentId || ""),
+    kind: SPAN_KIND_BY_ZIPKIN_KIND[String(zipkinSpan.kind || "").toUpperCase()] || SpanKind.INTERNAL,
+    startTimeUnixNano,
+    endTimeUnixNano: startTimeUnixNano + microsToNanos(zipkinSpan.duration),
+    attributes: [
+      ...Object.entries(tags)
+        .filter(([key]) => !MAPPED_SPAN_TAGS.has(key))
+        .map(([key, value]) => stringAttribute(key, value)),
+      ...parseRemoteEndpoint(zipkinSpan.remoteEndpoint),
+    ],
+    events: (zipkinSpan.annotations || []).map((annotation) => ({
+      name: annotation.value || "",
+      timeUnixNano: microsToNanos(annotation.timestamp),
+      attributes: [],
+    })),
+    status: parseZipkinStatus(tags),
+    instrumentationScope: {
+      name: tags["otel.scope.name"] || tags["otel.library.name"],
+      version: tags["otel.scope.version"] || tags["otel.library.version"],
+    },
+    resource: {
+      serviceName,
+      attributes: [stringAttribute("service.name", serviceName)],
+    },
+  });
+}
+
+/**
+ * Checks whether the data is a Zipkin v2 span list
+ * @param {any} data - Parsed JSON payload
+ * @returns {boolean} True for [span] or [[span]] with Zipkin id fields
+ */
+export function isZipkinJson(data) {
+  if (!Array.isArray(data)) {
+    return false;
+  }
+  const first = Array.isArray(data[0]) ? data[0][0] : data[0];
+  return Boolean(first) && typeof first.traceId === "string" && typeof first.id === "string"
+    && ("localEndpoint" in first || "timestamp" in first || "annotations" in first);
+}
+
+/**
+ * Parses Zipkin v2 JSON into the internal span model.
+ * Zipkin has no separate logs; annotations become span events.
+ * @param {Array<Object>|Array<Array<Object>>} zipkinData - Span list, or list of traces as returned by /api/v2/traces
+ * @returns {{ spans: import("./trace.js").TraceSpan[], logs: import("./logs.js").LogRow[] }}
+ */
+export function parseZipkinData(zipkinData) {
+  const zipkinSpans = zipkinData.flat().filter(Boolean);
+  const clientSpanIds = new Set(
+    zipkinSpans.filter((span) => span.kind !== "SERVER" || !span.shared).map((span) => `${span.traceId}:${span.id}`)
+  );
+
+  // With B3 id sharing the server half of an RPC reuses the client span id.
+  // Give it its own id below the client span and move its local children along.
+  const sharedSpanIds = new Map();
+  zipkinSpans.forEach((span) => {
+    const key = `${span.traceId}:${span.id}`;
+    if (span.kind === "SERVER" && span.shared && clientSpanIds.has(key)) {
+      sharedSpanIds.set(key, { spanId: `${span.id}-shared`, serviceName: span.localEndpoint?.serviceName });
+    }
+  });
+
+  const spans = zipkinSpans.map((zipkinSpan, index) => {
+    const key = `${zipkinSpan.traceId}:${zipkinSpan.id}`;
+    const parentKey = `${zipkinSpan.traceId}:${zipkinSpan.parentId}`;
+    const shared = sharedSpanIds.get(key);
+    const sharedParent = sharedSpanIds.get(parentKey);
+
+    let overrides = {};
+    if (shared && zipkinSpan.kind === "SERVER" && zipkinSpan.shared) {
+      overrides = { spanId: shared.spanId, parentSpanId: zipkinSpan.id };
+    } else if (sharedParent && sharedParent.serviceName === zipkinSpan.localEndpoint?.serviceName) {
+      overrides = { parentSpanId: sharedParent.spanId };
+    }
+
+    try {
+      return parseZipkinSpan(zipkinSpan, overrides);
+    } catch (error) {
+      console.error(`[parseZipkinData] Failed to parse span at index ${index}:`, error);
+      return null;
+    }
+  }).filter(span => span !== null);
+
+  return { spans, logs: [] };
+}